@@ -0,0 +1,140 @@
+// Prompt response cache for the proxy server
+// LRU with a TTL, keyed on provider + model + parameters + prompt hash
+
+const crypto = require('crypto');
+
+class ResponseCache {
+    constructor({ maxEntries = 500, ttlMs = 10 * 60 * 1000 } = {}) {
+        this.maxEntries = maxEntries;
+        this.ttlMs = ttlMs;
+        this.entries = new Map(); // key -> { value, expiresAt }; Map order doubles as LRU order
+        this.hits = 0;
+        this.misses = 0;
+        this.bypassed = 0;
+    }
+
+    // Cache key for a completion request
+    static keyFor(provider, { prompt, maxTokens, temperature }) {
+        const promptHash = crypto.createHash('sha256').update(prompt).digest('hex');
+        return `${provider.name}:${provider.model}:${maxTokens}:${temperature}:${promptHash}`;
+    }
+
+    get(key) {
+        const entry = this.entries.get(key);
+
+        if (!entry || entry.expiresAt <= Date.now()) {
+            if (entry) this.entries.delete(key);
+            this.misses++;
+            return null;
+        }
+
+        // Move to the back so it's the most recently used
+        this.entries.delete(key);
+        this.entries.set(key, entry);
+        this.hits++;
+        return entry.value;
+    }
+
+    set(key, value) {
+        this.entries.delete(key);
+        this.entries.set(key, { value, expiresAt: Date.now() + this.ttlMs });
+
+        // Evict least recently used entries (front of the Map)
+        while (this.entries.size > this.maxEntries) {
+            this.entries.delete(this.entries.keys().next().value);
+        }
+    }
+
+    stats() {
+        const lookups = this.hits + this.misses;
+        return {
+            hits: this.hits,
+            misses: this.misses,
+            bypassed: this.bypassed,
+            hitRate: lookups > 0 ? Math.round((this.hits / lookups) * 1000) / 1000 : 0,
+            size: this.entries.size,
+            maxEntries: this.maxEntries,
+            ttlSeconds: this.ttlMs / 1000
+        };
+    }
+}
+
+// Provider wrapper that answers repeated requests from a ResponseCache
+// Requests with noCache: true skip the cache entirely
+class CachingProvider {
+    constructor(inner, cache) {
+        this.inner = inner;
+        this.cache = cache;
+        this.name = inner.name;
+        this.model = inner.model;
+        this.baseUrl = inner.baseUrl;
+    }
+
+    isConfigured() {
+        return this.inner.isConfigured();
+    }
+
+    async complete(request) {
+        if (request.noCache) {
+            this.cache.bypassed++;
+            return this.inner.complete(request);
+        }
+
+        const key = ResponseCache.keyFor(this.inner, request);
+        const cached = this.cache.get(key);
+        if (cached) {
+            return this.fromCache(cached);
+        }
+
+        const result = await this.inner.complete(request);
+        this.cache.set(key, result);
+        return result;
+    }
+
+    async stream(request, onDelta) {
+        if (request.noCache) {
+            this.cache.bypassed++;
+            return this.inner.stream(request, onDelta);
+        }
+
+        const key = ResponseCache.keyFor(this.inner, request);
+        const cached = this.cache.get(key);
+        if (cached) {
+            cached.content.split(/(?<=\s)/).forEach(chunk => onDelta(chunk));
+            return this.fromCache(cached);
+        }
+
+        const result = await this.inner.stream(request, onDelta);
+        this.cache.set(key, result);
+        return result;
+    }
+
+    // Cached answers cost no tokens
+    fromCache(result) {
+        return {
+            content: result.content,
+            usage: { promptTokens: 0, completionTokens: 0 },
+            cached: true
+        };
+    }
+}
+
+// Wrap a provider according to LLM_CACHE_SIZE / LLM_CACHE_TTL_SECONDS
+// Off unless LLM_CACHE_SIZE is set: the game samples above temperature 0, so a cached answer replays the same
+// "random" reaction or narration where a fresh call would vary
+function createCachingProvider(inner, env = process.env) {
+    const maxEntries = env.LLM_CACHE_SIZE !== undefined ? parseInt(env.LLM_CACHE_SIZE, 10) : 0;
+    const ttlSeconds = env.LLM_CACHE_TTL_SECONDS !== undefined ? parseFloat(env.LLM_CACHE_TTL_SECONDS) : 600;
+
+    if (!maxEntries || maxEntries <= 0) {
+        return inner;
+    }
+
+    return new CachingProvider(inner, new ResponseCache({ maxEntries, ttlMs: ttlSeconds * 1000 }));
+}
+
+module.exports = {
+    ResponseCache,
+    CachingProvider,
+    createCachingProvider
+};
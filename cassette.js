@@ -0,0 +1,152 @@
+// Record/replay "cassette" for LLM traffic
+// Wraps a provider so every prompt/response pair is written to (or answered from) a JSONL file
+
+const fs = require('fs');
+const path = require('path');
+const crypto = require('crypto');
+
+// Stable key for a prompt - replay looks responses up by this
+function hashPrompt(prompt) {
+    return crypto.createHash('sha256').update(prompt).digest('hex').slice(0, 16);
+}
+
+// Load recorded entries, grouped by prompt hash in the order they were recorded
+function loadCassette(filePath) {
+    const entries = new Map();
+    if (!fs.existsSync(filePath)) return entries;
+
+    const lines = fs.readFileSync(filePath, 'utf8').split('\n');
+    lines.forEach((line, index) => {
+        if (!line.trim()) return;
+        try {
+            const entry = JSON.parse(line);
+            if (!entries.has(entry.key)) {
+                entries.set(entry.key, []);
+            }
+            entries.get(entry.key).push(entry);
+        } catch (error) {
+            console.warn(`📼 Skipping malformed cassette line ${index + 1}: ${error.message}`);
+        }
+    });
+
+    return entries;
+}
+
+class CassetteProvider {
+    // mode: 'record' passes calls through and appends them to the file
+    //       'replay' answers from the file and never touches the network
+    constructor(inner, { mode, filePath }) {
+        if (mode !== 'record' && mode !== 'replay') {
+            throw new Error(`Unknown cassette mode "${mode}". Expected "record" or "replay"`);
+        }
+
+        this.inner = inner;
+        this.mode = mode;
+        this.filePath = filePath;
+        this.name = inner.name;
+        this.model = inner.model;
+        this.baseUrl = mode === 'replay' ? `cassette:${filePath}` : inner.baseUrl;
+
+        this.entries = mode === 'replay' ? loadCassette(filePath) : new Map();
+        this.playCounts = new Map(); // key -> how many times it has been replayed
+
+        if (mode === 'record') {
+            fs.mkdirSync(path.dirname(filePath), { recursive: true });
+        }
+    }
+
+    isConfigured() {
+        return this.mode === 'replay' || this.inner.isConfigured();
+    }
+
+    // Number of recorded prompt/response pairs available
+    get size() {
+        let total = 0;
+        this.entries.forEach(list => { total += list.length; });
+        return total;
+    }
+
+    async complete(request) {
+        if (this.mode === 'replay') {
+            return this.replay(request);
+        }
+
+        const result = await this.inner.complete(request);
+        this.record(request, result);
+        return result;
+    }
+
+    async stream(request, onDelta) {
+        if (this.mode === 'replay') {
+            const result = this.replay(request);
+            // Re-chunk by word so the client still sees a live stream
+            result.content.split(/(?<=\s)/).forEach(chunk => onDelta(chunk));
+            return result;
+        }
+
+        const result = await this.inner.stream(request, onDelta);
+        this.record(request, result);
+        return result;
+    }
+
+    record({ prompt, maxTokens, temperature }, result) {
+        const entry = {
+            key: hashPrompt(prompt),
+            provider: this.inner.name,
+            model: this.inner.model,
+            prompt,
+            maxTokens,
+            temperature,
+            content: result.content,
+            usage: result.usage,
+            recordedAt: new Date().toISOString()
+        };
+
+        fs.appendFileSync(this.filePath, JSON.stringify(entry) + '\n');
+
+        if (!this.entries.has(entry.key)) {
+            this.entries.set(entry.key, []);
+        }
+        this.entries.get(entry.key).push(entry);
+    }
+
+    // Repeated prompts get their recorded responses in order; the last one repeats once exhausted
+    replay({ prompt }) {
+        const key = hashPrompt(prompt);
+        const recorded = this.entries.get(key);
+
+        if (!recorded) {
+            const error = new Error(`No cassette entry for prompt ${key} in ${this.filePath}`);
+            error.status = 404;
+            error.details = { key, prompt: prompt.slice(0, 200) };
+            throw error;
+        }
+
+        const played = this.playCounts.get(key) || 0;
+        this.playCounts.set(key, played + 1);
+        const entry = recorded[Math.min(played, recorded.length - 1)];
+
+        return {
+            content: entry.content,
+            usage: entry.usage || { promptTokens: 0, completionTokens: 0 }
+        };
+    }
+}
+
+// Wrap a provider according to LLM_CASSETTE / LLM_CASSETTE_PATH, or return it unchanged
+function createCassetteProvider(inner, env = process.env) {
+    const mode = env.LLM_CASSETTE ? env.LLM_CASSETTE.toLowerCase() : null;
+    if (!mode || mode === 'off') {
+        return inner;
+    }
+
+    const filePath = path.resolve(env.LLM_CASSETTE_PATH || 'cassettes/llm.jsonl');
+    return new CassetteProvider(inner, { mode, filePath });
+}
+
+module.exports = {
+    hashPrompt,
+    loadCassette,
+    CassetteProvider,
+    createCassetteProvider
+};
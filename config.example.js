@@ -1,16 +1,15 @@
 // Configuration template for The Vivarium
 // Copy this file to config.js and update with your actual values
+// API keys live on the proxy server - see .env.example
 
 window.VIVARIUM_CONFIG = {
-    // Get your API key from: https://console.anthropic.com/
-    ANTHROPIC_API_KEY: "your-api-key-here",
-    
     // Other configuration options
     DEBUG_MODE: true,
-    AUTO_SAVE: true
+    AUTO_SAVE: true, // Autosave this browser's world on the server (its "autosave" slot)
+    AUTO_SAVE_TURNS: 5 // Turns between autosaves
 };
 
 // To use:
 // 1. Copy this file: cp config.example.js config.js
-// 2. Edit config.js and replace "your-api-key-here" with your actual Anthropic API key
-// 3. Refresh the page - the API key will be loaded automatically
\ No newline at end of file
+// 2. Configure your LLM provider in .env (cp .env.example .env)
+// 3. Refresh the page - the settings will be loaded automatically
@@ -1,172 +1,440 @@
 // LLM Integration for The Vivarium
-// Handles Groq/Kimi K2 API calls for object simulation
+// Builds the game's prompts, validates replies and queues calls
+// Sending a completion is left to ProviderLLMManager (server-llm.js), which calls the configured provider in-process
+
+const fs = require('fs');
+const path = require('path');
+const { PromptLibrary } = require('./prompts');
+
+// JSON shapes the LLM must reply with, per prompt type (narration stays prose so it can stream)
+const RESPONSE_SCHEMAS = {
+    simulation: {
+        type: 'object',
+        required: ['action'],
+        properties: {
+            action: { type: 'string', minLength: 1, maxLength: 100 }
+        }
+    },
+    relationships: {
+        type: 'object',
+        required: ['relationships'],
+        properties: {
+            relationships: {
+                type: 'array',
+                items: {
+                    type: 'object',
+                    required: ['from', 'relationship', 'to', 'progress', 'progressTime'],
+                    properties: {
+                        from: { type: 'string', minLength: 1 },
+                        relationship: { type: 'string', minLength: 1 },
+                        to: { type: 'string', minLength: 1 },
+                        progress: { type: 'number', minimum: 0, maximum: 1 },
+                        progressTime: { type: 'integer', minimum: 1 },
+                        lifetime: { type: 'integer', minimum: 1 } // Optional: steps it lasts once true
+                    }
+                }
+            },
+            ended: { // Optional: existing relationships the actions ended
+                type: 'array',
+                items: {
+                    type: 'object',
+                    required: ['from', 'relationship', 'to'],
+                    properties: {
+                        from: { type: 'string', minLength: 1 },
+                        relationship: { type: 'string', minLength: 1 },
+                        to: { type: 'string', minLength: 1 }
+                    }
+                }
+            }
+        }
+    },
+    objects: {
+        type: 'object',
+        required: ['created', 'removed'],
+        properties: {
+            created: {
+                type: 'array',
+                items: {
+                    type: 'object',
+                    required: ['id', 'name', 'description', 'parent'],
+                    properties: {
+                        id: { type: 'string', minLength: 1, maxLength: 64 },
+                        name: { type: 'string', minLength: 1, maxLength: 64 },
+                        description: { type: 'string', minLength: 10, maxLength: 600 },
+                        parent: { type: 'string', minLength: 1 }
+                    }
+                }
+            },
+            removed: {
+                type: 'array',
+                items: {
+                    type: 'object',
+                    required: ['id'],
+                    properties: {
+                        id: { type: 'string', minLength: 1 },
+                        reason: { type: 'string' }
+                    }
+                }
+            }
+        }
+    },
+    batchSimulation: {
+        type: 'object',
+        required: ['reactions'],
+        properties: {
+            reactions: {
+                type: 'object',
+                additionalProperties: { type: 'string', minLength: 1, maxLength: 100 }
+            }
+        }
+    },
+    description: {
+        type: 'object',
+        required: ['description'],
+        properties: {
+            description: { type: 'string', minLength: 10, maxLength: 600 },
+            properties: { type: 'object' } // Property name -> new value, checked against the object's property types
+        }
+    },
+    memory: {
+        type: 'object',
+        required: ['summary'],
+        properties: {
+            summary: { type: 'string', minLength: 1, maxLength: 500 }
+        }
+    },
+    plan: {
+        type: 'object',
+        required: ['done', 'plan'],
+        properties: {
+            done: { type: 'boolean' }, // The goal is reached or given up
+            goal: { type: 'string', minLength: 1, maxLength: 200 }, // The next goal, once done
+            plan: {
+                type: 'array',
+                items: { type: 'string', minLength: 1, maxLength: 100 }
+            }
+        }
+    }
+};
 
-class LLMManager {
-    constructor() {
-        this.apiKey = null;
-        this.proxyUrl = 'http://localhost:3001/api/groq'; // Backend proxy
-        this.healthUrl = 'http://localhost:3001/api/health';
-        this.model = 'moonshotai/kimi-k2-instruct';
-        this.maxTokens = 150; // Keep responses concise for simulation
-        this.narrativeMaxTokens = 250; // Allow more tokens for narrative generation
-        this.requestQueue = [];
-        this.processing = false;
-        this.useProxy = true; // Use backend proxy instead of direct API calls
-        
-        // Check if proxy server is available
-        this.checkProxyHealth();
+// Most steps an agent plans ahead (see revisePlan)
+const MAX_PLAN_STEPS = 5;
+
+// Queue priority per call type - lower runs first (narration ahead of description updates)
+// The call type also tags usage so tokens can be accounted per phase
+const REQUEST_PRIORITY = {
+    narration: 0,
+    simulation: 1,
+    relationships: 2,
+    objects: 2,
+    description: 3,
+    memory: 3,
+    planning: 3,
+    ambient: 4 // Idle-tick narration can always wait
+};
+
+// Check a value against a (small subset of) JSON Schema; returns a list of error messages
+function validateAgainstSchema(value, schema, path = 'response') {
+    const errors = [];
+    const actualType = Array.isArray(value) ? 'array' : value === null ? 'null' : typeof value;
+
+    if (schema.type === 'integer') {
+        if (!Number.isInteger(value)) errors.push(`${path} must be an integer`);
+    } else if (schema.type && schema.type !== actualType) {
+        errors.push(`${path} must be ${schema.type}, got ${actualType}`);
+        return errors;
     }
 
-    // Check if the proxy server is running and healthy
-    async checkProxyHealth() {
-        if (!this.useProxy) return;
-        
-        try {
-            const response = await fetch(this.healthUrl);
-            const health = await response.json();
-            
-            if (health.status === 'ok') {
-                console.log('✅ Proxy server connected');
-                if (health.groqConfigured) {
-                    console.log('✅ Groq API key configured on server');
-                    this.serverReady = true;
-                } else {
-                    console.warn('⚠️ Proxy server running but Groq API key not configured');
-                    this.serverReady = false;
-                }
-            }
-        } catch (error) {
-            console.warn('❌ Proxy server not reachable. Start with: npm start');
-            console.warn('   Then refresh this page.');
-            this.serverReady = false;
+    if (schema.enum && !schema.enum.includes(value)) {
+        errors.push(`${path} must be one of: ${schema.enum.join(', ')}`);
+    }
+    if (typeof value === 'number') {
+        if (schema.minimum !== undefined && value < schema.minimum) errors.push(`${path} must be >= ${schema.minimum}`);
+        if (schema.maximum !== undefined && value > schema.maximum) errors.push(`${path} must be <= ${schema.maximum}`);
+    }
+    if (typeof value === 'string') {
+        if (schema.minLength !== undefined && value.trim().length < schema.minLength) errors.push(`${path} must be at least ${schema.minLength} characters`);
+        if (schema.maxLength !== undefined && value.length > schema.maxLength) errors.push(`${path} must be at most ${schema.maxLength} characters`);
+    }
+    if (actualType === 'object') {
+        (schema.required || []).forEach(key => {
+            if (!(key in value)) errors.push(`${path}.${key} is required`);
+        });
+        Object.entries(schema.properties || {}).forEach(([key, propertySchema]) => {
+            if (key in value) errors.push(...validateAgainstSchema(value[key], propertySchema, `${path}.${key}`));
+        });
+        if (schema.additionalProperties) {
+            Object.keys(value).filter(key => !(schema.properties && key in schema.properties)).forEach(key => {
+                errors.push(...validateAgainstSchema(value[key], schema.additionalProperties, `${path}.${key}`));
+            });
         }
     }
+    if (actualType === 'array' && schema.items) {
+        value.forEach((item, index) => {
+            errors.push(...validateAgainstSchema(item, schema.items, `${path}[${index}]`));
+        });
+    }
 
-    // Set API key (call this first!)
-    setApiKey(key) {
-        this.apiKey = key;
-        console.log('LLM API key configured');
+    return errors;
+}
+
+// Pull a JSON value out of an LLM reply (tolerates code fences and chatter around it)
+function extractJson(text) {
+    const unfenced = text.replace(/```(?:json)?/gi, '').trim();
+    const start = unfenced.search(/[{[]/);
+    const end = Math.max(unfenced.lastIndexOf('}'), unfenced.lastIndexOf(']'));
+    if (start === -1 || end < start) {
+        throw new Error('no JSON found in reply');
     }
+    return JSON.parse(unfenced.slice(start, end + 1));
+}
 
-    // Check if LLM is available
+class LLMManager {
+    // options.prompts - PromptLibrary to render prompts from (defaults to one reading prompts/ from disk)
+    constructor(options = {}) {
+        this.model = null; // Set by the subclass from its provider
+        this.provider = null;
+        this.maxTokens = 150; // Keep responses concise for simulation
+        this.narrativeMaxTokens = 250; // Allow more tokens for narrative generation
+        this.ambientMaxTokens = 80; // Ambient narration is a single sentence
+        this.requestQueue = []; // Waiting requests: { task, priority, order, resolve, reject }
+        this.activeRequests = 0; // Requests currently in flight
+        this.requestCounter = 0; // Keeps equal-priority requests first-in, first-out
+        this.maxConcurrent = 4; // Cap on simultaneous LLM requests
+        this.maxRetries = 4; // Retries for 429 / 5xx responses
+        this.retryBaseDelayMs = 500; // Exponential backoff starts here
+        this.retryMaxDelayMs = 20000; // ...and never waits longer than this
+        this.maxRepairAttempts = 2; // Re-asks allowed when a JSON reply fails its schema
+        this.bypassCache = false; // Ask the provider to skip its response cache
+        this.sessionId = `session-${Date.now().toString(36)}-${Math.random().toString(36).slice(2, 8)}`; // Groups usage (hosted worlds use their id)
+        this.currentTurn = null; // Set by the world each turn so usage can be broken down per turn
+        this.prompts = options.prompts || new PromptLibrary({ // Prompt templates from prompts/
+            readText: file => fs.promises.readFile(path.join(__dirname, 'prompts', file), 'utf8')
+        });
+        this.prompts.load().catch(error => console.warn('📝 Could not load prompt templates:', error.message));
+        this.scenario = null; // Set by the world each turn; picks that scenario's template overrides
+    }
+
+    // Check if LLM is available (a subclass with a provider says whether it is configured)
     isAvailable() {
-        if (this.useProxy) {
-            return this.serverReady === true;
-        } else {
-            return !!this.apiKey;
-        }
+        return false;
     }
 
-    // Simulate an object's reaction using Groq/Kimi K2
-    async simulateObjectReaction(objectContext, playerAction, childActions = []) {
+    // Simulate an object's reaction using the configured LLM
+    // memory is the object's recall() text, if it remembers anything
+    async simulateObjectReaction(objectContext, playerAction, childActions = [], memory = '') {
         if (!this.isAvailable()) {
             return this.fallbackReaction(objectContext, playerAction, childActions);
         }
 
-        const prompt = this.buildSimulationPrompt(objectContext, playerAction, childActions);
-        
         try {
-            const response = await this.callGroq(prompt);
-            return this.parseSimulationResponse(response);
+            const prompt = await this.buildSimulationPrompt(objectContext, playerAction, childActions, memory);
+            const data = await this.callLLMJson(prompt, 'simulation');
+            return this.parseSimulationResponse(data.action);
         } catch (error) {
             console.warn('LLM call failed, using fallback:', error.message);
             return this.fallbackReaction(objectContext, playerAction, childActions);
         }
     }
 
-    // Build a prompt for object simulation
-    buildSimulationPrompt(objectContext, playerAction, childActions) {
-        let prompt = `You are simulating a single object in a text-based game world. Respond with ONLY the action this object takes - no narration, no quotes, no explanation.
+    // Build a prompt for object simulation (prompts/simulation.txt)
+    async buildSimulationPrompt(objectContext, playerAction, childActions, memory = '') {
+        return this.renderPrompt('simulation', {
+            name: objectContext.name,
+            description: objectContext.description,
+            location: objectContext.parent ? `Inside ${objectContext.parent.name}` : 'At the root level',
+            playerAction: playerAction,
+            childActions: childActions && childActions.length > 0 ? childActions.join(', ') : '',
+            relationships: objectContext.relationships && objectContext.relationships.length > 0
+                ? this.formatRelationshipList(objectContext.relationships)
+                : '',
+            state: this.formatPropertyList(objectContext.properties),
+            memory,
+            goal: objectContext.goal || '',
+            plan: this.formatPlan(objectContext.plan)
+        });
+    }
 
-OBJECT: ${objectContext.name}
-DESCRIPTION: ${objectContext.description}
-LOCATION: ${objectContext.parent ? `Inside ${objectContext.parent.name}` : 'At the root level'}
+    // "1. creep to the bow (now) 2. wait for the gull to look away" - empty for objects without a plan
+    formatPlan(plan = []) {
+        return plan.map((step, index) => `${index + 1}. ${step}${index === 0 ? ' (now)' : ''}`).join(' ');
+    }
 
-PLAYER ACTION: "${playerAction}"`;
+    // "lit: false, oil: 3 (0..10), mood: calm (calm|curious|nervous)" - empty for objects without properties
+    formatPropertyList(properties = {}) {
+        return Object.entries(properties).map(([name, { type, value, min, max, values }]) => {
+            if (type === 'number' && (min !== undefined || max !== undefined)) {
+                return `${name}: ${value} (${min !== undefined ? min : ''}..${max !== undefined ? max : ''})`;
+            }
+            if (type === 'enum') {
+                return `${name}: ${value} (${values.join('|')})`;
+            }
+            return `${name}: ${value}`;
+        }).join(', ');
+    }
 
-        if (childActions && childActions.length > 0) {
-            prompt += `\nCHILD OBJECT ACTIONS: ${childActions.join(', ')}`;
+    // "docked_at dock_1 (0%), beacon_for boat_1 (ongoing)"
+    formatRelationshipList(relationships) {
+        return relationships.map(r => 
+            `${r.relationship} ${r.to} (${r.progress !== null ? Math.floor(r.progress * 100) + '%' : 'ongoing'})`
+        ).join(', ');
+    }
+
+    // Make an LLM call
+    // Calls go through the request queue (prioritized by callType) and are retried with backoff on 429 / 5xx
+    async callLLM(prompt, maxTokens = this.maxTokens, callType = 'simulation') {
+        return this.schedule(() => this.withRetry(() => this.requestCompletion(prompt, maxTokens, callType)), REQUEST_PRIORITY[callType]);
+    }
+
+    // Run a request through the queue: at most maxConcurrent in flight, lower priority numbers first
+    schedule(task, priority) {
+        return new Promise((resolve, reject) => {
+            this.requestQueue.push({ task, priority, order: this.requestCounter++, resolve, reject });
+            this.requestQueue.sort((a, b) => a.priority - b.priority || a.order - b.order);
+            this.pumpQueue();
+
+            if (this.requestQueue.length > 0) {
+                this.devLog(`LLM queue: ${this.requestQueue.length} waiting, ${this.activeRequests} active`);
+            }
+        });
+    }
+
+    // Start queued requests while there is room under the concurrency cap
+    pumpQueue() {
+        while (this.activeRequests < this.maxConcurrent && this.requestQueue.length > 0) {
+            const { task, resolve, reject } = this.requestQueue.shift();
+            this.activeRequests++;
+
+            task().then(resolve, reject).finally(() => {
+                this.activeRequests--;
+                this.pumpQueue();
+            });
         }
+    }
 
-        if (objectContext.relationships && objectContext.relationships.length > 0) {
-            const relString = objectContext.relationships.map(r => 
-                `${r.relationship} ${r.to} (${r.progress !== null ? Math.floor(r.progress * 100) + '%' : 'ongoing'})`
-            ).join(', ');
-            prompt += `\nRELATIONSHIPS: ${relString}
-NOTE: Progress percentages show relationship status: 100% = relationship is currently true/active, less than 100% = relationship is not yet true but progressing toward being true, 0% = relationship is not true at all currently.`;
+    // Retry a request on rate limits (429) and server errors (5xx) with exponential backoff
+    async withRetry(request) {
+        for (let attempt = 0; ; attempt++) {
+            try {
+                return await request();
+            } catch (error) {
+                const retryable = error.status === 429 || error.status >= 500;
+                if (!retryable || attempt >= this.maxRetries) {
+                    throw error;
+                }
+
+                const delay = this.getRetryDelay(error, attempt);
+                console.warn(`⏳ LLM request failed with ${error.status}, retrying in ${delay}ms (${attempt + 1}/${this.maxRetries})`);
+                this.devLog(`LLM ${error.status} - retry ${attempt + 1}/${this.maxRetries} in ${delay}ms`);
+                await new Promise(resolve => setTimeout(resolve, delay));
+            }
         }
+    }
 
-        prompt += `\n\nRespond with a single SHORT action phrase (1-8 words) describing what this object does in reaction. Examples:
-- "creaks under the pressure"
-- "glows faintly"
-- "shifts nervously"
-- "remains perfectly still"
+    // Honor Retry-After (seconds or HTTP date) when given, otherwise back off exponentially with jitter
+    getRetryDelay(error, attempt) {
+        if (error.retryAfter) {
+            const seconds = Number(error.retryAfter);
+            const delay = isNaN(seconds) ? Date.parse(error.retryAfter) - Date.now() : seconds * 1000;
+            if (!isNaN(delay)) {
+                return Math.min(this.retryMaxDelayMs, Math.max(0, Math.round(delay)));
+            }
+        }
 
-Your response:`;
+        const backoff = this.retryBaseDelayMs * Math.pow(2, attempt);
+        return Math.min(this.retryMaxDelayMs, Math.round(backoff + Math.random() * backoff * 0.25));
+    }
 
-        return prompt;
+    // Current queue state, for /status and dev logging
+    getQueueStatus() {
+        return {
+            waiting: this.requestQueue.length,
+            active: this.activeRequests,
+            maxConcurrent: this.maxConcurrent
+        };
     }
 
-    // Make an API call to Groq (via proxy server)
-    async callGroq(prompt, maxTokens = this.maxTokens) {
-        if (this.useProxy) {
-            return this.callGroqProxy(prompt, maxTokens);
-        } else {
-            return this.callGroqDirect(prompt, maxTokens);
-        }
+    // Send one completion; resolves to its text (implemented by ProviderLLMManager)
+    async requestCompletion(prompt, maxTokens, callType) {
+        throw new Error('No LLM provider - use ProviderLLMManager (server-llm.js)');
     }
 
-    // Call Groq via backend proxy (recommended)
-    async callGroqProxy(prompt, maxTokens) {
-        const response = await fetch(this.proxyUrl, {
-            method: 'POST',
-            headers: {
-                'Content-Type': 'application/json'
-            },
-            body: JSON.stringify({
-                prompt: prompt,
-                maxTokens: maxTokens
-            })
-        });
+    // Send one streamed completion, calling onDelta(text) as tokens arrive; resolves to the full text
+    async requestStream(prompt, maxTokens, onDelta, callType) {
+        throw new Error('No LLM provider - use ProviderLLMManager (server-llm.js)');
+    }
+
+    // Render a prompt template with the current world's scenario overrides
+    renderPrompt(name, variables) {
+        return this.prompts.render(name, variables, this.scenario);
+    }
+
+    // Fields usage is accounted by: which session, turn and phase a call belongs to
+    usageTags(callType) {
+        return {
+            sessionId: this.sessionId,
+            turn: this.currentTurn,
+            callType: callType
+        };
+    }
 
-        if (!response.ok) {
-            const errorData = await response.json().catch(() => ({}));
-            throw new Error(`Proxy API call failed: ${response.status} ${response.statusText} - ${errorData.error || 'Unknown error'}`);
+    // Make an LLM call that must return JSON matching RESPONSE_SCHEMAS[schemaName]
+    // Invalid replies are sent back with the validation errors for repair, up to maxRepairAttempts times
+    // checkData(data) can return extra errors the schema can't express (e.g. missing ids)
+    // callType defaults to the schema name (batch simulation passes 'simulation')
+    async callLLMJson(prompt, schemaName, maxTokens = this.maxTokens, checkData = null, callType = schemaName) {
+        const schema = RESPONSE_SCHEMAS[schemaName];
+        let currentPrompt = prompt;
+
+        for (let attempt = 0; attempt <= this.maxRepairAttempts; attempt++) {
+            const response = await this.callLLM(currentPrompt, maxTokens, callType);
+
+            let errors;
+            let data;
+            try {
+                data = extractJson(response);
+                errors = validateAgainstSchema(data, schema);
+                if (errors.length === 0 && checkData) {
+                    errors = checkData(data);
+                }
+            } catch (error) {
+                errors = [`invalid JSON: ${error.message}`];
+            }
+
+            if (errors.length === 0) {
+                return data;
+            }
+
+            this.reportRejection(schemaName, attempt, errors, response);
+            currentPrompt = await this.buildRepairPrompt(prompt, response, errors);
         }
 
-        const data = await response.json();
-        return data.choices[0].message.content.trim();
+        throw new Error(`${schemaName} reply failed schema validation after ${this.maxRepairAttempts + 1} attempts`);
     }
 
-    // Call Groq directly (legacy - has CORS issues)
-    async callGroqDirect(prompt, maxTokens) {
-        const response = await fetch('https://api.groq.com/openai/v1/chat/completions', {
-            method: 'POST',
-            headers: {
-                'Content-Type': 'application/json',
-                'Authorization': `Bearer ${this.apiKey}`
-            },
-            body: JSON.stringify({
-                model: this.model,
-                messages: [{
-                    role: 'user',
-                    content: prompt
-                }],
-                max_tokens: maxTokens,
-                temperature: 0.6,
-                top_p: 1,
-                stream: false,
-                stop: null
-            })
+    // Re-ask with the original prompt, the rejected reply and what was wrong with it (prompts/repair.txt)
+    async buildRepairPrompt(originalPrompt, response, errors) {
+        return this.renderPrompt('repair', {
+            originalPrompt: originalPrompt,
+            errors: errors.map(error => `- ${error}`).join('\n'),
+            response: response
         });
+    }
 
-        if (!response.ok) {
-            const errorData = await response.json().catch(() => ({}));
-            throw new Error(`Direct API call failed: ${response.status} ${response.statusText} - ${errorData.error?.message || 'Unknown error'}`);
-        }
+    // Log a schema rejection (always to console, to the developer log too)
+    reportRejection(schemaName, attempt, errors, response) {
+        const retrying = attempt < this.maxRepairAttempts ? 'asking for a repair' : 'giving up';
+        console.warn(`🧩 Rejected ${schemaName} reply (attempt ${attempt + 1}, ${retrying}):`, errors, response);
+        this.devLog(`Rejected ${schemaName} reply (attempt ${attempt + 1}, ${retrying}): ${errors.join('; ')}`);
+    }
 
-        const data = await response.json();
-        return data.choices[0].message.content.trim();
+    // Developer log lines go nowhere unless a subclass routes them (see ProviderLLMManager)
+    devLog(message) {}
+
+    // Stream an LLM call, calling onDelta(text) as tokens arrive
+    // Resolves to the full completion text once the stream ends
+    async callLLMStream(prompt, maxTokens, onDelta, callType = 'narration') {
+        return this.schedule(() => this.withRetry(() => this.requestStream(prompt, maxTokens, onDelta, callType)), REQUEST_PRIORITY[callType]);
     }
 
     // Parse and clean the LLM response
@@ -220,30 +488,26 @@ Your response:`;
     }
 
     // Generate a narrative summary from the player's perspective
-    async generateNarrative(playerAction, parentAction, siblingActions, contextInfo, relationships = []) {
+    // Pass onDelta to receive the narration as it streams in (already cleaned like parseNarrativeResponse)
+    async generateNarrative(playerAction, parentAction, siblingActions, contextInfo, relationships = [], onDelta = null) {
         if (!this.isAvailable()) {
-            throw new Error('LLM not available. Please configure your API key in config.js or use setApiKey().');
+            throw new Error('LLM not available. Please configure a provider in .env (see .env.example).');
         }
 
-        const prompt = this.buildNarrativePrompt(playerAction, parentAction, siblingActions, contextInfo, relationships);
-        
         try {
-            const response = await this.callGroq(prompt, this.narrativeMaxTokens);
+            const prompt = await this.buildNarrativePrompt(playerAction, parentAction, siblingActions, contextInfo, relationships);
+            const response = onDelta
+                ? await this.callLLMStream(prompt, this.narrativeMaxTokens, this.createNarrativeStreamFilter(onDelta))
+                : await this.callLLM(prompt, this.narrativeMaxTokens, 'narration');
             return this.parseNarrativeResponse(response);
         } catch (error) {
             throw new Error(`LLM narrative generation failed: ${error.message}`);
         }
     }
 
-    // Build a prompt for narrative generation
-    buildNarrativePrompt(playerAction, parentAction, siblingActions, contextInfo, relationships = []) {
-        let prompt = `You are a narrator for a rich textual world simulation. Write a short, atmospheric description (2-3 sentences) of what happens from the player's perspective.
-
-PLAYER CHARACTER: ${contextInfo.playerName} (${contextInfo.playerDescription})
-LOCATION: ${contextInfo.containerName} (${contextInfo.containerDescription})
-
-WHAT HAPPENED:
-- Player Action: ${playerAction}`;
+    // Build a prompt for narrative generation (prompts/narrative.txt)
+    async buildNarrativePrompt(playerAction, parentAction, siblingActions, contextInfo, relationships = []) {
+        const events = [`- Player Action: ${playerAction}`];
 
         // Helper function to get relationships for a specific object
         const getRelationshipsFor = (objectName) => {
@@ -251,14 +515,23 @@ WHAT HAPPENED:
             return relationships.filter(r => r.from === objectName);
         };
 
-        // Helper function to add relationships under an object
+        // Typed state per object name (contextInfo.objectStates), already formatted
+        const objectStates = contextInfo.objectStates || {};
+
+        // How objects the player doesn't plainly see came across (contextInfo.senses), e.g. "not seen - heard"
+        const senses = contextInfo.senses || {};
+
+        // Helper function to add relationships, state and senses under an object
         const addRelationships = (objectName) => {
-            const objRelationships = getRelationshipsFor(objectName);
-            if (objRelationships.length > 0) {
-                objRelationships.forEach(rel => {
-                    const progressDisplay = rel.progress !== null ? Math.floor(rel.progress * 100) + '%' : 'ongoing';
-                    prompt += `\n  → ${rel.relationship} ${rel.to} (${progressDisplay})`;
-                });
+            if (senses[objectName]) {
+                events.push(`  sensed: ${senses[objectName]}`);
+            }
+            getRelationshipsFor(objectName).forEach(rel => {
+                const progressDisplay = rel.progress !== null ? Math.floor(rel.progress * 100) + '%' : 'ongoing';
+                events.push(`  → ${rel.relationship} ${rel.to} (${progressDisplay})`);
+            });
+            if (objectStates[objectName]) {
+                events.push(`  state: ${objectStates[objectName]}`);
             }
         };
 
@@ -267,7 +540,7 @@ WHAT HAPPENED:
 
         // Add parent container action and relationships
         if (parentAction && parentAction !== "remains still") {
-            prompt += `\n- ${contextInfo.containerName}: ${parentAction}`;
+            events.push(`- ${contextInfo.containerName}: ${parentAction}`);
             addRelationships(contextInfo.containerName);
         }
 
@@ -275,14 +548,19 @@ WHAT HAPPENED:
         if (siblingActions && siblingActions.length > 0) {
             siblingActions.forEach(({ objectName, action }) => {
                 if (action !== "remains still" && action !== "no action") {
-                    prompt += `\n- ${objectName}: ${action}`;
+                    events.push(`- ${objectName}: ${action}`);
                     addRelationships(objectName);
                 }
             });
         }
 
-        // Add any remaining relationships from objects that didn't have actions
-        if (relationships && relationships.length > 0) {
+        // Objects that moved this turn as a spatial relationship completed (see World.completeSpatialRelationship)
+        (contextInfo.moves || []).forEach(({ objectName, from, to }) => {
+            events.push(`- ${objectName}: moved ${from ? `from ${from} ` : ''}into ${to}`);
+        });
+
+        // Add any remaining relationships and state from objects that didn't have actions
+        if ((relationships && relationships.length > 0) || Object.keys(objectStates).length > 0) {
             const objectsWithActions = new Set([contextInfo.playerName]);
             if (parentAction && parentAction !== "remains still") {
                 objectsWithActions.add(contextInfo.containerName);
@@ -295,32 +573,28 @@ WHAT HAPPENED:
                 });
             }
 
-            // Find objects with relationships but no actions listed
-            const objectsWithRelationships = [...new Set(relationships.map(r => r.from))];
+            // Find objects with relationships or state but no actions listed
+            const objectsWithRelationships = [...new Set((relationships || []).map(r => r.from).concat(Object.keys(objectStates)))];
             const unlistedObjects = objectsWithRelationships.filter(obj => !objectsWithActions.has(obj));
-            
-            if (unlistedObjects.length > 0) {
-                unlistedObjects.forEach(objectName => {
-                    prompt += `\n- ${objectName}: (present)`;
-                    addRelationships(objectName);
-                });
-            }
-        }
 
-        // Add progress explanation if there are any relationships
-        if (relationships && relationships.length > 0) {
-            prompt += `\n\nRelationship progress: 100% = currently true/active, 0-99% = progressing toward being true, 0% = not true at all`;
+            unlistedObjects.forEach(objectName => {
+                events.push(`- ${objectName}: (present)`);
+                addRelationships(objectName);
+            });
         }
 
-        prompt += `\n\nWrite a flowing story segment that captures the atmosphere and describes what the player observes. Focus on sensory details and the immediate environment. Keep it concise but evocative. Write in second person ("You...").
-
-Example style: "You turn the wheel and feel the old wood creak beneath your hands. The cat beside you meows nervously as the boat responds, slowly changing course through the dark water."
-
-Avoid appending or surrounding your response with anything that isn't part of the core narrative text.
-
-Your narration:`;
-
-        return prompt;
+        return this.renderPrompt('narrative', {
+            playerName: contextInfo.playerName,
+            playerDescription: contextInfo.playerDescription,
+            containerName: contextInfo.containerName,
+            containerDescription: contextInfo.containerDescription,
+            previously: (contextInfo.previously || []).map(text => `- ${text}`).join('\n'),
+            events: events.join('\n'),
+            hasRelationships: !!(relationships && relationships.length > 0),
+            hasState: Object.keys(objectStates).length > 0,
+            hasSenses: Object.keys(senses).length > 0,
+            lighting: contextInfo.lighting || ''
+        });
     }
 
     // Parse and clean the narrative response
@@ -337,29 +611,77 @@ Your narration:`;
         return `\n${narrative}\n`;
     }
 
+    // Wrap a delta callback so streamed text matches what parseNarrativeResponse will return:
+    // leading newline, quotes stripped, no leading/trailing whitespace
+    createNarrativeStreamFilter(onDelta) {
+        let started = false;
+        let pendingWhitespace = '';
+
+        return (delta) => {
+            let text = pendingWhitespace + delta.replace(/["']/g, '');
+            pendingWhitespace = '';
+
+            if (!started) {
+                text = text.replace(/^\s+/, '');
+                if (!text) return;
+                started = true;
+                text = '\n' + text;
+            }
+
+            // Hold back trailing whitespace until we know more text follows
+            const trailing = text.match(/\s+$/);
+            if (trailing) {
+                pendingWhitespace = trailing[0];
+                text = text.slice(0, -pendingWhitespace.length);
+            }
+
+            if (text) {
+                onDelta(text);
+            }
+        };
+    }
+
+    // One line of ambient narration for changes the player notices between turns (prompts/ambient.txt)
+    // events: [{ objectName, action, sensed?, properties? }] - sensed says how it came across when not plainly seen
+    async generateAmbientNarration(events, contextInfo) {
+        const prompt = await this.renderPrompt('ambient', {
+            playerName: contextInfo.playerName,
+            containerName: contextInfo.containerName,
+            events: events.map(({ objectName, action, sensed, properties }) => {
+                const state = this.formatPropertyList(properties);
+                return `- ${objectName}: ${action}${sensed ? `\n  sensed: ${sensed}` : ''}${state ? `\n  state: ${state}` : ''}`;
+            }).join('\n'),
+            hasSenses: events.some(({ sensed }) => sensed),
+            hasState: events.some(({ properties }) => this.formatPropertyList(properties))
+        });
+        const response = await this.callLLM(prompt, this.ambientMaxTokens, 'ambient');
+        return this.parseNarrativeResponse(response).trim();
+    }
+
     // Legacy fallback method (no longer used - narrator now requires LLM)
     fallbackNarrative(playerAction, parentAction, siblingActions) {
-        console.warn('fallbackNarrative() called but narrator now requires LLM. Use checkLLM() to verify setup.');
-        throw new Error('Fallback narrative disabled. Please configure LLM with setApiKey() or config.js');
+        console.warn('fallbackNarrative() called but narrator now requires LLM. Check /api/health for the provider setup.');
+        throw new Error('Fallback narrative disabled. Please configure a provider in .env (see .env.example).');
     }
 
-    // Analyze object actions to detect new relationships
-    async analyzeRelationshipChanges(playerAction, objectActions) {
+    // Analyze object actions to detect new relationships and ones that ended
+    // existingRelationships: [{ from, relationship, to, progress }] the actions might end (names lowercase)
+    async analyzeRelationshipChanges(playerAction, objectActions, existingRelationships = []) {
         if (!this.isAvailable()) {
             console.log('🔗 LLM not available for relationship analysis');
             return [];
         }
 
-        console.log('🔗 Building relationship analysis prompt...');
-        const prompt = this.buildRelationshipAnalysisPrompt(playerAction, objectActions);
-        console.log('🔗 Prompt:', prompt.substring(0, 200) + '...');
-        
         try {
+            console.log('🔗 Building relationship analysis prompt...');
+            const prompt = await this.buildRelationshipAnalysisPrompt(playerAction, objectActions, existingRelationships);
+            console.log('🔗 Prompt:', prompt.substring(0, 200) + '...');
+            
             console.log('🔗 Sending to LLM...');
-            const response = await this.callGroq(prompt, this.maxTokens);
-            console.log('🔗 Raw LLM response:', response);
+            const data = await this.callLLMJson(prompt, 'relationships', this.narrativeMaxTokens);
+            console.log('🔗 Validated LLM response:', data);
             
-            const parsed = this.parseRelationshipChanges(response);
+            const parsed = this.parseRelationshipChanges(data);
             console.log('🔗 Parsed relationships:', parsed);
             
             return parsed;
@@ -370,157 +692,128 @@ Your narration:`;
         }
     }
 
-    // Build a prompt for relationship analysis
-    buildRelationshipAnalysisPrompt(playerAction, objectActions) {
-        let prompt = `You are an adept 1T parameter 2025 AI model (Kimi K2) analyzing the following actions and identifying new spatial or functional relationships that should be created or updated.
-
-PLAYER ACTION: ${playerAction}
+    // Ask which objects the turn brought into being or destroyed
+    // existingObjects: [{ id, name, parentId, properties }] of the objects in play; players: the WorldObjects being played
+    // Resolves to { created: [{ id, name, description, parent }], removed: [{ id, reason }] } - unvalidated against the world
+    async analyzeObjectChanges(playerAction, objectActions, existingObjects, players) {
+        if (!this.isAvailable()) {
+            console.log('🧱 LLM not available for object analysis');
+            return { created: [], removed: [] };
+        }
 
-OBJECT ACTIONS:`;
+        try {
+            const prompt = await this.renderPrompt('objects', {
+                playerAction,
+                player: players.map(player => `[${player.id}] ${player.name}`).join(', '),
+                objectActions: objectActions
+                    .filter(({ action }) => action !== "remains still")
+                    .map(({ objectName, action }) => `- ${objectName}: ${action}`)
+                    .join('\n'),
+                existingObjects: existingObjects
+                    .map(({ id, name, parentId, properties }) => {
+                        const state = this.formatPropertyList(properties);
+                        return `- [${id}] ${name}${parentId ? `, in [${parentId}]` : ''}${state ? ` (${state})` : ''}`;
+                    })
+                    .join('\n')
+            });
+            const data = await this.callLLMJson(prompt, 'objects', this.narrativeMaxTokens);
+            return {
+                created: data.created.map(obj => ({
+                    id: obj.id.trim(),
+                    name: obj.name.trim(),
+                    description: obj.description.trim(),
+                    parent: obj.parent.trim()
+                })),
+                removed: data.removed.map(obj => ({ id: obj.id.trim(), reason: obj.reason || null }))
+            };
+        } catch (error) {
+            console.warn('🧱 Object analysis failed:', error.message);
+            return { created: [], removed: [] };
+        }
+    }
 
-        objectActions.forEach(({ objectName, action }) => {
-            if (action !== "remains still") {
-                prompt += `\n- ${objectName}: ${action}`;
-            }
+    // Build a prompt for relationship analysis (prompts/relationships.txt)
+    // objectActions: [{ objectName, action, properties? }] - properties are the object's typed state
+    async buildRelationshipAnalysisPrompt(playerAction, objectActions, existingRelationships = []) {
+        const acting = objectActions.filter(({ action }) => action !== "remains still");
+        return this.renderPrompt('relationships', {
+            playerAction: playerAction,
+            objectActions: acting
+                .map(({ objectName, action, properties }) => {
+                    const state = this.formatPropertyList(properties);
+                    return `- ${objectName}: ${action}${state ? `\n  state: ${state}` : ''}`;
+                })
+                .join('\n'),
+            hasState: acting.some(({ properties }) => this.formatPropertyList(properties)),
+            existingRelationships: existingRelationships
+                .map(({ from, relationship, to, progress }) =>
+                    `- ${from} ${relationship} ${to} (${progress !== null ? Math.floor(progress * 100) + '%' : 'ongoing'})`)
+                .join('\n')
         });
-
-        prompt += `\n\nBased on these actions, identify relationships that should be created or updated. Focus on:
-- Spatial relationships (on, in, near, attached to, shining on, etc.)
-- Functional relationships (piloting, carrying, supporting, etc.)
-- State changes (connected/disconnected, etc.)
-
-Important guidelines:
-- Pay careful attention to significant changes in the world such as an object moving out of or into another container, and declare true / complete relationships to help define those actions.
-- Don't create relationships that are implicit from parent-child containment (e.g., if person is child of car, they're already "in" the car)
-- Only create relationships that are new or changed due to the specific actions described
-- Focus on relationships that are direct consequences of the actions, not pre-existing states
-- Avoid creating redundant bidirectional relationships (choose one direction)
-- Skip obvious permanent attachments (wheel "attached to" car, etc.)
-- Don't create relationships with progress values that are not 0 or 1. Progress values between 0 and 1 are exclusively produced when relationships are updated by the progress algorithm, so assign 0 and a Progress Time for incomplete relationships, but any other relationship should already be 1.0, "true".
-- Avoid creating relationships that are not expected or intended by objects or the player. For example, if the player enters a house, this doesn't mean that the player will be "sitting on the couch" or "standing in the kitchen" within any specific number of steps.
-- Note that "state" is not the goal value or value that will be achieved, but rather the current value of the relationship. Relationships always progress towards 1.0, "true". You should name your relationships based on the target state, never a state that is being moved away from towards 0.
-
-For each relationship, provide:
-- The object name (source) - USE EXACT LOWERCASE NAMES as shown above
-- Relationship type (verb/preposition)
-- Target object name - USE EXACT LOWERCASE NAMES as shown above
-- State (Progress) (0.0 or 1.0): 1.0 = relationship exists now, 0.0 = relationship will become true over time
-- Progress time (integer >= 1): Number of simulation steps for 0.0 progress to reach 1.0. Use 1 for immediate, 2-10 for gradual changes. A step is roughly 5 seconds, but can vary.
-
-Format as: object_name|relationship_type|target_object|state|progress_time
-
-IMPORTANT: Use the exact object names from the actions above. Do not capitalize or change the names.
-
-Examples:
-dog|reached|kennel|0.0|3
-dog|in|kennel|1.0|0
-cup|held by|constantine|0.0|2
-lighthouse|beacon for|boat|1.0|0
-
-Only list relationships that are clearly indicated by the actions. If no new relationships are evident, respond with "NONE".
-
-Response:`;
-
-        return prompt;
     }
 
-    // Parse relationship analysis response
-    parseRelationshipChanges(response) {
-        console.log('🔗 Parsing LLM response:', response);
-        const changes = [];
-        const lines = response.trim().split('\n');
-        console.log('🔗 Split into lines:', lines);
-        
-        for (const line of lines) {
-            const trimmed = line.trim();
-            console.log('🔗 Processing line:', trimmed);
-            
-            if (trimmed === 'NONE' || trimmed === '') {
-                console.log('🔗 Skipping empty/NONE line');
-                continue;
-            }
-            
-            const parts = trimmed.split('|');
-            console.log('🔗 Split parts:', parts);
-            
-            if (parts.length === 5) {
-                const [from, relationship, to, progressStr, progressTimeStr] = parts;
-                const progress = parseFloat(progressStr);
-                const progressTime = parseInt(progressTimeStr);
-                
-                console.log(`🔗 Parsing: ${from} -> ${relationship} -> ${to} (${progressStr} = ${progress}, time: ${progressTimeStr} = ${progressTime})`);
-                
-                if (!isNaN(progress) && progress >= 0 && progress <= 1 && !isNaN(progressTime) && progressTime >= 1) {
-                    const change = {
-                        from: from.trim().toLowerCase(), // Force lowercase to match object names
-                        relationship: relationship.trim(),
-                        to: to.trim().toLowerCase(), // Force lowercase to match object names
-                        progress: progress,
-                        progressTime: progressTime
-                    };
-                    console.log('🔗 Valid relationship change:', change);
-                    changes.push(change);
-                } else {
-                    console.log('🔗 Invalid progress/time values:', progressStr, progress, progressTimeStr, progressTime);
-                }
-            } else {
-                console.log('🔗 Wrong number of parts (expected 5):', parts.length);
-            }
-        }
+    // Turn a schema-validated relationship analysis reply into relationship changes
+    parseRelationshipChanges(data) {
+        const changes = data.relationships.map(rel => ({
+            from: rel.from.trim().toLowerCase(), // Force lowercase to match object names
+            relationship: rel.relationship.trim(),
+            to: rel.to.trim().toLowerCase(), // Force lowercase to match object names
+            progress: rel.progress,
+            progressTime: rel.progressTime,
+            lifetime: rel.lifetime || null
+        })).concat((data.ended || []).map(rel => ({
+            from: rel.from.trim().toLowerCase(),
+            relationship: rel.relationship.trim(),
+            to: rel.to.trim().toLowerCase(),
+            ended: true
+        })));
         
         console.log('🔗 Final parsed changes:', changes);
         return changes;
     }
 
     // Update an object's description based on its context and recent actions
-    async updateObjectDescription(objectContext, objectAction, siblingActions = []) {
+    // Resolves to { description, properties } - properties maps changed property names to their new values
+    // checkProperty(name, value) returns why a proposed value doesn't fit (see WorldObject.propertyError), or null
+    async updateObjectDescription(objectContext, objectAction, siblingActions = [], checkProperty = null) {
+        const unchanged = { description: objectContext.description, properties: {} };
         if (!this.isAvailable()) {
-            return objectContext.description; // Return unchanged if LLM not available
+            return unchanged; // Return unchanged if LLM not available
         }
 
-        const prompt = this.buildDescriptionUpdatePrompt(objectContext, objectAction, siblingActions);
-        
+        // Bad property values go back to the model like any other schema error
+        const checkProperties = (data) => Object.entries(data.properties || {})
+            .map(([name, value]) => checkProperty ? checkProperty(name, value) : `${objectContext.name} has no property "${name}"`)
+            .filter(error => error)
+            .map(error => `response.properties: ${error}`);
+
         try {
-            const response = await this.callGroq(prompt, this.narrativeMaxTokens);
-            return this.parseDescriptionResponse(response, objectContext.description);
+            const prompt = await this.buildDescriptionUpdatePrompt(objectContext, objectAction, siblingActions);
+            const data = await this.callLLMJson(prompt, 'description', this.narrativeMaxTokens, checkProperties);
+            return {
+                description: this.parseDescriptionResponse(data.description, objectContext.description),
+                properties: data.properties || {}
+            };
         } catch (error) {
             console.warn(`Description update failed for ${objectContext.name}:`, error.message);
-            return objectContext.description; // Return unchanged on error
+            return unchanged; // Return unchanged on error
         }
     }
 
-    // Build a prompt for description updating
-    buildDescriptionUpdatePrompt(objectContext, objectAction, siblingActions = []) {
-        let prompt = `You are updating the description of an object in a dynamic world simulation. Revise the description to reflect recent events and the current state.
-
-OBJECT: ${objectContext.name}
-CURRENT DESCRIPTION: ${objectContext.description}
-LOCATION: ${objectContext.parent ? `Inside ${objectContext.parent.name} (${objectContext.parent.description})` : 'At the root level'}
-
-RECENT ACTIVITY:
-- ${objectContext.name}: ${objectAction}`;
-
-        if (siblingActions && siblingActions.length > 0) {
-            siblingActions.forEach(({ objectName, action }) => {
-                if (action !== "remains still") {
-                    prompt += `\n- ${objectName}: ${action}`;
-                }
-            });
-        }
-
-        prompt += `\n\nGUIDELINES:
-- Keep the core identity and nature of the object
-- Incorporate subtle changes that reflect the recent activity
-- Update physical state, wear, positioning, or mood as appropriate
-- Maintain the atmospheric tone and writing style
-- Keep descriptions concise (1-3 sentences)
-- Don't make dramatic changes unless the action clearly warrants it
-
-Write only the updated description, nothing else.
-
-Updated description:`;
-
-        return prompt;
+    // Build a prompt for description updating (prompts/description.txt)
+    async buildDescriptionUpdatePrompt(objectContext, objectAction, siblingActions = []) {
+        return this.renderPrompt('description', {
+            name: objectContext.name,
+            description: objectContext.description,
+            location: objectContext.parent ? `Inside ${objectContext.parent.name} (${objectContext.parent.description})` : 'At the root level',
+            objectAction: objectAction,
+            state: this.formatPropertyList(objectContext.properties),
+            memory: objectContext.memory || '',
+            siblingActions: (siblingActions || [])
+                .filter(({ action }) => action !== "remains still")
+                .map(({ objectName, action }) => `- ${objectName}: ${action}`)
+                .join('\n')
+        });
     }
 
     // Parse and clean the description response
@@ -540,53 +833,160 @@ Updated description:`;
         return description;
     }
 
-    // Batch simulate multiple objects (for future optimization)
+    // Fold an object's oldest memories ([{ turn, text }]) into its running summary (prompts/memory.txt)
+    // Resolves to the new summary, or the previous one if the call fails
+    async summarizeMemory(objectContext, summary, memories) {
+        if (!this.isAvailable()) {
+            return summary;
+        }
+
+        try {
+            const prompt = await this.renderPrompt('memory', {
+                name: objectContext.name,
+                description: objectContext.description,
+                summary,
+                memories: memories.map(({ turn, text }) => `[turn ${turn}] ${text}`).join('\n')
+            });
+            const data = await this.callLLMJson(prompt, 'memory');
+            return data.summary.trim();
+        } catch (error) {
+            console.warn(`Memory summary failed for ${objectContext.name}:`, error.message);
+            return summary;
+        }
+    }
+
+    // Check an agent's plan against what it just did and saw (prompts/plan.txt): finish the current step, revise the
+    // rest if the world changed under it, or move on to a new goal once this one is reached or hopeless
+    // Resolves to { done, goal, plan } (goal: the next one, when done), or null if the call fails
+    async revisePlan(objectContext, action, events, memory = '') {
+        if (!this.isAvailable()) {
+            return null;
+        }
+
+        const checkPlan = (data) => {
+            const errors = [];
+            if (data.plan.length > MAX_PLAN_STEPS) {
+                errors.push(`response.plan must have at most ${MAX_PLAN_STEPS} steps`);
+            }
+            if (!data.done && data.plan.length === 0) {
+                errors.push('response.plan needs at least one step while the goal is not done');
+            }
+            if (data.goal && data.plan.length === 0) {
+                errors.push('response.plan needs the first steps toward the new goal');
+            }
+            return errors;
+        };
+
+        try {
+            const prompt = await this.renderPrompt('plan', {
+                name: objectContext.name,
+                description: objectContext.description,
+                location: objectContext.parent ? `Inside ${objectContext.parent.name}` : 'At the root level',
+                state: this.formatPropertyList(objectContext.properties),
+                relationships: objectContext.relationships && objectContext.relationships.length > 0
+                    ? this.formatRelationshipList(objectContext.relationships)
+                    : '',
+                memory,
+                goal: objectContext.goal,
+                plan: this.formatPlan(objectContext.plan),
+                action: action || 'remains still',
+                events,
+                maxSteps: MAX_PLAN_STEPS
+            });
+            const data = await this.callLLMJson(prompt, 'plan', this.narrativeMaxTokens, checkPlan, 'planning');
+            return {
+                done: data.done,
+                goal: data.done && data.goal ? data.goal.trim() : null,
+                plan: data.plan.map(step => step.trim())
+            };
+        } catch (error) {
+            console.warn(`Plan revision failed for ${objectContext.name}:`, error.message);
+            return null;
+        }
+    }
+
+    // Simulate several objects (one depth level) in a single LLM call
+    // simulations: [{ objectId, objectContext, playerAction, childActions }] - returns Map objectId -> action
     async batchSimulateObjects(simulations) {
         const results = new Map();
-        
-        // For now, process sequentially to avoid rate limits
-        // TODO: Implement proper batching/queuing for production
-        for (const { objectId, objectContext, playerAction, childActions } of simulations) {
-            const reaction = await this.simulateObjectReaction(objectContext, playerAction, childActions);
-            results.set(objectId, reaction);
+        if (simulations.length === 0) return results;
+
+        const useFallback = () => {
+            simulations.forEach(({ objectId, objectContext, playerAction, childActions }) => {
+                results.set(objectId, this.fallbackReaction(objectContext, playerAction, childActions));
+            });
+            return results;
+        };
+
+        if (!this.isAvailable()) {
+            return useFallback();
+        }
+
+        const expectedIds = simulations.map(({ objectId }) => objectId);
+
+        // Every object in the batch must get a reaction
+        const checkAllReacted = (data) => expectedIds
+            .filter(id => !(id in data.reactions))
+            .map(id => `response.reactions.${id} is required`);
+
+        try {
+            // Roughly one short phrase per object, plus JSON overhead
+            const maxTokens = Math.max(this.maxTokens, 40 * simulations.length);
+            const prompt = await this.buildBatchSimulationPrompt(simulations);
+            const data = await this.callLLMJson(prompt, 'batchSimulation', maxTokens, checkAllReacted, 'simulation');
+
+            expectedIds.forEach(id => {
+                results.set(id, this.parseSimulationResponse(data.reactions[id]));
+            });
+            return results;
+        } catch (error) {
+            console.warn('Batched LLM simulation failed, using fallback:', error.message);
+            return useFallback();
         }
-        
-        return results;
     }
-}
 
-// Create global LLM manager instance
-window.llmManager = new LLMManager();
+    // Build one prompt listing every object in a batch, each with its own child actions (prompts/batch-simulation.txt)
+    async buildBatchSimulationPrompt(simulations) {
+        const objects = simulations.map(({ objectId, objectContext, childActions, memory }) => {
+            let block = `[${objectId}] ${objectContext.name}
+  DESCRIPTION: ${objectContext.description}
+  LOCATION: ${objectContext.parent ? `Inside ${objectContext.parent.name}` : 'At the root level'}`;
 
-// Helper function to set API key
-window.setApiKey = (key) => {
-    window.llmManager.setApiKey(key);
-};
+            if (childActions && childActions.length > 0) {
+                block += `\n  CHILD OBJECT ACTIONS: ${childActions.join(', ')}`;
+            }
 
-// Helper function to check LLM status
-window.checkLLM = () => {
-    const manager = window.llmManager;
-    const available = manager.isAvailable();
-    
-    console.log(`🤖 LLM Status: ${available ? '✅ Available' : '❌ Not Available'}`);
-    
-    if (manager.useProxy) {
-        console.log(`📡 Using proxy server at: ${manager.proxyUrl}`);
-        console.log(`🏥 Server ready: ${manager.serverReady ? '✅ Yes' : '❌ No'}`);
-        
-        if (!available) {
-            console.log('');
-            console.log('🛠️ To fix:');
-            console.log('1. Create .env file with: GROQ_API_KEY=your-key-here');
-            console.log('2. Run: npm install && npm start');
-            console.log('3. Refresh this page');
-        }
-    } else {
-        console.log('📱 Using direct API calls (legacy mode)');
-        if (!available) {
-            console.log('To enable: setApiKey("your-groq-api-key")');
-        }
-    }
-    
-    return available;
-};
\ No newline at end of file
+            if (objectContext.relationships && objectContext.relationships.length > 0) {
+                block += `\n  RELATIONSHIPS: ${this.formatRelationshipList(objectContext.relationships)}`;
+            }
+
+            const state = this.formatPropertyList(objectContext.properties);
+            if (state) {
+                block += `\n  STATE: ${state}`;
+            }
+
+            if (memory) {
+                block += `\n  MEMORY:\n${memory.split('\n').map(line => `    ${line}`).join('\n')}`;
+            }
+
+            if (objectContext.goal) {
+                block += `\n  GOAL: ${objectContext.goal}`;
+                if (objectContext.plan.length > 0) {
+                    block += `\n  PLAN: ${this.formatPlan(objectContext.plan)}`;
+                }
+            }
+
+            return block;
+        });
+
+        const exampleIds = simulations.slice(0, 2).map(({ objectId }) => `"${objectId}": "<short action phrase>"`).join(', ');
+
+        return this.renderPrompt('batchSimulation', {
+            playerAction: simulations[0].playerAction,
+            objects: objects.join('\n\n'),
+            exampleReply: `{"reactions": {${exampleIds}}}`
+        });
+    }
+}
+
+module.exports = { LLMManager, RESPONSE_SCHEMAS, REQUEST_PRIORITY, validateAgainstSchema, extractJson };
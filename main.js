@@ -50,6 +50,15 @@ class ASCIITerminal {
         
         // Developer mode for verbose logging
         this.developerMode = false;
+        this.pendingLines = []; // Lines that arrived between turns while input was busy
+        this.roomPlayers = []; // [{ name, objectId }] playing this world together, from the room's presence updates
+        this.roomSeat = null; // Object this terminal plays in the room
+        
+        // Typewriter output for streamed narration
+        this.typeQueue = '';       // Characters waiting to be typed
+        this.typeInterval = null;
+        this.typeSpeedMs = 20;     // Delay between typewriter ticks
+        this.typeIdleCallbacks = []; // Resolvers waiting for the queue to drain
         
         this.init();
         this.setupTerminal();
@@ -365,6 +374,38 @@ class ASCIITerminal {
         }
     }
     
+    // Queue text to be typed out through writeText, a few characters per tick
+    typeText(text) {
+        this.typeQueue += text;
+        
+        if (!this.typeInterval) {
+            this.typeInterval = setInterval(() => this.typeNextChars(), this.typeSpeedMs);
+        }
+    }
+    
+    typeNextChars() {
+        if (this.typeQueue.length === 0) {
+            clearInterval(this.typeInterval);
+            this.typeInterval = null;
+            this.typeIdleCallbacks.forEach(resolve => resolve());
+            this.typeIdleCallbacks = [];
+            return;
+        }
+        
+        // Speed up when the stream gets ahead of the typewriter
+        const count = Math.max(1, Math.ceil(this.typeQueue.length / 40));
+        this.writeText(this.typeQueue.slice(0, count));
+        this.typeQueue = this.typeQueue.slice(count);
+    }
+    
+    // Resolves once all queued typewriter text has been written
+    whenTypingDone() {
+        if (!this.typeInterval && this.typeQueue.length === 0) {
+            return Promise.resolve();
+        }
+        return new Promise(resolve => this.typeIdleCallbacks.push(resolve));
+    }
+    
     scrollUp() {
         // Move all lines up by one (buffer is indexed by screen coordinates)
         for (let y = 0; y < this.rows - 1; y++) {
@@ -691,7 +732,9 @@ class ASCIITerminal {
             case 'look':
             case 'l':
                 const targetId = args[0] || null;
-                const worldDescription = world.describe(targetId);
+                // Only what your character perceives (everything, with nobody to perceive it)
+                const observer = world.getObject(this.roomSeat || world.playerObjectId);
+                const worldDescription = observer ? world.describePerceived(observer, targetId) : world.describe(targetId);
                 this.writeText("\n" + worldDescription + "\n");
                 break;
                 
@@ -707,14 +750,50 @@ class ASCIITerminal {
                     const context = obj.getLocalContext();
                     this.writeText(`\n=== ${obj.name} ===\n`);
                     this.writeText(`${obj.description}\n\n`);
-                    
+
+                    const properties = Object.entries(obj.properties);
+                    if (properties.length > 0) {
+                        this.writeText("State:\n");
+                        properties.forEach(([name, { type, value, min, max, values }]) => {
+                            let range = '';
+                            if (type === 'number' && (min !== undefined || max !== undefined)) {
+                                range = ` (${min !== undefined ? min : ''}..${max !== undefined ? max : ''})`;
+                            } else if (type === 'enum') {
+                                range = ` (${values.join(' | ')})`;
+                            }
+                            this.writeText(`  - ${name}: ${value}${range}\n`);
+                        });
+                        this.writeText("\n");
+                    }
+
                     if (obj.relationships.length > 0) {
                         this.writeText("Relationships:\n");
                         obj.relationships.forEach(rel => {
                             const target = world.getObject(rel.to);
                             const progressStr = rel.progress !== null ? ` (${Math.round(rel.progress * 100)}%)` : '';
                             const timeStr = rel.progressTime !== null && rel.progressTime > 0 ? ` [${rel.progressTime} steps]` : '';
-                            this.writeText(`  - ${rel.relationship} ${target ? target.name : rel.to}${progressStr}${timeStr}\n`);
+                            const expiryStr = rel.expiresIn ? ` [lapses in ${rel.expiresIn}]` : '';
+                            this.writeText(`  - ${rel.relationship} ${target ? target.name : rel.to}${progressStr}${timeStr}${expiryStr}\n`);
+                        });
+                        this.writeText("\n");
+                    }
+
+                    if (obj.memorySummary || obj.memory.length > 0) {
+                        this.writeText("Remembers:\n");
+                        if (obj.memorySummary) {
+                            this.writeText(`  ${obj.memorySummary}\n`);
+                        }
+                        obj.memory.slice(-3).forEach(({ turn, text }) => {
+                            this.writeText(`  [${turn}] ${text}\n`);
+                        });
+                        this.writeText("\n");
+                    }
+
+                    // What an agent is up to stays behind the curtain outside developer mode
+                    if (this.developerMode && obj.isAgent()) {
+                        this.writeText(`[DEV] Goal: ${obj.goal}\n`);
+                        obj.plan.forEach((step, index) => {
+                            this.writeText(`  ${index + 1}. ${step}${index === 0 ? ' (now)' : ''}\n`);
                         });
                         this.writeText("\n");
                     }
@@ -741,12 +820,10 @@ class ASCIITerminal {
                 const [id, name, ...descParts] = args;
                 const objDescription = descParts.join(' ');
                 const parentId = null; // For now, create at root level
-                const created = world.createObject(id, name, objDescription, parentId);
-                if (created) {
-                    this.writeText(`Created: ${name}\n`);
-                } else {
-                    this.writeText(`Failed to create object "${id}"\n`);
-                }
+                this.runServerCommand("Creating...", async () => {
+                    await client.createObject(id, name, objDescription, parentId);
+                    return `Created: ${name}\n`;
+                });
                 break;
                 
             case 'move':
@@ -754,12 +831,21 @@ class ASCIITerminal {
                     this.writeText("Usage: move <object> <destination>\n");
                     return;
                 }
-                const success = world.moveObject(args[0], args[1]);
-                if (success) {
-                    this.writeText(`Moved ${args[0]} to ${args[1]}\n`);
-                } else {
-                    this.writeText(`Failed to move ${args[0]}\n`);
+                this.runServerCommand("Moving...", async () => {
+                    await client.moveObject(args[0], args[1]);
+                    return `Moved ${args[0]} to ${args[1]}\n`;
+                });
+                break;
+                
+            case 'remove':
+                if (args.length < 1) {
+                    this.writeText("Usage: remove <object>\n");
+                    return;
                 }
+                this.runServerCommand("Removing...", async () => {
+                    await client.removeObject(args[0]);
+                    return `Removed ${args[0]}\n`;
+                });
                 break;
                 
             case 'relate':
@@ -767,54 +853,284 @@ class ASCIITerminal {
                     this.writeText("Usage: relate <object1> <relationship> <object2> [progress]\n");
                     return;
                 }
-                const fromObj = world.getObject(args[0]);
-                if (fromObj) {
-                    const progress = args[3] ? parseFloat(args[3]) : null;
-                    fromObj.addRelationship(args[1], args[2], progress);
-                    this.writeText(`Added relationship: ${args[0]} ${args[1]} ${args[2]}\n`);
-                } else {
-                    this.writeText(`Object "${args[0]}" not found\n`);
+                const progress = args[3] ? parseFloat(args[3]) : null;
+                this.runServerCommand("Relating...", async () => {
+                    await client.addRelationship(args[0], args[1], args[2], progress);
+                    return `Added relationship: ${args[0]} ${args[1]} ${args[2]}\n`;
+                });
+                break;
+                
+            case 'unrelate':
+                if (args.length < 3) {
+                    this.writeText("Usage: unrelate <object1> <relationship> <object2>\n");
+                    return;
                 }
+                this.runServerCommand("Unrelating...", async () => {
+                    await client.removeRelationship(args[0], args[1], args[2]);
+                    return `Removed relationship: ${args[0]} ${args[1]} ${args[2]}\n`;
+                });
                 break;
                 
             case 'who':
             case 'me':
-                if (world.playerObjectId) {
-                    const player = world.getObject(world.playerObjectId);
+                const playerId = this.roomSeat || world.playerObjectId;
+                if (playerId) {
+                    const player = world.getObject(playerId);
                     if (player) {
                         this.writeText(`\nYou are ${player.name}.\n`);
                         this.writeText(`${player.description}\n\n`);
+                        if (world.party.length > 1) {
+                            this.writeText(`Party: ${world.party.map(id => (world.getObject(id) || { name: id }).name).join(', ')}\n\n`);
+                        }
                     }
                 } else {
                     this.writeText("No player character set.\n");
                 }
                 break;
                 
+            case 'possess':
+                if (args.length === 0) {
+                    this.writeText("Usage: possess <object>\n");
+                    return;
+                }
+                this.runServerCommand("Possessing...", async () => {
+                    await client.possess(args[0]);
+                    const possessed = world.getObject(args[0]);
+                    const [last] = world.narrativeHistory(possessed.id, 1);
+                    let text = `You are now ${possessed.name}${possessed.parent ? `, in ${possessed.parent.name}` : ''}.\n`;
+                    if (last) {
+                        text += `Last time, as ${possessed.name}: ${last.narrative}\n`;
+                    }
+                    return text;
+                });
+                break;
+                
+            case 'party':
+                if ((args[0] || '').toLowerCase() === 'remove') {
+                    if (!args[1]) {
+                        this.writeText("Usage: party remove <object>\n");
+                        return;
+                    }
+                    this.runServerCommand("Updating party...", async () => {
+                        await client.leaveParty(args[1]);
+                        return `${args[1]} left the party.\n`;
+                    });
+                    return;
+                }
+                this.writeText(this.formatParty());
+                break;
+
+            case 'goal':
+                if (args.length === 0) {
+                    this.writeText("Usage: goal <object> [goal | off]\n");
+                    return;
+                }
+                const agent = world.getObject(args[0]);
+                if (!agent) {
+                    this.writeText(`Object "${args[0]}" not found.\n`);
+                    return;
+                }
+                if (args.length === 1) {
+                    this.writeText(agent.isAgent() ? `${agent.name} is after: ${agent.goal}\n` : `${agent.name} has no goal of its own.\n`);
+                    return;
+                }
+                const goal = args.slice(1).join(' ');
+                const stop = goal.toLowerCase() === 'off';
+                this.runServerCommand("Setting goal...", async () => {
+                    await client.setGoal(agent.id, stop ? null : goal);
+                    return stop
+                        ? `${agent.name} no longer pursues a goal of its own.\n`
+                        : `${agent.name} now acts on its own: ${goal} (it makes a plan as the world moves on)\n`;
+                });
+                break;
+
+            case 'join':
+                if (args.length === 0) {
+                    this.writeText("Usage: join <object> [your name]\n");
+                    return;
+                }
+                if (!world.getObject(args[0])) {
+                    this.writeText(`Object "${args[0]}" not found.\n`);
+                    return;
+                }
+                this.joinRoom(args[0], args.slice(1).join(' '));
+                break;
+
+            case 'say':
+                if (!client.room) {
+                    this.writeText("You're playing alone. Join others with /join <object> [your name].\n");
+                    return;
+                }
+                if (args.length === 0) {
+                    this.writeText("Usage: say <text>\n");
+                    return;
+                }
+                client.sendChat(args.join(' '));
+                break;
+
+            case 'players':
+                if (!client.room) {
+                    this.writeText("You're playing alone. Join others with /join <object> [your name].\n");
+                    return;
+                }
+                this.writeText(this.formatPlayers());
+                break;
+
+            case 'leave':
+                if (!client.room) {
+                    this.writeText("You're not in a game with others.\n");
+                    return;
+                }
+                client.leaveRoom();
+                this.roomPlayers = [];
+                this.roomSeat = null;
+                this.writeText("You left the game. Actions run as your own turns again.\n");
+                break;
+
+            case 'story':
+                const storyId = args[0] || this.roomSeat || world.playerObjectId;
+                const storyTeller = world.getObject(storyId);
+                if (!storyTeller) {
+                    this.writeText(`Object "${storyId}" not found.\n`);
+                    return;
+                }
+                const story = world.narrativeHistory(storyTeller.id, args[1] ? parseInt(args[1], 10) : 5);
+                if (story.length === 0) {
+                    this.writeText(`\nNothing has been told as ${storyTeller.name} yet.\n\n`);
+                    return;
+                }
+                this.writeText(`\n=== The story of ${storyTeller.name} ===\n`);
+                story.forEach(({ turn, type, action, narrative }) => {
+                    this.writeText(type === 'turn' ? `\n[${turn}] > ${action}\n${narrative}\n` : `\n[${turn}] ${narrative}\n`);
+                });
+                this.writeText("\n");
+                break;
+                
             case 'save':
-                const data = world.export();
-                localStorage.setItem('vivarium_world', JSON.stringify(data));
-                this.writeText("World saved.\n");
+                if (args.length === 0) {
+                    this.writeText("Usage: save <name>\n");
+                    return;
+                }
+                this.runServerCommand("Saving...", async () => {
+                    await client.saveSlot(args[0]);
+                    return `World saved to "${args[0]}".\n`;
+                });
                 break;
                 
             case 'load':
-                const savedData = localStorage.getItem('vivarium_world');
-                if (savedData) {
-                    world.import(JSON.parse(savedData));
-                    this.writeText("World loaded.\n");
-                } else {
-                    this.writeText("No saved world found.\n");
+                if (args.length === 0) {
+                    this.writeText("Usage: load <name> (see /saves)\n");
+                    return;
+                }
+                this.runServerCommand("Loading...", async () => {
+                    await client.loadSlot(args[0]);
+                    return `World loaded from "${args[0]}".\n`;
+                });
+                break;
+                
+            case 'time':
+                const timeSetting = (args[0] || '').toLowerCase();
+                if (!timeSetting) {
+                    this.writeText(`Time ${world.simulationTime}. Idle ticks: ${this.formatTimeStatus(client.time)}\n`);
+                    return;
+                }
+                let settings = null;
+                if (timeSetting === 'pause') settings = { paused: true };
+                if (timeSetting === 'resume') settings = { paused: false };
+                if (timeSetting === 'rate' && parseFloat(args[1]) > 0) settings = { seconds: parseFloat(args[1]) };
+                if (!settings) {
+                    this.writeText("Usage: time [pause | resume | rate <seconds>]\n");
+                    return;
+                }
+                this.runServerCommand("Adjusting time...", async () => `Idle ticks: ${this.formatTimeStatus(await client.setTime(settings))}\n`);
+                break;
+                
+            case 'undo':
+            case 'rewind':
+                const steps = command === 'undo' ? 1 : parseInt(args[0], 10);
+                if (!steps) {
+                    this.writeText("Usage: rewind <turns>\n");
+                    return;
+                }
+                this.runServerCommand("Rewinding...", async () => {
+                    await client.undo(steps);
+                    return `Undid ${steps} turn${steps === 1 ? '' : 's'}. Time is now ${world.simulationTime}.\n`;
+                });
+                break;
+                
+            case 'branch':
+                if (args.length === 0) {
+                    this.writeText("Usage: branch <name> [turn]\n");
+                    return;
+                }
+                const forkTurn = args[1] !== undefined ? parseInt(args[1], 10) : null;
+                this.runServerCommand("Switching timeline...", async () => {
+                    await client.checkoutBranch(args[0], forkTurn);
+                    return `On branch "${args[0]}" at time ${world.simulationTime}.\n`;
+                });
+                break;
+                
+            case 'timeline':
+                this.runServerCommand("Fetching timeline...", async () => this.formatTimeline(await client.fetchTimeline()));
+                break;
+                
+            case 'history':
+                if ((args[0] || '').toLowerCase() === 'export') {
+                    this.runServerCommand("Exporting chronicle...", async () => {
+                        const { chronicle } = await client.fetchChronicle(args[1] || null);
+                        this.downloadJson(`chronicle-${args[1] || client.worldId}.json`, chronicle);
+                        return `Exported ${chronicle.length} chronicle entr${chronicle.length === 1 ? 'y' : 'ies'}.\n`;
+                    });
+                    return;
+                }
+                if (args[0] && !/^\d+$/.test(args[0])) {
+                    const historyObject = world.getObject(args[0]);
+                    if (!historyObject) {
+                        this.writeText(`Object "${args[0]}" not found.\n`);
+                        return;
+                    }
+                    this.writeText(this.formatChronicle(world.objectHistory(historyObject.id), `History of ${historyObject.name}`));
+                    return;
+                }
+                const historyCount = args[0] ? parseInt(args[0], 10) : 5;
+                this.writeText(this.formatChronicle(world.chronicle.slice(-historyCount), 'Chronicle'));
+                break;
+                
+            case 'saves':
+                this.runServerCommand("Fetching saves...", async () => this.formatSaveList(await client.listSaves()));
+                break;
+                
+            case 'delete':
+                if (args.length === 0) {
+                    this.writeText("Usage: delete <name>\n");
+                    return;
                 }
+                this.runServerCommand("Deleting...", async () => {
+                    await client.deleteSave(args[0]);
+                    return `Deleted save "${args[0]}".\n`;
+                });
                 break;
                 
             case 'status':
                 this.writeText(`\n=== World Status ===\n`);
-                this.writeText(`Simulation: ${world.isSimulating ? 'RUNNING' : 'STOPPED'}\n`);
+                this.writeText(`World: ${client.worldId} (hosted by the server)\n`);
                 this.writeText(`Time: ${world.simulationTime}\n`);
+                this.writeText(`Strategy: ${world.simulationStrategy}\n`);
+                this.writeText(`Autosave: ${client.autoSaveTurns > 0 ? `every ${client.autoSaveTurns} turns` : 'OFF'}\n`);
+                this.writeText(`Idle ticks: ${this.formatTimeStatus(client.time)}\n`);
+                if (client.queue) {
+                    const queue = client.queue;
+                    this.writeText(`LLM Queue: ${queue.waiting} waiting, ${queue.active}/${queue.maxConcurrent} active\n`);
+                }
                 this.writeText(`Objects: ${world.objects.size}\n`);
                 this.writeText(`Root: ${world.rootObject ? world.rootObject.name : 'None'}\n`);
                 this.writeText(`Developer Mode: ${this.developerMode ? 'ENABLED' : 'DISABLED'}\n\n`);
                 break;
                 
+            case 'usage':
+                this.showUsage(args[0] ? parseInt(args[0], 10) : 5);
+                break;
+                
             case 'dev':
             case 'debug':
                 this.toggleDeveloperMode();
@@ -823,15 +1139,36 @@ class ASCIITerminal {
             case 'help':
             case '?':
                 this.writeText(`\n=== Available Commands (prefix with /) ===\n`);
-                this.writeText(`/look [object]        - Describe world or specific object\n`);
+                this.writeText(`/look [object]        - Describe what you perceive, or one thing you can sense\n`);
                 this.writeText(`/examine <object>     - Detailed inspection of object\n`);
                 this.writeText(`/list                 - List all objects\n`);
                 this.writeText(`/who / /me            - Show your character\n`);
+                this.writeText(`/possess <object>     - Play as any object (it joins your party)\n`);
+                this.writeText(`/party [remove <object>] - List the characters you can switch between, or drop one\n`);
+                this.writeText(`/story [object] [n]   - The last n narrations told as a character (default: you, 5)\n`);
+                this.writeText(`/join <object> [name] - Play this world together with others, as object\n`);
+                this.writeText(`/say <text>           - Talk to the other players\n`);
+                this.writeText(`/players              - Who is playing, and as what\n`);
+                this.writeText(`/leave                - Go back to playing alone\n`);
                 this.writeText(`/create <id> <name> <description> - Create new object\n`);
                 this.writeText(`/move <object> <dest> - Move object to new location\n`);
+                this.writeText(`/remove <object> - Remove an object (its contents stay behind)\n`);
+                this.writeText(`/goal <object> [goal | off] - Give an object a goal to pursue on its own\n`);
                 this.writeText(`/relate <obj1> <rel> <obj2> [progress] - Add relationship\n`);
-                this.writeText(`/save / /load         - Save/load world state\n`);
+                this.writeText(`/unrelate <obj1> <rel> <obj2> - Remove relationship\n`);
+                this.writeText(`/time [pause|resume|rate <s>] - Control time passing between turns\n`);
+                this.writeText(`/undo                 - Take back the last turn\n`);
+                this.writeText(`/rewind <n>           - Take back the last n turns\n`);
+                this.writeText(`/branch <name> [turn] - Switch to a timeline, forking it from a past turn\n`);
+                this.writeText(`/timeline             - Show the turn tree and branches\n`);
+                this.writeText(`/history [n | object] - What changed in the last n turns (default 5) or to one object\n`);
+                this.writeText(`/history export [object] - Download the chronicle as JSON\n`);
+                this.writeText(`/save <name>          - Save the world to a named slot\n`);
+                this.writeText(`/load <name>          - Load a saved slot\n`);
+                this.writeText(`/saves                - List save slots\n`);
+                this.writeText(`/delete <name>        - Delete a save slot\n`);
                 this.writeText(`/status               - Show world status\n`);
+                this.writeText(`/usage [turns]        - Token usage and cost this session\n`);
                 this.writeText(`/dev                  - Toggle developer mode logging\n`);
                 this.writeText(`/help                 - Show this help\n\n`);
                 this.writeText(`=== Actions (no prefix) ===\n`);
@@ -848,17 +1185,363 @@ class ASCIITerminal {
     }
 
     processPlayerAction(input) {
+        if (!world) {
+            this.writeText("Not connected to the game server. Start it with: npm start, then refresh.\n");
+            return;
+        }
+
+        // Playing with others: the action waits in the turn window and the narration arrives with the turn
+        if (client.room) {
+            client.sendAction(input);
+            this.writeText("Waiting for the others... (act again to change your mind)\n");
+            return;
+        }
+
         // Process player action through world simulation
         this.writeText("Processing...\n");
-        world.processPlayerAction(input).then(result => {
-            // Clear the "Processing..." line and show result
-            this.clearLastLine();
-            this.writeText(result);
+        
+        // Hold input while the narrator types so the cursor doesn't overwrite streamed text
+        this.inputMode = false;
+        
+        // Narration streams in as the LLM produces it
+        let streamed = '';
+        const onNarrativeDelta = (delta) => {
+            if (!streamed) {
+                this.clearLastLine(); // Replace "Processing..." with the first words
+            }
+            streamed += delta;
+            this.typeText(delta);
+        };
+        
+        // The turn runs on the server; the mirror world catches up from the returned diff
+        client.act(input, { onNarrativeDelta, onLog: message => this.devLog(message) }).then(result => {
+            if (!streamed) {
+                // Clear the "Processing..." line and show result
+                this.clearLastLine();
+                this.typeText(result);
+            } else if (result.startsWith(streamed)) {
+                // Finish off whatever the stream didn't cover (final punctuation, newline)
+                this.typeText(result.slice(streamed.length));
+            } else {
+                this.typeText(`\n${result}`);
+            }
         }).catch(error => {
             console.error('Action processing failed:', error);
+            if (!streamed) {
+                this.clearLastLine();
+                this.typeText(`Error: ${error.message}\n`);
+            } else {
+                this.typeText(`\nError: ${error.message}\n`);
+            }
+        }).finally(() => {
+            this.whenTypingDone().then(() => this.resumeInput());
+        });
+    }
+    
+    // Run a request against the server-hosted world, holding input until it answers
+    // task resolves to the text to print on success
+    runServerCommand(statusText, task) {
+        this.writeText(`${statusText}\n`);
+        this.inputMode = false;
+        
+        task().then(text => {
+            this.clearLastLine();
+            this.writeText(text);
+        }).catch(error => {
+            console.error('Server command failed:', error);
+            this.clearLastLine();
+            this.writeText(`Error: ${error.message}\n`);
+        }).finally(() => {
+            this.resumeInput();
+        });
+    }
+    
+    // Describe the idle tick settings from the server
+    formatTimeStatus(time) {
+        if (!time) return 'unknown';
+        if (time.paused) return `PAUSED (every ${time.seconds}s when resumed)`;
+        return `every ${time.seconds}s${time.running ? '' : ' (waiting for a connection)'}`;
+    }
+    
+    // Render the turn tree; a chain of turns stays in one column and forks indent
+    // "*" marks turns on the current path, [names] the branches that end at a turn
+    formatTimeline(timeline) {
+        if (timeline.roots.length === 0) {
+            return `\nNo turns yet on branch "${timeline.branch}".\n\n`;
+        }
+        
+        const heads = new Map(); // node id -> branch names whose latest turn it is
+        timeline.branches.forEach(({ name, head }) => {
+            if (head === null) return;
+            if (!heads.has(head)) heads.set(head, []);
+            heads.get(head).push(name);
+        });
+        
+        let text = `\n=== Timeline (branch: ${timeline.branch}) ===\nstart\n`;
+        const line = (node, prefix) => {
+            const action = node.action.length > 50 ? `${node.action.slice(0, 47)}...` : node.action;
+            const labels = heads.has(node.id) ? ` [${heads.get(node.id).join(', ')}]` : '';
+            return `${prefix}${node.current ? '*' : ' '} ${node.turn}. ${action}${labels}\n`;
+        };
+        const walk = (nodes, indent) => {
+            if (nodes.length === 1) {
+                text += line(nodes[0], indent);
+                walk(nodes[0].children, indent);
+                return;
+            }
+            nodes.forEach((node, i) => {
+                const last = i === nodes.length - 1;
+                text += line(node, indent + (last ? '└─ ' : '├─ '));
+                walk(node.children, indent + (last ? '   ' : '│  '));
+            });
+        };
+        walk(timeline.roots, '');
+        
+        return text + "\n";
+    }
+    
+    // Render chronicle entries, oldest first: the action, who reacted and what changed
+    formatChronicle(entries, title) {
+        if (entries.length === 0) {
+            return `\nNothing in the chronicle yet.\n\n`;
+        }
+        
+        const name = id => {
+            const obj = world.getObject(id);
+            return obj ? obj.name : id;
+        };
+        const words = text => text.length > 70 ? `${text.slice(0, 67)}...` : text;
+        
+        let text = `\n=== ${title} ===\n`;
+        entries.forEach(entry => {
+            text += entry.type === 'turn' ? `\n[${entry.turn}] > ${entry.action}\n` : `\n[${entry.turn}] (time passes)\n`;
+            entry.reactions.forEach(({ objectId, action }) => {
+                text += `  ${name(objectId)}: ${words(action)}\n`;
+            });
+            entry.relationships.forEach(({ change, from, relationship, to, progress, reason }) => {
+                const detail = change === 'added' && progress < 1 ? ` (${Math.round(progress * 100)}%)` : change === 'ended' ? ` (${reason})` : '';
+                text += `  🔗 ${change}: ${name(from)} ${relationship} ${name(to)}${detail}\n`;
+            });
+            entry.moves.forEach(({ objectId, from, to }) => {
+                text += `  ➡️ ${name(objectId)} moved ${from ? `from ${name(from)} ` : ''}into ${name(to)}\n`;
+            });
+            entry.objects.forEach(({ change, name: objectName, reason }) => {
+                text += `  🧱 ${change}: ${objectName}${reason ? ` (${reason})` : ''}\n`;
+            });
+            entry.properties.forEach(({ objectId, property, before, after }) => {
+                text += `  🔧 ${name(objectId)}.${property}: ${before} → ${after}\n`;
+            });
+            entry.descriptions.forEach(({ objectId, after }) => {
+                text += `  📝 ${name(objectId)}: ${words(after)}\n`;
+            });
+            if (entry.narratives) {
+                Object.entries(entry.narratives).forEach(([objectId, narrative]) => {
+                    text += `  ${name(objectId)} heard: ${words(narrative)}\n`;
+                });
+            } else if (entry.narrative) {
+                text += `  ${words(entry.narrative)}\n`;
+            }
+        });
+        
+        return text + "\n";
+    }
+    
+    // Render /party: every character you can switch between, where it is and what it last heard
+    formatParty() {
+        let text = `\n=== Party ===\n`;
+        world.party.forEach(id => {
+            const member = world.getObject(id);
+            if (!member) return;
+            const [last] = world.narrativeHistory(id, 1);
+            const where = member.parent ? ` (in ${member.parent.name})` : '';
+            text += `${id === world.playerObjectId ? '*' : ' '} ${member.name} [${id}]${where}\n`;
+            if (last) {
+                text += `    ${last.narrative.length > 70 ? `${last.narrative.slice(0, 67)}...` : last.narrative}\n`;
+            }
+        });
+        return text + `\nSwitch with /possess <object>.\n\n`;
+    }
+    
+    // Render /players: who is playing this world together and as what
+    formatPlayers() {
+        let text = `\n=== Players ===\n`;
+        this.roomPlayers.forEach(({ name, objectId }) => {
+            const seat = objectId ? world.getObject(objectId) : null;
+            text += `${objectId && objectId === this.roomSeat ? '*' : ' '} ${name}${seat ? ` as ${seat.name} [${objectId}]` : ' (choosing a character)'}\n`;
+        });
+        return text + "\n";
+    }
+
+    // Play this world together with others in real time: actions gather in a shared turn window and
+    // one turn resolves them all, each player hearing their own narration
+    joinRoom(objectId, name) {
+        this.writeText("Joining...\n");
+        this.inputMode = false;
+
+        client.joinRoom(name || undefined, objectId, {
+            onJoined: seat => {
+                this.roomSeat = seat;
+                const obj = world.getObject(seat);
+                this.writeBetweenTurns(`You are playing as ${obj ? obj.name : seat}. Say something with /say, see who's here with /players.`);
+            },
+            onPresence: players => {
+                // Only seated players count; a fresh connection is nobody until it picks a character
+                const seated = list => new Set(list.filter(({ objectId }) => objectId).map(({ name }) => name));
+                const before = seated(this.roomPlayers);
+                const after = seated(players);
+                after.forEach(name => {
+                    if (!before.has(name)) this.writeBetweenTurns(`🎮 ${name} is here.`);
+                });
+                before.forEach(name => {
+                    if (!after.has(name)) this.writeBetweenTurns(`🎮 ${name} left.`);
+                });
+                this.roomPlayers = players;
+            },
+            onChat: ({ from, text }) => this.writeBetweenTurns(`💬 ${from}: ${text}`),
+            onWindow: ({ closesAt, waitingFor }) => {
+                const seconds = Math.max(0, Math.round((closesAt - Date.now()) / 1000));
+                this.writeBetweenTurns(`⏳ Waiting for ${waitingFor.join(', ')} (${seconds}s left)`);
+            },
+            onTurn: ({ narrative, actions }) => {
+                if (actions.length > 1) {
+                    this.writeBetweenTurns(actions.map(({ name, action }) => `> ${name}: ${action}`).join('\n'));
+                }
+                if (narrative) {
+                    this.writeBetweenTurns(narrative.trim());
+                }
+            },
+            onTick: tick => {
+                if (tick.ambient) {
+                    this.writeBetweenTurns(tick.ambient);
+                }
+            },
+            onError: message => this.writeBetweenTurns(`Error: ${message}`),
+            onClose: () => {
+                this.roomPlayers = [];
+                this.roomSeat = null;
+                this.writeBetweenTurns("The connection to the game closed. Actions run as your own turns again.");
+            }
+        }).then(() => {
+            this.clearLastLine();
+        }).catch(error => {
             this.clearLastLine();
             this.writeText(`Error: ${error.message}\n`);
+        }).finally(() => {
+            this.resumeInput();
+        });
+    }
+
+    // Offer data to the browser as a JSON file download
+    downloadJson(filename, data) {
+        const url = URL.createObjectURL(new Blob([JSON.stringify(data, null, 2)], { type: 'application/json' }));
+        const link = document.createElement('a');
+        link.href = url;
+        link.download = filename;
+        link.click();
+        URL.revokeObjectURL(url);
+    }
+    
+    // Render /saves as a table, newest first
+    formatSaveList(saves) {
+        if (saves.length === 0) {
+            return "\nNo saves yet. Use /save <name> to create one.\n\n";
+        }
+        
+        let text = `\n=== Saves ===\n`;
+        saves.forEach(save => {
+            const savedAt = new Date(save.savedAt).toLocaleString();
+            const auto = save.auto ? ' (autosave)' : '';
+            text += `${save.name.padEnd(28)} time ${String(save.simulationTime).padStart(4)}  ${savedAt}${auto}\n`;
+        });
+        return text + "\n";
+    }
+    
+    // Fetch token usage from the server and print it, with the last few turns broken down
+    showUsage(turnCount) {
+        this.writeText("Fetching usage...\n");
+        this.inputMode = false;
+        
+        client.fetchUsage().then(report => {
+            this.clearLastLine();
+            this.writeText(this.formatUsageReport(report, turnCount));
+        }).catch(error => {
+            console.error('Usage request failed:', error);
+            this.clearLastLine();
+            this.writeText(`Could not fetch usage: ${error.message}\n`);
+        }).finally(() => {
+            this.resumeInput();
+        });
+    }
+    
+    // Render a /api/usage report as text tables
+    formatUsageReport(report, turnCount) {
+        const session = report.session;
+        if (!session) {
+            return "\nNo LLM calls recorded for this session yet.\n\n";
+        }
+        
+        const number = (n) => n.toLocaleString('en-US');
+        const money = (n) => `$${n.toFixed(4)}`;
+        const row = (label, bucket) =>
+            `${label.padEnd(14)}${String(bucket.calls).padStart(6)}${number(bucket.promptTokens).padStart(10)}${number(bucket.completionTokens).padStart(12)}${money(bucket.cost).padStart(10)}\n`;
+        
+        let text = `\n=== Token Usage (this session) ===\n`;
+        text += `${'Phase'.padEnd(14)}${'Calls'.padStart(6)}${'Prompt'.padStart(10)}${'Completion'.padStart(12)}${'Cost'.padStart(10)}\n`;
+        Object.entries(session.byType).forEach(([type, bucket]) => {
+            if (bucket.calls > 0) {
+                text += row(type, bucket);
+            }
         });
+        text += row('total', session.total);
+        if (session.total.cachedCalls > 0) {
+            text += `(${session.total.cachedCalls} calls answered from the server cache at no cost)\n`;
+        }
+        
+        const model = client.model;
+        if (model && !report.prices[model]) {
+            text += `No price set for ${model} - costs show as $0 (see LLM_PRICES_FILE)\n`;
+        }
+        
+        const turns = session.turns.slice(-turnCount);
+        if (turns.length > 0) {
+            text += `\n=== Last ${turns.length} Turn${turns.length === 1 ? '' : 's'} ===\n`;
+            turns.forEach(({ turn, byType, total }) => {
+                const phases = Object.entries(byType)
+                    .filter(([, bucket]) => bucket.calls > 0)
+                    .map(([type, bucket]) => `${type} ${number(bucket.promptTokens + bucket.completionTokens)}`)
+                    .join(', ');
+                text += `Turn ${turn}: ${number(total.promptTokens + total.completionTokens)} tokens, ${money(total.cost)} (${phases})\n`;
+            });
+        }
+        
+        return text + "\n";
+    }
+    
+    // Print a line that arrives between turns (ambient narration, idle tick logs) above the input line,
+    // keeping whatever the player has typed; while a turn or command runs it waits for the next prompt
+    writeBetweenTurns(text) {
+        this.pendingLines.push(text);
+        if (!this.inputMode) return;
+        
+        const typed = this.inputBuffer;
+        for (let x = 0; x < this.cols; x++) {
+            this.updateCharacter(x, this.cursor.y, ' ');
+        }
+        this.cursor.x = 0;
+        this.resumeInput();
+        this.inputBuffer = typed;
+        this.redrawInputLine();
+    }
+    
+    // Show a fresh prompt and accept input again
+    resumeInput() {
+        this.pendingLines.splice(0).forEach(line => this.writeText(`${line}\n`));
+        this.writeText('>> ');
+        this.inputStartX = this.cursor.x;
+        this.inputBuffer = '';
+        this.inputMode = true;
+        this.showCursor = true;
+        this.redrawInputLine();
     }
     
     handleBackspace() {
@@ -955,50 +1638,36 @@ class ASCIITerminal {
     }
 }
 
-// Global world instance
+// Connection to the server that hosts the world
+const client = new WorldClient();
+
+// Global world instance - a mirror of the server's world, updated after every turn and edit
 let world = null;
 
-// World update callback for terminal display
-window.onWorldUpdate = (worldInstance) => {
-    if (world && world.isSimulating) {
-        // Optional: Show simulation updates in terminal
-        // Uncomment to see live simulation updates:
-        // terminal.writeText(`[Sim ${world.simulationTime}] World updated\n`);
+// Join (or create) this browser's world on the server
+async function initializeWorld() {
+    try {
+        const health = await client.checkHealth();
+        if (health.configured) {
+            console.log(`✅ LLM provider ready on server: ${health.provider} (${health.model})`);
+        } else {
+            console.warn(`⚠️ Server running but provider "${health.provider}" is not configured`);
+        }
+        
+        world = await client.connect();
+        
+        // Autosave settings from config.js, when present
+        const config = window.VIVARIUM_CONFIG;
+        if (config && config.AUTO_SAVE !== undefined) {
+            await client.setAutoSave(config.AUTO_SAVE ? (config.AUTO_SAVE_TURNS || 5) : 0);
+        }
+        console.log(`World ${client.worldId} ready (${world.scenario || 'custom'} scenario)`);
+        return world;
+    } catch (error) {
+        console.warn('❌ Game server not reachable. Start it with: npm start');
+        console.warn('   Then refresh this page.');
+        return null;
     }
-};
-
-// Initialize world with starting scenario
-function initializeWorld() {
-    world = new World();
-    
-    // Create the initial world - a simple boat scenario
-    const ocean = world.createObject('ocean', 'The Endless Ocean', 'Dark waters stretch beyond the horizon, dotted with mysterious islands.');
-    
-    const island = world.createObject('island_1', 'Fog-Shrouded Island', 'A small landmass wrapped in perpetual mist. Ancient structures peek through the gray veil.', 'ocean');
-    
-    const dock = world.createObject('dock_1', 'Weathered Dock', 'Rotting wooden planks extend into the black water. Something stirs beneath the surface.', 'island_1');
-    
-    const boat = world.createObject('boat_1', 'Small Fishing Boat', 'A humble vessel with nets and basic supplies. Its paint is faded, its wood warped by salt.', 'dock_1');
-    
-    // Add objects inside the boat
-    const sam = world.createObject('sam', 'Sam', 'A weathered sailor with knowing eyes. Your hands are calloused from years at sea.', 'boat_1');
-    const steeringWheel = world.createObject('wheel', 'Steering Wheel', 'A worn wooden wheel, smooth from countless hands. It responds to the slightest touch.', 'boat_1');
-    const cat = world.createObject('ship_cat', 'Ship Cat', 'A gray tabby with sea-green eyes. It moves with perfect balance despite the rolling waves.', 'boat_1');
-    const catTail = world.createObject('cat_tail', 'Cat Tail', 'A gray striped tail that twitches and flicks with feline emotion.', 'ship_cat');
-    
-    const lighthouse = world.createObject('lighthouse_1', 'Abandoned Lighthouse', 'A tall stone tower, its light long extinguished. Strange symbols are carved into its base.', 'island_1');
-    
-    // Add some relationships
-    boat.addRelationship('docked_at', 'dock_1', 0);
-    lighthouse.addRelationship('watches_over', 'dock_1', null);
-    lighthouse.addRelationship('beacon_for', 'boat_1', 0.3); // Lighthouse slowly reactivating
-    
-    // Set player possession
-    world.playerObjectId = 'sam';
-    
-    console.log('World initialized with starting scenario');
-    console.log('You are Sam, aboard the fishing boat.');
-    return world;
 }
 
 // Wait for fonts to load before initializing terminal
@@ -1022,8 +1691,25 @@ document.addEventListener('DOMContentLoaded', async () => {
     console.log('Row backgrounds: Even=#0a0a0a, Odd=#121212 (use useVisibleRowColors() for better visibility)');
     console.log('Try useVisibleRowColors() for more visible background alternation!');
     
-    // Initialize the world
-    world = initializeWorld();
+    // Connect to the world on the server
+    world = await initializeWorld();
+    if (!world) {
+        terminal.writeText("Cannot reach the game server. Start it with: npm start, then refresh.\n");
+    } else {
+        // The world keeps moving between turns; show what the player notices as it does
+        client.listen({
+            onTick: tick => {
+                if (tick.ambient) {
+                    terminal.writeBetweenTurns(tick.ambient);
+                }
+            },
+            onLog: message => {
+                if (terminal.developerMode) {
+                    terminal.writeBetweenTurns(`[DEV] ${message}`);
+                }
+            }
+        });
+    }
     
     // Make terminal globally accessible for debugging
 window.terminal = terminal;
@@ -1097,13 +1783,9 @@ window.testPadding = () => {
             return;
         }
         
-        const obj = world.createObject(id, name, description, parentId);
-        if (obj) {
-            console.log(`Created object: ${name} (${id})`);
-            return obj;
-        } else {
-            console.log(`Failed to create object with id: ${id}`);
-        }
+        client.createObject(id, name, description, parentId)
+            .then(() => console.log(`Created object: ${name} (${id})`))
+            .catch(error => console.log(`Failed to create object with id: ${id} (${error.message})`));
     };
     
     // Move an object to a new location
@@ -1113,12 +1795,9 @@ window.testPadding = () => {
             return;
         }
         
-        const success = world.moveObject(objectId, newParentId);
-        if (success) {
-            console.log(`Moved ${objectId} to ${newParentId}`);
-        } else {
-            console.log(`Failed to move ${objectId}`);
-        }
+        client.moveObject(objectId, newParentId)
+            .then(() => console.log(`Moved ${objectId} to ${newParentId}`))
+            .catch(error => console.log(`Failed to move ${objectId} (${error.message})`));
     };
     
     // Add relationship between objects
@@ -1128,13 +1807,26 @@ window.testPadding = () => {
             return;
         }
         
-        const obj = world.getObject(fromId);
-        if (obj) {
-            obj.addRelationship(relationship, toId, progress);
-            console.log(`Added relationship: ${fromId} ${relationship} ${toId}${progress !== null ? ` (${progress})` : ''}`);
-        } else {
-            console.log(`Object ${fromId} not found`);
+        client.addRelationship(fromId, relationship, toId, progress)
+            .then(() => console.log(`Added relationship: ${fromId} ${relationship} ${toId}${progress !== null ? ` (${progress})` : ''}`))
+            .catch(error => console.log(`Failed to add relationship (${error.message})`));
+    };
+    
+    // Choose how objects are simulated: 'batched' (one LLM call per depth) or 'per-object'
+    window.setSimulationStrategy = (strategy) => {
+        if (!world) {
+            console.log('World not initialized');
+            return;
         }
+        
+        if (strategy !== 'batched' && strategy !== 'per-object') {
+            console.log('Strategy must be "batched" or "per-object"');
+            return;
+        }
+        
+        client.setSimulationStrategy(strategy)
+            .then(() => console.log(`Simulation strategy set to ${strategy}`))
+            .catch(error => console.log(`Failed to set simulation strategy (${error.message})`));
     };
     
     // Process a player action (for console use)
@@ -1145,7 +1837,7 @@ window.testPadding = () => {
         }
         try {
             console.log('Processing action...');
-            const result = await world.processPlayerAction(action);
+            const result = await client.act(action);
             console.log(result);
             return result;
         } catch (error) {
@@ -1184,30 +1876,60 @@ window.testPadding = () => {
         }
     };
     
-    // Save world state
-    window.saveWorld = () => {
+    // Save world state to a named slot on the server
+    window.saveWorld = (name) => {
         if (!world) {
             console.log('World not initialized');
             return;
         }
         
-        const data = world.export();
-        localStorage.setItem('vivarium_world', JSON.stringify(data));
-        console.log('World saved to localStorage');
+        client.saveSlot(name)
+            .then(save => console.log(`World saved to "${save.name}"`))
+            .catch(error => console.error('Failed to save world:', error));
     };
     
-    // Load world state
-    window.loadWorld = () => {
+    // Load world state from a named slot on the server
+    window.loadWorld = (name) => {
+        client.loadSlot(name)
+            .then(() => console.log(`World loaded from "${name}"`))
+            .catch(error => console.error('Failed to load world:', error));
+    };
+    
+    // Bring a save from before server-side slots (kept in localStorage) into the current world
+    window.importLocalSave = () => {
         const data = localStorage.getItem('vivarium_world');
         if (data) {
-            if (!world) world = new World();
-            world.import(JSON.parse(data));
-            console.log('World loaded from localStorage');
+            client.importState(JSON.parse(data))
+                .then(() => console.log('World loaded from localStorage'))
+                .catch(error => console.error('Failed to load world:', error));
         } else {
             console.log('No saved world found');
         }
     };
     
+    // Check the game server and its LLM provider
+    window.checkLLM = async () => {
+        try {
+            const health = await client.checkHealth();
+            console.log(`🤖 LLM Status: ${health.configured ? '✅ Available' : '❌ Not Available'}`);
+            console.log(`📡 Game server at: ${client.baseUrl}`);
+            console.log(`🧠 Provider: ${health.provider} (${health.model})`);
+            console.log(`🌍 World: ${client.worldId || 'not connected'}`);
+            
+            if (!health.configured) {
+                console.log('');
+                console.log('🛠️ To fix:');
+                console.log('1. Create .env file with a provider key, e.g. GROQ_API_KEY=your-key-here');
+                console.log('   (or LLM_PROVIDER=ollama for a local model - see .env.example)');
+                console.log('2. Restart the server: npm start');
+            }
+            return health.configured;
+        } catch (error) {
+            console.log('❌ Game server not reachable. Start it with: npm start, then refresh this page.');
+            return false;
+        }
+    };
+    
     // Debug function to test character rendering
     window.testChar = (char = 'A', x = 5, y = 5) => {
         terminal.updateCharacter(x, y, char);
@@ -1536,18 +2258,26 @@ window.testPadding = () => {
 ║ act(action)                      - Process player action     ║
 ║   Example: act("turn the steering wheel")                    ║
 ║ demoActions()                    - Test narrator with examples║
-║ saveWorld() / loadWorld()        - Save/load world state     ║
+║ setSimulationStrategy(s)         - 'batched' or 'per-object' ║
+║ saveWorld(name) / loadWorld(name) - Save/load a named slot   ║
+║ importLocalSave()                - Load an old browser save  ║
 ║                                                              ║
 ║ === LLM INTEGRATION ===                                      ║
-║ SETUP: cp config.example.js config.js, add your API key     ║
-║ setApiKey("your-key")            - Configure Groq API key    ║
+║ SETUP: cp .env.example .env, configure your LLM provider    ║
 ║ checkLLM()                       - Check LLM status          ║
 ║   ⚠️  REQUIRED: Narrator now requires LLM - no fallbacks    ║
-║   With API key: Uses Groq/Kimi K2 for all responses         ║
+║   Provider (Groq/Anthropic/OpenAI/Ollama) set in server .env ║
 ║                                                              ║
 ║ === IN-GAME COMMANDS ===                                     ║
 ║ Type commands with "/" prefix in terminal:                   ║
-║ - /look, /examine <object>, /list, /who, /save, /load, /help ║
+║ - /look, /examine <object>, /list, /who, /help              ║
+║ - /possess <object>, /party, /story (play as anything)      ║
+║ - /join <object> [name], /say, /players, /leave (together)  ║
+║ - /goal <object> <goal> (agents act on their own plans)     ║
+║ - /save <name>, /load <name>, /saves, /delete <name>        ║
+║ - /undo, /rewind <n>, /branch <name> [turn], /timeline      ║
+║ - /time [pause | resume | rate <seconds>] (idle ticks)      ║
+║ - /history [n | object], /history export (the chronicle)    ║
 ║ - /dev (toggle developer mode), /status                     ║
 ║ - Any text WITHOUT "/" becomes a player action!             ║
 ║                                                              ║
@@ -0,0 +1,444 @@
+// Offline stand-in LLM for The Vivarium
+// Recognizes each prompt family LLMManager emits and answers in that family's format
+// (JSON for simulation, relationships, object changes, descriptions, memory summaries and plans; prose for narration)
+// using deterministic heuristics - no network, no API key
+
+// Reactions to the player's verb when an object is the target of the action
+const VERB_REACTIONS = [
+    [/\b(turn|steer|spin|rotate)\b/, 'creaks as it turns'],
+    [/\b(pet|stroke|scratch|pat)\b/, 'leans into the touch'],
+    [/\b(shout|yell|call|sing|whistle)\b/, 'startles at the noise'],
+    [/\b(light|ignite|burn)\b/, 'flickers in the new light'],
+    [/\b(hit|kick|smash|break|strike|punch)\b/, 'shudders from the impact'],
+    [/\b(push|pull|drag|lift|grab|take)\b/, 'shifts under the force'],
+    [/\b(open|unlock)\b/, 'swings open slowly'],
+    [/\b(close|shut|lock)\b/, 'closes with a dull thud'],
+    [/\b(touch|hold|feel)\b/, 'feels cold and still'],
+    [/\b(look|watch|examine|inspect|stare)\b/, 'remains perfectly still']
+];
+
+// Idle behaviours for objects the action doesn't reach
+const IDLE_REACTIONS = [
+    'remains still',
+    'sways gently',
+    'settles quietly',
+    'remains still',
+    'creaks faintly'
+];
+
+// Spatial prepositions in actions and the relationship they imply
+const SPATIAL_PATTERNS = [
+    { pattern: /\b(toward|towards|approaches|approaching)\b/, relationship: 'approaching', progress: 0, time: 3 },
+    { pattern: /\b(into|enters|inside)\b/, relationship: 'in', progress: 0, time: 2 },
+    { pattern: /\b(onto|climbs on|boards)\b/, relationship: 'on', progress: 0, time: 1 },
+    { pattern: /\b(near|beside|next to)\b/, relationship: 'near', progress: 1, time: 1 },
+    { pattern: /\b(holds|grabs|carries|picks up)\b/, relationship: 'holding', progress: 1, time: 1 }
+];
+
+// Actions that break an object away from whatever it was related to
+const ENDING_PATTERN = /\b(leaves|departs|casts off|pulls away|lets go|drops|releases|escapes)\b/;
+
+// Player actions that bring something new into play: the phrase names the new object
+const CREATION_PATTERNS = [
+    { pattern: /\b(?:catch|catches|caught|hook|hooks|reel in|reels in)\s+(?:a|an|the|some)?\s*([a-z]+)/, describe: noun => `A freshly caught ${noun}, still wet and glistening.` },
+    { pattern: /\b(?:find|finds|found|discover|discovers)\s+(?:a|an|the|some)?\s*([a-z]+)/, describe: noun => `A ${noun}, found just moments ago.` },
+    { pattern: /\b(?:light|lights|start|starts|build|builds)\s+(?:a|an|the)?\s*(fire)\b/, describe: () => 'A small fire, crackling and throwing off warm light.' }
+];
+
+// Player verbs that destroy the object they name
+const DESTRUCTION_PATTERN = /\b(smash|smashes|shatter|shatters|destroy|destroys|eat|eats)\b/;
+
+// Activity that flips a boolean property: [pattern, property, new value]
+const STATE_CUES = [
+    [/\b(light|lit|ignite|flickers in the new light|glows)\b/, 'lit', true],
+    [/\b(extinguish|goes dark|snuffed|blown out)\b/, 'lit', false],
+    [/\b(unlock|swings open)\b/, 'locked', false],
+    [/\b(lock|closes with a dull thud)\b/, 'locked', true]
+];
+
+// Words too common to identify an object by
+const STOP_WORDS = new Set(['the', 'and', 'with', 'from', 'into', 'onto', 'small', 'old']);
+
+// Words in an object name that are specific enough to match against actions
+function significantWords(name) {
+    return name.toLowerCase().split(/\s+/).filter(word => word.length > 2 && !STOP_WORDS.has(word));
+}
+
+// Whether any significant word of a name appears as a whole word in the text
+function mentions(text, name) {
+    return significantWords(name).some(word => new RegExp(`\\b${word}\\b`).test(text));
+}
+
+// Small deterministic string hash (same prompt -> same answer)
+function hashString(text) {
+    let hash = 0;
+    for (let i = 0; i < text.length; i++) {
+        hash = ((hash << 5) - hash + text.charCodeAt(i)) | 0;
+    }
+    return Math.abs(hash);
+}
+
+// Read a "LABEL: value" line from a prompt
+function readField(prompt, label) {
+    const match = prompt.match(new RegExp(`^${label}:\\s*(.*)$`, 'm'));
+    return match ? match[1].trim().replace(/^"|"$/g, '') : '';
+}
+
+// The current step of a formatted plan ("1. creep closer (now) 2. pounce"), or '' without one
+function currentStep(plan) {
+    const match = plan.match(/^1\. (.+?) \(now\)/);
+    return match ? match[1] : '';
+}
+
+// Read the "- name: action" lines following a section header
+function readActionList(prompt, header) {
+    const start = prompt.indexOf(header);
+    if (start === -1) return [];
+
+    const actions = [];
+    const lines = prompt.slice(start + header.length).split('\n');
+    for (const line of lines) {
+        const match = line.match(/^- ([^:]+):\s*(.+)$/);
+        if (match) {
+            actions.push({ name: match[1].trim(), action: match[2].trim() });
+        } else if (actions.length > 0 && !line.startsWith('  ')) {
+            break; // End of the list (relationship lines are indented)
+        }
+    }
+    return actions;
+}
+
+// Strip trailing punctuation so phrases can be stitched into sentences
+function stripPunctuation(text) {
+    return text.replace(/[.!?]+$/, '').trim();
+}
+
+function capitalize(text) {
+    return text.charAt(0).toUpperCase() + text.slice(1);
+}
+
+// ["a", "b", "c"] -> "a, b and c"
+function joinList(items) {
+    if (items.length <= 1) return items.join('');
+    return `${items.slice(0, -1).join(', ')} and ${items[items.length - 1]}`;
+}
+
+// "Ship Cat" -> "the ship cat", but keep single-word proper names like "Sam"
+function referTo(name) {
+    if (!name.includes(' ') && /^[A-Z]/.test(name)) return name;
+    return `the ${name.toLowerCase()}`;
+}
+
+class MockProvider {
+    constructor({ model = 'vivarium-mock' } = {}) {
+        this.name = 'mock';
+        this.model = model;
+        this.baseUrl = 'local';
+    }
+
+    isConfigured() {
+        return true;
+    }
+
+    async complete({ prompt }) {
+        const content = this.respond(prompt);
+        return { content, usage: this.estimateUsage(prompt, content) };
+    }
+
+    async stream({ prompt }, onDelta) {
+        const content = this.respond(prompt);
+        content.split(/(?<=\s)/).forEach(chunk => onDelta(chunk));
+        return { content, usage: this.estimateUsage(prompt, content) };
+    }
+
+    // Rough token counts (~4 characters per token) so usage stays meaningful offline
+    estimateUsage(prompt, content) {
+        return {
+            promptTokens: Math.ceil(prompt.length / 4),
+            completionTokens: Math.ceil(content.length / 4)
+        };
+    }
+
+    // Work out which prompt family this is and answer in its format
+    // Families are told apart by the reply shape they ask for, not their wording,
+    // so prompt templates can be reworded (see prompts/) without breaking the mock
+    respond(prompt) {
+        if (prompt.includes('{"reactions":')) {
+            return JSON.stringify({ reactions: this.respondToBatchSimulation(prompt) });
+        }
+        if (prompt.includes('{"action":')) {
+            return JSON.stringify({ action: this.respondToSimulation(prompt) });
+        }
+        if (prompt.includes('{"relationships":')) {
+            return JSON.stringify(this.respondToRelationshipAnalysis(prompt));
+        }
+        if (prompt.includes('{"created":')) {
+            return JSON.stringify(this.respondToObjectAnalysis(prompt));
+        }
+        if (prompt.includes('{"summary":')) {
+            return JSON.stringify({ summary: this.respondToMemorySummary(prompt) });
+        }
+        if (prompt.includes('{"done":')) {
+            return JSON.stringify(this.respondToPlan(prompt));
+        }
+        if (prompt.includes('{"description":')) {
+            return JSON.stringify({
+                description: this.respondToDescriptionUpdate(prompt),
+                properties: this.respondToStateUpdate(prompt)
+            });
+        }
+        if (prompt.includes('WHAT HAPPENED:')) {
+            return this.respondToNarrative(prompt);
+        }
+        if (prompt.includes('WHILE YOU WAITED:')) {
+            return this.respondToAmbient(prompt);
+        }
+        return 'remains still';
+    }
+
+    // Short action phrase
+    respondToSimulation(prompt) {
+        return this.react(
+            readField(prompt, 'OBJECT'),
+            readField(prompt, 'PLAYER ACTION'),
+            readField(prompt, 'CHILD OBJECT ACTIONS'),
+            currentStep(readField(prompt, 'PLAN'))
+        );
+    }
+
+    // Map of object id -> short action phrase, one per "[id] Name" block
+    respondToBatchSimulation(prompt) {
+        const playerAction = readField(prompt, 'PLAYER ACTION');
+        const reactions = {};
+
+        const blocks = prompt.split(/^\[/m).slice(1);
+        blocks.forEach(block => {
+            const header = block.match(/^([^\]]+)\]\s*(.*)$/m);
+            if (!header) return;
+
+            const childActions = readField(block, '  CHILD OBJECT ACTIONS');
+            reactions[header[1]] = this.react(header[2], playerAction, childActions, currentStep(readField(block, '  PLAN')));
+        });
+
+        return reactions;
+    }
+
+    // Deterministic reaction of one object to the player's action and its children's actions
+    // Agents (planStep: their current step) get on with their plan unless the player targets them
+    react(name, action, childActions, planStep = '') {
+        const objectName = name.toLowerCase();
+        const playerAction = action.toLowerCase();
+
+        // Targeted by the player: react to the verb
+        if (mentions(playerAction, objectName)) {
+            const reaction = VERB_REACTIONS.find(([pattern]) => pattern.test(playerAction));
+            return reaction ? reaction[1] : 'responds to the attention';
+        }
+
+        if (planStep) {
+            return planStep;
+        }
+
+        // Something inside it moved
+        if (childActions) {
+            return 'shifts as something stirs within';
+        }
+
+        return IDLE_REACTIONS[hashString(objectName + playerAction) % IDLE_REACTIONS.length];
+    }
+
+    // Relationships implied by spatial words in the actions, and existing ones of objects that break away
+    respondToRelationshipAnalysis(prompt) {
+        const actions = readActionList(prompt, 'OBJECT ACTIONS:');
+        const names = actions.map(({ name }) => name.toLowerCase());
+        const relationships = [];
+
+        actions.forEach(({ name, action }) => {
+            const lowerAction = action.toLowerCase();
+            const spatial = SPATIAL_PATTERNS.find(({ pattern }) => pattern.test(lowerAction));
+            if (!spatial) return;
+
+            // Find another listed object mentioned in the action
+            const target = names.find(other => other !== name.toLowerCase() && mentions(lowerAction, other));
+            if (!target) return;
+
+            relationships.push({
+                from: name.toLowerCase(),
+                relationship: spatial.relationship,
+                to: target,
+                progress: spatial.progress,
+                progressTime: spatial.time
+            });
+        });
+
+        // "- from relationship to (50%)" lines; the relationship is taken to be the first word after the name
+        const existing = [];
+        const start = prompt.indexOf('EXISTING RELATIONSHIPS:');
+        if (start !== -1) {
+            prompt.slice(start).split('\n').forEach(line => {
+                const match = line.match(/^- (.+) \((?:\d+%|ongoing)\)$/);
+                if (match) existing.push(match[1]);
+            });
+        }
+
+        const ended = [];
+        actions.forEach(({ name, action }) => {
+            if (!ENDING_PATTERN.test(action.toLowerCase())) return;
+            const prefix = `${name.toLowerCase()} `;
+            existing.filter(text => text.startsWith(prefix)).forEach(text => {
+                const [relationship, ...target] = text.slice(prefix.length).split(' ');
+                ended.push({ from: name.toLowerCase(), relationship, to: target.join(' ') });
+            });
+        });
+
+        return { relationships, ended };
+    }
+
+    // Objects the player's action creates (caught, found, lit) or destroys (smashed, eaten)
+    respondToObjectAnalysis(prompt) {
+        const playerAction = readField(prompt, 'PLAYER ACTION').toLowerCase();
+        const playerId = (readField(prompt, 'PLAYER').match(/^\[([^\]]+)\]/) || [])[1];
+
+        // "- [id] Name, in [parentId] (state)" lines
+        const existing = [];
+        const start = prompt.indexOf('EXISTING OBJECTS:');
+        prompt.slice(start).split('\n').forEach(line => {
+            const match = line.match(/^- \[([^\]]+)\] (.+?)(?:, in \[([^\]]+)\])?(?: \(.*\))?$/);
+            if (match) existing.push({ id: match[1], name: match[2], parentId: match[3] || null });
+        });
+        const player = existing.find(obj => obj.id === playerId);
+
+        const created = [];
+        const creation = CREATION_PATTERNS.map(({ pattern, describe }) => ({ match: playerAction.match(pattern), describe }))
+            .find(({ match }) => match);
+        if (creation && player && player.parentId) {
+            const noun = creation.match[1];
+            let id = noun;
+            for (let n = 2; existing.some(obj => obj.id === id || obj.name.toLowerCase() === id); n++) {
+                id = `${noun}_${n}`;
+            }
+            created.push({ id, name: capitalize(id.replace(/_/g, ' ')), description: creation.describe(noun), parent: player.parentId });
+        }
+
+        const removed = [];
+        if (DESTRUCTION_PATTERN.test(playerAction)) {
+            existing
+                .filter(obj => obj.id !== playerId && obj.parentId && mentions(playerAction, obj.name))
+                .slice(0, 1)
+                .forEach(obj => removed.push({ id: obj.id, reason: 'destroyed' }));
+        }
+
+        return { created, removed };
+    }
+
+    // Second-person prose
+    respondToNarrative(prompt) {
+        const location = readField(prompt, 'LOCATION').replace(/\s*\(.*\)$/, '');
+        const events = readActionList(prompt, 'WHAT HAPPENED:');
+        const playerEvent = events.find(({ name }) => name === 'Player Action');
+        const others = events.filter(({ name, action }) => name !== 'Player Action' && action !== '(present)');
+
+        const sentences = [];
+        if (playerEvent) {
+            sentences.push(`You ${stripPunctuation(playerEvent.action)}.`);
+        }
+
+        if (others.length > 0) {
+            const described = others.slice(0, 3).map(({ name, action }) => `${referTo(name)} ${stripPunctuation(action)}`);
+            sentences.push(`Around you, ${joinList(described)}.`);
+        }
+
+        sentences.push(location
+            ? `${capitalize(referTo(location))} holds its breath around you.`
+            : 'The world holds its breath around you.');
+
+        return sentences.join(' ');
+    }
+
+    // One sentence about the first change the player would notice
+    respondToAmbient(prompt) {
+        const [event] = readActionList(prompt, 'WHILE YOU WAITED:');
+        if (!event) {
+            return 'Time passes quietly around you.';
+        }
+        return `You notice ${referTo(event.name)} ${stripPunctuation(event.action)}.`;
+    }
+
+    // Boolean properties the latest activity obviously flips (a lit lantern, an unlocked door)
+    respondToStateUpdate(prompt) {
+        const state = readField(prompt, 'STATE');
+        const activity = readActionList(prompt, 'RECENT ACTIVITY:');
+        const changes = {};
+        if (!state || activity.length === 0) {
+            return changes;
+        }
+
+        const action = activity[0].action.toLowerCase();
+        STATE_CUES.forEach(([pattern, property, value]) => {
+            const current = state.match(new RegExp(`(?:^|, )${property}: (true|false)\\b`));
+            if (current && current[1] !== String(value) && pattern.test(action)) {
+                changes[property] = value;
+            }
+        });
+        return changes;
+    }
+
+    // Plan revision: drop the current step once the object's action shares a word with it; done when none are left
+    // A goal without a plan yet becomes its own single step
+    respondToPlan(prompt) {
+        const steps = readField(prompt, 'PLAN').split(/\s*\d+\.\s+/).slice(1)
+            .map(step => step.replace(/\s*\(now\)$/, ''));
+        if (steps.length === 0) {
+            return { done: false, plan: [readField(prompt, 'GOAL')] };
+        }
+
+        const action = readField(prompt, 'WHAT IT DID THIS STEP').toLowerCase();
+        const remaining = mentions(action, steps[0]) ? steps.slice(1) : steps;
+        return { done: remaining.length === 0, plan: remaining };
+    }
+
+    // Memory summary: what it already remembers plus what others did in the folded turns
+    // Capped so summaries stay within the schema however long the game runs
+    respondToMemorySummary(prompt) {
+        const previous = (prompt.match(/^WHAT IT ALREADY REMEMBERS:\n(.+)$/m) || [])[1] || '';
+        const memories = [...prompt.matchAll(/^\[turn (\d+)\] (.+)$/gm)];
+        if (memories.length === 0) {
+            return previous || 'Nothing much has happened.';
+        }
+
+        const events = [];
+        memories.forEach(([, , text]) => {
+            text.split('; ')
+                .filter(event => !event.startsWith('you: ') && !events.includes(event))
+                .forEach(event => events.push(event));
+        });
+
+        const first = memories[0][1];
+        const last = memories[memories.length - 1][1];
+        const line = `Turns ${first}-${last}: ${events.slice(0, 3).join('; ') || 'nothing much happened'}.`;
+        const summary = previous ? `${previous} ${line}` : line;
+        if (summary.length <= 400) {
+            return summary;
+        }
+        const cut = summary.indexOf('Turns ', summary.length - 400); // Forget the oldest turns first
+        return cut === -1 ? summary.slice(-400) : summary.slice(cut);
+    }
+
+    // Revised description: the current one plus a note of the latest activity
+    respondToDescriptionUpdate(prompt) {
+        const current = readField(prompt, 'CURRENT DESCRIPTION');
+        const activity = readActionList(prompt, 'RECENT ACTIVITY:');
+
+        // Drop the note left by the previous mock update so descriptions don't grow forever
+        const base = current.replace(/\s*Moments ago: [^.]*\.$/, '');
+        if (activity.length === 0) {
+            return base;
+        }
+
+        return `${base} Moments ago: ${stripPunctuation(activity[0].action)}.`;
+    }
+}
+
+module.exports = {
+    MockProvider
+};
@@ -0,0 +1,261 @@
+// Real-time multiplayer for hosted worlds over WebSockets
+// Players connect to ws://<server>/api/worlds/:id/play, take a seat as an object nobody else is playing and act
+// together: the first action opens a turn window that closes once every seated player has acted (or after
+// TURN_WINDOW_SECONDS, default 20), then one turn resolves all the actions and each player gets its own narration
+// Seated players are never simulated by the world: one who didn't act in time waits out the turn
+//
+// Client -> server messages:
+//   { type: 'join', name, objectId }  - take a seat as objectId (again to switch to another object)
+//   { type: 'action', action }        - act in the open turn window (a second action replaces the first)
+//   { type: 'chat', text }            - say something to everyone in the world
+// Server -> client messages:
+//   { type: 'joined', objectId }                   - your seat
+//   { type: 'presence', players }                  - [{ name, objectId }] whenever someone joins, switches or leaves
+//   { type: 'chat', from, text }
+//   { type: 'window', closesAt, waitingFor }       - a turn window is open (waitingFor: names yet to act)
+//   { type: 'turn', narrative, actions, diff }     - the turn resolved: your narration, everyone's actions, the state diff
+//   { type: 'tick', time, ambient, diff }          - an idle tick (ambient: what your character noticed, or null)
+//   { type: 'error', error }
+
+const { WebSocketServer } = require('ws');
+const { MAX_ACTION_LENGTH } = require('./worlds');
+
+const DEFAULT_TURN_WINDOW_SECONDS = 20;
+const WAIT_ACTION = 'waits'; // What a seated player who didn't act does in the turn
+const MAX_CHAT_LENGTH = 500;
+
+// Everyone playing one world
+class PlayRoom {
+    // onEmpty() runs when the last player leaves
+    constructor(host, { turnWindowMs, onEmpty }) {
+        this.host = host;
+        this.turnWindowMs = turnWindowMs;
+        this.onEmpty = onEmpty;
+        this.players = new Map(); // socket -> { name, objectId }
+        this.pending = new Map(); // objectId -> action for the open turn window
+        this.windowTimer = null;
+        this.closesAt = null;
+        // Ticks run while the room is open, and every player's mirror follows them
+        this.unsubscribe = host.subscribe((event, data) => {
+            if (event === 'tick') this.sendTick(data);
+        });
+    }
+
+    send(socket, message) {
+        if (socket.readyState === socket.OPEN) {
+            socket.send(JSON.stringify(message));
+        }
+    }
+
+    broadcast(message) {
+        this.players.forEach((player, socket) => this.send(socket, message));
+    }
+
+    seated() {
+        return [...this.players.values()].filter(player => player.objectId);
+    }
+
+    sendPresence() {
+        this.broadcast({ type: 'presence', players: [...this.players.values()].map(({ name, objectId }) => ({ name, objectId })) });
+    }
+
+    add(socket) {
+        this.players.set(socket, { name: 'someone', objectId: null });
+        socket.on('message', data => this.receive(socket, data));
+        socket.on('close', () => this.remove(socket));
+        this.sendPresence();
+    }
+
+    remove(socket) {
+        const player = this.players.get(socket);
+        if (!player) return;
+
+        this.players.delete(socket);
+        if (player.objectId) {
+            this.pending.delete(player.objectId);
+            this.host.world.seatedObjectIds.delete(player.objectId);
+        }
+        if (this.players.size === 0) {
+            this.clearWindow();
+            this.unsubscribe();
+            this.onEmpty();
+            return;
+        }
+        this.sendPresence();
+        this.checkWindow();
+    }
+
+    receive(socket, data) {
+        let message;
+        try {
+            message = JSON.parse(data);
+        } catch (error) {
+            return this.send(socket, { type: 'error', error: 'Messages must be JSON' });
+        }
+        if (!message || typeof message !== 'object' || Array.isArray(message)) {
+            return this.send(socket, { type: 'error', error: 'Messages must be JSON objects' });
+        }
+
+        const player = this.players.get(socket);
+        switch (message.type) {
+            case 'join':
+                return this.join(socket, player, message);
+            case 'action':
+                return this.act(socket, player, message.action);
+            case 'chat':
+                if (typeof message.text !== 'string' || !message.text.trim()) {
+                    return this.send(socket, { type: 'error', error: 'Missing chat text' });
+                }
+                return this.broadcast({ type: 'chat', from: player.name, text: message.text.trim().slice(0, MAX_CHAT_LENGTH) });
+            default:
+                return this.send(socket, { type: 'error', error: `Unknown message type "${message.type}"` });
+        }
+    }
+
+    // Seat a player as an object: any but the root, and not one someone else is playing
+    join(socket, player, { name, objectId }) {
+        const world = this.host.world;
+        const obj = world.getObject(objectId);
+        if (!obj || obj === world.rootObject) {
+            return this.send(socket, { type: 'error', error: `Can't play ${objectId}` });
+        }
+        const taken = [...this.players.entries()].find(([other, { objectId: id }]) => other !== socket && id === obj.id);
+        if (taken) {
+            return this.send(socket, { type: 'error', error: `${taken[1].name} is already playing ${obj.name}` });
+        }
+
+        if (player.objectId) {
+            this.pending.delete(player.objectId); // An action taken as the old object doesn't carry over
+            world.seatedObjectIds.delete(player.objectId);
+        }
+        player.name = typeof name === 'string' && name.trim() ? name.trim().slice(0, 32) : obj.name;
+        player.objectId = obj.id;
+        world.seatedObjectIds.add(obj.id);
+        console.log(`🎮 ${player.name} joined world ${this.host.id} as ${obj.name}`);
+        this.send(socket, { type: 'joined', objectId: obj.id });
+        this.sendPresence();
+        this.checkWindow();
+    }
+
+    // Add a player's action to the turn window, opening one if none is open
+    act(socket, player, action) {
+        if (!player.objectId) {
+            return this.send(socket, { type: 'error', error: 'Join as an object before acting' });
+        }
+        if (typeof action !== 'string' || !action.trim()) {
+            return this.send(socket, { type: 'error', error: 'Missing action' });
+        }
+
+        this.pending.set(player.objectId, action.trim().slice(0, MAX_ACTION_LENGTH));
+        if (!this.windowTimer) {
+            this.closesAt = Date.now() + this.turnWindowMs;
+            this.windowTimer = setTimeout(() => this.resolve(), this.turnWindowMs);
+        }
+        this.checkWindow();
+    }
+
+    // Resolve early once every seated player has acted; otherwise tell everyone who is still deciding
+    checkWindow() {
+        if (!this.windowTimer) return;
+
+        const waiting = this.seated().filter(({ objectId }) => !this.pending.has(objectId));
+        if (waiting.length === 0) {
+            this.resolve();
+            return;
+        }
+        this.broadcast({ type: 'window', closesAt: this.closesAt, waitingFor: waiting.map(({ name }) => name) });
+    }
+
+    clearWindow() {
+        clearTimeout(this.windowTimer);
+        this.windowTimer = null;
+        this.closesAt = null;
+    }
+
+    // Run one turn with every action in the window, seated players who didn't act waiting it out; actions sent
+    // meanwhile open the next window
+    async resolve() {
+        this.clearWindow();
+        const actions = this.pending;
+        this.pending = new Map();
+        [...actions.keys()].filter(id => !this.host.world.getObject(id)).forEach(id => actions.delete(id));
+        if (actions.size === 0) return;
+
+        const names = new Map([...this.players.values()].map(({ name, objectId }) => [objectId, name]));
+        const taken = [...actions.entries()].map(([objectId, action]) => ({ name: names.get(objectId) || objectId, objectId, action }));
+        this.seated()
+            .filter(({ objectId }) => !actions.has(objectId) && this.host.world.getObject(objectId))
+            .forEach(({ objectId }) => actions.set(objectId, WAIT_ACTION));
+
+        try {
+            const { narratives, diff } = await this.host.actTogether(actions);
+            this.players.forEach((player, socket) => {
+                this.send(socket, { type: 'turn', narrative: narratives[player.objectId] || null, actions: taken, diff });
+            });
+        } catch (error) {
+            console.error(`Multiplayer turn failed in world ${this.host.id}:`, error);
+            this.broadcast({ type: 'error', error: `The turn failed: ${error.message}` });
+        }
+        this.unseatMissing();
+    }
+
+    sendTick({ time, ambients, diff }) {
+        this.players.forEach((player, socket) => {
+            this.send(socket, { type: 'tick', time, ambient: (player.objectId && ambients[player.objectId]) || null, diff });
+        });
+        this.unseatMissing();
+    }
+
+    // Players whose object left the world (removed by an edit, a load or an undo) have to pick another
+    unseatMissing() {
+        let changed = false;
+        this.players.forEach((player, socket) => {
+            if (player.objectId && !this.host.world.getObject(player.objectId)) {
+                this.pending.delete(player.objectId);
+                this.host.world.seatedObjectIds.delete(player.objectId);
+                player.objectId = null;
+                changed = true;
+                this.send(socket, { type: 'error', error: 'Your character is gone from the world - join as another' });
+            }
+        });
+        if (changed) {
+            this.sendPresence();
+        }
+    }
+}
+
+// Accept WebSocket connections to /api/worlds/:id/play on an HTTP server
+// options.turnWindowSeconds - how long a turn window stays open for the slowest player
+// options.allowedOrigins    - browser origins allowed to connect (connections without an Origin header always are)
+function attachMultiplayer(server, store, options = {}) {
+    const turnWindowMs = (options.turnWindowSeconds || DEFAULT_TURN_WINDOW_SECONDS) * 1000;
+    const allowedOrigins = options.allowedOrigins || null;
+    const rooms = new Map(); // world id -> PlayRoom
+    const wss = new WebSocketServer({ noServer: true });
+
+    server.on('upgrade', (req, socket, head) => {
+        const match = new URL(req.url, 'http://localhost').pathname.match(/^\/api\/worlds\/([^/]+)\/play$/);
+        const host = match ? store.get(match[1]) : null;
+        const origin = req.headers.origin;
+        if (!host || (origin && allowedOrigins && !allowedOrigins.includes(origin))) {
+            socket.write(`HTTP/1.1 ${host ? '403 Forbidden' : '404 Not Found'}\r\n\r\n`);
+            socket.destroy();
+            return;
+        }
+
+        wss.handleUpgrade(req, socket, head, ws => {
+            if (!rooms.has(host.id)) {
+                rooms.set(host.id, new PlayRoom(host, { turnWindowMs, onEmpty: () => rooms.delete(host.id) }));
+            }
+            rooms.get(host.id).add(ws);
+        });
+    });
+
+    return wss;
+}
+
+module.exports = {
+    PlayRoom,
+    attachMultiplayer,
+    DEFAULT_TURN_WINDOW_SECONDS
+};
@@ -0,0 +1,163 @@
+// Prompt templates for The Vivarium
+// Loads the LLM prompts from prompts/*.txt at runtime so they can be edited without touching code
+//
+// Template syntax (a small Mustache subset):
+//   {{name}}                  - replaced with the variable's value
+//   {{#name}}...{{/name}}     - kept only when the variable is non-empty
+//   {{^name}}...{{/name}}     - kept only when the variable is empty
+// A section tag alone on its line takes the line break with it, so optional lines leave no gaps.
+//
+// prompts/manifest.json maps template names to files, plus per-scenario overrides:
+//   { "templates": { "narrative": "narrative.txt", ... },
+//     "scenarios": { "haunted_house": { "narrative": "scenarios/haunted_house/narrative.txt" } } }
+
+class PromptLibrary {
+    // readText(path) returns a file's contents; defaults to fetching it relative to baseUrl
+    constructor({ baseUrl = 'prompts/', readText = null } = {}) {
+        this.baseUrl = baseUrl;
+        this.readText = readText || (path => this.fetchText(path));
+        this.templates = {}; // name -> template text
+        this.scenarioTemplates = {}; // scenario -> { name -> template text }
+        this.sources = {}; // file path -> last loaded text, for hot reload
+        this.loading = null;
+        this.reloadTimer = null;
+    }
+
+    async fetchText(path) {
+        const response = await fetch(this.baseUrl + path, { cache: 'no-store' });
+        if (!response.ok) {
+            throw new Error(`Failed to load ${this.baseUrl}${path}: ${response.status} ${response.statusText}`);
+        }
+        return response.text();
+    }
+
+    // Load the manifest and every template it lists (only once unless forced)
+    load(force = false) {
+        if (!this.loading || force) {
+            // Forget a failed load so the next render tries again
+            this.loading = this.loadAll().catch(error => {
+                this.loading = null;
+                throw error;
+            });
+        }
+        return this.loading;
+    }
+
+    async loadAll() {
+        const manifestText = await this.readText('manifest.json');
+        const manifest = JSON.parse(manifestText);
+        this.sources = { 'manifest.json': manifestText };
+
+        const loadGroup = async (files) => {
+            const group = {};
+            await Promise.all(Object.entries(files).map(async ([name, path]) => {
+                group[name] = await this.readTemplate(path);
+            }));
+            return group;
+        };
+
+        this.templates = await loadGroup(manifest.templates || {});
+
+        this.scenarioTemplates = {};
+        for (const [scenario, files] of Object.entries(manifest.scenarios || {})) {
+            this.scenarioTemplates[scenario] = await loadGroup(files);
+        }
+
+        console.log(`📝 Loaded ${Object.keys(this.templates).length} prompt templates`);
+    }
+
+    // Read one template file (the trailing newline most editors add is dropped)
+    async readTemplate(path) {
+        const text = await this.readText(path);
+        this.sources[path] = text;
+        return text.replace(/\r\n/g, '\n').replace(/\n$/, '');
+    }
+
+    // Template text for a name, preferring the scenario's override when it has one
+    getTemplate(name, scenario = null) {
+        const overrides = scenario && this.scenarioTemplates[scenario];
+        if (overrides && overrides[name] !== undefined) {
+            return overrides[name];
+        }
+        if (this.templates[name] === undefined) {
+            throw new Error(`Unknown prompt template "${name}"`);
+        }
+        return this.templates[name];
+    }
+
+    // Fill in a template with the given variables
+    async render(name, variables = {}, scenario = null) {
+        await this.load();
+        return PromptLibrary.fill(this.getTemplate(name, scenario), variables);
+    }
+
+    static fill(template, variables) {
+        const isEmpty = (value) => value === undefined || value === null || value === false || value === '' ||
+            (Array.isArray(value) && value.length === 0);
+
+        // Standalone section tags swallow their own line break
+        const text = template.replace(/^[ \t]*(\{\{[#^/]\w+\}\})[ \t]*\n/gm, '$1');
+
+        const fillSections = (chunk) => chunk.replace(/\{\{([#^])(\w+)\}\}([\s\S]*?)\{\{\/\2\}\}/g, (match, kind, name, inner) => {
+            const show = kind === '#' ? !isEmpty(variables[name]) : isEmpty(variables[name]);
+            return show ? fillSections(inner) : '';
+        });
+
+        return fillSections(text).replace(/\{\{(\w+)\}\}/g, (match, name) => {
+            if (!(name in variables)) {
+                console.warn(`📝 Prompt variable "${name}" was not provided`);
+                return '';
+            }
+            return isEmpty(variables[name]) ? '' : String(variables[name]);
+        });
+    }
+
+    // Poll the template files and reload when one changes (used in developer mode)
+    startHotReload(intervalMs = 2000, onReload = null) {
+        this.stopHotReload();
+        this.reloadTimer = setInterval(async () => {
+            try {
+                const changed = await this.findChangedFiles();
+                if (changed.length > 0) {
+                    await this.load(true);
+                    console.log(`📝 Reloaded prompt templates: ${changed.join(', ')}`);
+                    if (onReload) onReload(changed);
+                }
+            } catch (error) {
+                console.warn('📝 Prompt hot reload failed:', error.message);
+            }
+        }, intervalMs);
+    }
+
+    stopHotReload() {
+        if (this.reloadTimer) {
+            clearInterval(this.reloadTimer);
+            this.reloadTimer = null;
+        }
+    }
+
+    // Files whose contents differ from what was last loaded (the manifest included)
+    async findChangedFiles() {
+        const changed = [];
+        const manifest = await this.readText('manifest.json');
+        if (manifest !== this.sources['manifest.json']) {
+            this.sources['manifest.json'] = manifest;
+            changed.push('manifest.json');
+        }
+
+        await Promise.all(Object.entries(this.sources).map(async ([path, text]) => {
+            if (path === 'manifest.json') return;
+            const current = await this.readText(path).catch(() => null);
+            if (current !== null && current !== text) {
+                changed.push(path);
+            }
+        }));
+
+        return changed;
+    }
+}
+
+// Export for use in other modules
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = { PromptLibrary };
+}
@@ -0,0 +1,345 @@
+// LLM provider layer for The Vivarium proxy server
+// Each provider turns a prompt into completion text for one backend
+
+const fetch = require('node-fetch');
+const { MockProvider } = require('./mock-llm');
+
+// Default settings for each supported backend
+const PROVIDER_DEFAULTS = {
+    groq: {
+        baseUrl: 'https://api.groq.com/openai/v1',
+        model: 'moonshotai/kimi-k2-instruct',
+        apiKeyEnv: 'GROQ_API_KEY'
+    },
+    anthropic: {
+        baseUrl: 'https://api.anthropic.com/v1',
+        model: 'claude-3-5-haiku-latest',
+        apiKeyEnv: 'ANTHROPIC_API_KEY'
+    },
+    openai: {
+        baseUrl: 'https://api.openai.com/v1',
+        model: 'gpt-4o-mini',
+        apiKeyEnv: 'OPENAI_API_KEY'
+    },
+    // Local Ollama server (llama.cpp's server works too - point LLM_BASE_URL at it)
+    ollama: {
+        baseUrl: 'http://localhost:11434/v1',
+        model: 'llama3.1',
+        apiKeyEnv: null
+    }
+};
+
+// Build an Error carrying the upstream HTTP status and response body
+function providerError(providerName, response, details) {
+    const error = new Error(`${providerName} API error: ${response.status} ${response.statusText}`);
+    error.status = response.status;
+    error.details = details;
+    error.retryAfter = response.headers.get('retry-after'); // Passed on to the client on 429 / 503
+    return error;
+}
+
+// Read a Server-Sent Events response body, calling onEvent({ event, data }) for each event
+async function readEventStream(body, onEvent) {
+    let buffer = '';
+
+    const flush = (block) => {
+        let event = 'message';
+        const dataLines = [];
+        block.split('\n').forEach(line => {
+            if (line.startsWith('event:')) {
+                event = line.slice(6).trim();
+            } else if (line.startsWith('data:')) {
+                dataLines.push(line.slice(5).replace(/^ /, ''));
+            }
+        });
+        if (dataLines.length > 0) {
+            onEvent({ event, data: dataLines.join('\n') });
+        }
+    };
+
+    for await (const chunk of body) {
+        buffer += chunk.toString().replace(/\r\n/g, '\n');
+
+        let boundary;
+        while ((boundary = buffer.indexOf('\n\n')) !== -1) {
+            flush(buffer.slice(0, boundary));
+            buffer = buffer.slice(boundary + 2);
+        }
+    }
+
+    if (buffer.trim()) {
+        flush(buffer);
+    }
+}
+
+// Any backend that speaks the OpenAI chat completions API (Groq, OpenAI, Ollama, llama.cpp...)
+class OpenAICompatibleProvider {
+    constructor({ name, baseUrl, apiKey = null, model, requiresKey = true }) {
+        this.name = name;
+        this.baseUrl = baseUrl.replace(/\/+$/, '');
+        this.apiKey = apiKey;
+        this.model = model;
+        this.requiresKey = requiresKey;
+    }
+
+    // Whether the provider has everything it needs to make calls
+    isConfigured() {
+        return !this.requiresKey || !!this.apiKey;
+    }
+
+    buildHeaders() {
+        const headers = { 'Content-Type': 'application/json' };
+        if (this.apiKey) {
+            headers['Authorization'] = `Bearer ${this.apiKey}`;
+        }
+        return headers;
+    }
+
+    // Request a completion and normalize it to { content, usage }
+    async complete({ prompt, maxTokens = 150, temperature = 0.6 }) {
+        const response = await fetch(`${this.baseUrl}/chat/completions`, {
+            method: 'POST',
+            headers: this.buildHeaders(),
+            body: JSON.stringify({
+                model: this.model,
+                messages: [{
+                    role: 'user',
+                    content: prompt
+                }],
+                max_tokens: maxTokens,
+                temperature: temperature,
+                top_p: 1,
+                stream: false
+            })
+        });
+
+        if (!response.ok) {
+            const errorData = await response.json().catch(() => ({}));
+            throw providerError(this.name, response, errorData);
+        }
+
+        const data = await response.json();
+        const usage = data.usage || {};
+
+        return {
+            content: data.choices[0].message.content.trim(),
+            usage: {
+                promptTokens: usage.prompt_tokens || 0,
+                completionTokens: usage.completion_tokens || 0
+            }
+        };
+    }
+
+    // Stream a completion, calling onDelta(text) per token chunk; resolves to { content, usage }
+    async stream({ prompt, maxTokens = 150, temperature = 0.6, signal }, onDelta) {
+        const response = await fetch(`${this.baseUrl}/chat/completions`, {
+            method: 'POST',
+            headers: this.buildHeaders(),
+            signal,
+            body: JSON.stringify({
+                model: this.model,
+                messages: [{
+                    role: 'user',
+                    content: prompt
+                }],
+                max_tokens: maxTokens,
+                temperature: temperature,
+                top_p: 1,
+                stream: true,
+                stream_options: { include_usage: true }
+            })
+        });
+
+        if (!response.ok) {
+            const errorData = await response.json().catch(() => ({}));
+            throw providerError(this.name, response, errorData);
+        }
+
+        let content = '';
+        let usage = {};
+
+        await readEventStream(response.body, ({ data }) => {
+            if (data === '[DONE]') return;
+
+            const chunk = JSON.parse(data);
+            const delta = chunk.choices && chunk.choices[0] && chunk.choices[0].delta;
+            if (delta && delta.content) {
+                content += delta.content;
+                onDelta(delta.content);
+            }
+
+            // Groq reports usage under x_groq on the final chunk
+            const chunkUsage = chunk.usage || (chunk.x_groq && chunk.x_groq.usage);
+            if (chunkUsage) {
+                usage = chunkUsage;
+            }
+        });
+
+        return {
+            content: content.trim(),
+            usage: {
+                promptTokens: usage.prompt_tokens || 0,
+                completionTokens: usage.completion_tokens || 0
+            }
+        };
+    }
+}
+
+// Anthropic Messages API
+class AnthropicProvider {
+    constructor({ baseUrl, apiKey = null, model }) {
+        this.name = 'anthropic';
+        this.baseUrl = baseUrl.replace(/\/+$/, '');
+        this.apiKey = apiKey;
+        this.model = model;
+        this.apiVersion = '2023-06-01';
+    }
+
+    isConfigured() {
+        return !!this.apiKey;
+    }
+
+    buildHeaders() {
+        return {
+            'Content-Type': 'application/json',
+            'x-api-key': this.apiKey,
+            'anthropic-version': this.apiVersion
+        };
+    }
+
+    async complete({ prompt, maxTokens = 150, temperature = 0.6 }) {
+        const response = await fetch(`${this.baseUrl}/messages`, {
+            method: 'POST',
+            headers: this.buildHeaders(),
+            body: JSON.stringify({
+                model: this.model,
+                max_tokens: maxTokens,
+                temperature: temperature,
+                messages: [{
+                    role: 'user',
+                    content: prompt
+                }]
+            })
+        });
+
+        if (!response.ok) {
+            const errorData = await response.json().catch(() => ({}));
+            throw providerError(this.name, response, errorData);
+        }
+
+        const data = await response.json();
+        const usage = data.usage || {};
+
+        return {
+            content: data.content
+                .filter(block => block.type === 'text')
+                .map(block => block.text)
+                .join('')
+                .trim(),
+            usage: {
+                promptTokens: usage.input_tokens || 0,
+                completionTokens: usage.output_tokens || 0
+            }
+        };
+    }
+
+    async stream({ prompt, maxTokens = 150, temperature = 0.6, signal }, onDelta) {
+        const response = await fetch(`${this.baseUrl}/messages`, {
+            method: 'POST',
+            headers: this.buildHeaders(),
+            signal,
+            body: JSON.stringify({
+                model: this.model,
+                max_tokens: maxTokens,
+                temperature: temperature,
+                stream: true,
+                messages: [{
+                    role: 'user',
+                    content: prompt
+                }]
+            })
+        });
+
+        if (!response.ok) {
+            const errorData = await response.json().catch(() => ({}));
+            throw providerError(this.name, response, errorData);
+        }
+
+        let content = '';
+        const usage = { promptTokens: 0, completionTokens: 0 };
+
+        await readEventStream(response.body, ({ event, data }) => {
+            const payload = JSON.parse(data);
+
+            if (event === 'message_start' && payload.message.usage) {
+                usage.promptTokens = payload.message.usage.input_tokens || 0;
+            } else if (event === 'content_block_delta' && payload.delta.type === 'text_delta') {
+                content += payload.delta.text;
+                onDelta(payload.delta.text);
+            } else if (event === 'message_delta' && payload.usage) {
+                usage.completionTokens = payload.usage.output_tokens || 0;
+            } else if (event === 'error') {
+                throw new Error(`${this.name} stream error: ${payload.error ? payload.error.message : data}`);
+            }
+        });
+
+        return { content: content.trim(), usage };
+    }
+}
+
+// Pick a provider name from the environment
+// LLM_PROVIDER wins; otherwise use the first backend with an API key, falling back to Groq
+function resolveProviderName(env = process.env) {
+    if (env.LLM_PROVIDER) {
+        return env.LLM_PROVIDER.toLowerCase();
+    }
+
+    for (const name of ['groq', 'anthropic', 'openai']) {
+        if (env[PROVIDER_DEFAULTS[name].apiKeyEnv]) {
+            return name;
+        }
+    }
+
+    return 'groq';
+}
+
+// Create the active provider from environment variables
+//   LLM_PROVIDER  - groq | anthropic | openai | ollama | mock (offline stand-in)
+//   LLM_MODEL     - overrides the provider's default model
+//   LLM_BASE_URL  - overrides the provider's endpoint (any OpenAI-compatible server)
+//   LLM_API_KEY   - overrides the provider-specific key variable
+function createProvider(env = process.env) {
+    const name = resolveProviderName(env);
+
+    if (name === 'mock') {
+        return new MockProvider({ model: env.LLM_MODEL });
+    }
+
+    const defaults = PROVIDER_DEFAULTS[name];
+
+    if (!defaults) {
+        throw new Error(`Unknown LLM_PROVIDER "${name}". Expected one of: ${Object.keys(PROVIDER_DEFAULTS).join(', ')}, mock`);
+    }
+
+    const options = {
+        name,
+        baseUrl: env.LLM_BASE_URL || defaults.baseUrl,
+        apiKey: env.LLM_API_KEY || (defaults.apiKeyEnv ? env[defaults.apiKeyEnv] : null) || null,
+        model: env.LLM_MODEL || defaults.model,
+        requiresKey: defaults.apiKeyEnv !== null
+    };
+
+    if (name === 'anthropic') {
+        return new AnthropicProvider(options);
+    }
+    return new OpenAICompatibleProvider(options);
+}
+
+module.exports = {
+    PROVIDER_DEFAULTS,
+    OpenAICompatibleProvider,
+    AnthropicProvider,
+    readEventStream,
+    resolveProviderName,
+    createProvider
+};
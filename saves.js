@@ -0,0 +1,121 @@
+// Named save slots on disk
+// Each slot is one JSON file in SAVES_DIR (default saves/) holding a World.export() plus a little metadata;
+// World.import migrates older save formats when a slot is loaded
+// Every world keeps its slots in its own folder (see forWorld), so one world can't list, load or delete another's
+
+const fs = require('fs');
+const path = require('path');
+
+const SLOT_NAME = /^[A-Za-z0-9_-]{1,64}$/;
+
+// Error with an HTTP status for the routes to answer with
+function saveError(status, message) {
+    const error = new Error(message);
+    error.status = status;
+    return error;
+}
+
+class SaveStore {
+    constructor(dir = process.env.SAVES_DIR || path.join(__dirname, 'saves')) {
+        this.dir = dir;
+    }
+
+    // The slots of one world (created on its first save)
+    forWorld(worldId) {
+        return new SaveStore(path.join(this.dir, worldId));
+    }
+
+    filePath(name) {
+        if (!SLOT_NAME.test(name || '')) {
+            throw saveError(400, `Invalid save name "${name}" (use letters, digits, "-" and "_", up to 64 characters)`);
+        }
+        return path.join(this.dir, `${name}.json`);
+    }
+
+    // Summary of a slot without its world state
+    static summarize(save) {
+        return {
+            name: save.name,
+            savedAt: save.savedAt,
+            scenario: save.world.scenario || null,
+            simulationTime: save.world.simulationTime || 0,
+            objectCount: save.world.objects.length,
+            version: save.world.version || 1,
+            auto: !!save.auto
+        };
+    }
+
+    // Write a world's state to a slot, replacing whatever was there
+    async save(name, worldState, { auto = false } = {}) {
+        const filePath = this.filePath(name);
+        const save = {
+            name,
+            savedAt: new Date().toISOString(),
+            auto,
+            world: worldState
+        };
+
+        // Write then rename so a crash mid-write never leaves a truncated slot
+        const tempPath = `${filePath}.tmp`;
+        await fs.promises.mkdir(this.dir, { recursive: true });
+        await fs.promises.writeFile(tempPath, JSON.stringify(save, null, 2));
+        await fs.promises.rename(tempPath, filePath);
+        return SaveStore.summarize(save);
+    }
+
+    // Full save data for a slot
+    async load(name) {
+        const filePath = this.filePath(name);
+        let text;
+        try {
+            text = await fs.promises.readFile(filePath, 'utf8');
+        } catch (error) {
+            if (error.code === 'ENOENT') {
+                throw saveError(404, `No save named "${name}"`);
+            }
+            throw error;
+        }
+
+        try {
+            return JSON.parse(text);
+        } catch (error) {
+            throw saveError(500, `Save "${name}" is corrupt: ${error.message}`);
+        }
+    }
+
+    // Summaries of every slot, newest first
+    async list() {
+        let files;
+        try {
+            files = (await fs.promises.readdir(this.dir)).filter(file => file.endsWith('.json'));
+        } catch (error) {
+            if (error.code === 'ENOENT') return []; // Nothing saved yet
+            throw error;
+        }
+        const saves = [];
+        for (const file of files) {
+            try {
+                const text = await fs.promises.readFile(path.join(this.dir, file), 'utf8');
+                saves.push(SaveStore.summarize(JSON.parse(text)));
+            } catch (error) {
+                console.warn(`💾 Skipping unreadable save ${file}: ${error.message}`);
+            }
+        }
+        return saves.sort((a, b) => b.savedAt.localeCompare(a.savedAt));
+    }
+
+    async delete(name) {
+        try {
+            await fs.promises.unlink(this.filePath(name));
+        } catch (error) {
+            if (error.code === 'ENOENT') {
+                throw saveError(404, `No save named "${name}"`);
+            }
+            throw error;
+        }
+    }
+}
+
+module.exports = {
+    SaveStore
+};
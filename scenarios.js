@@ -0,0 +1,72 @@
+// Starting worlds for The Vivarium
+// Each scenario fills an empty World with its objects, relationships, properties and player character
+// The scenario name also selects prompt template overrides (see prompts/manifest.json)
+
+const SCENARIOS = {
+    // A simple boat scenario
+    fishing_boat: {
+        title: 'The Fishing Boat',
+        intro: 'You are Sam, aboard the fishing boat.',
+        build(world) {
+            world.createObject('ocean', 'The Endless Ocean', 'Dark waters stretch beyond the horizon, dotted with mysterious islands.');
+
+            world.createObject('island_1', 'Fog-Shrouded Island', 'A small landmass wrapped in perpetual mist. Ancient structures peek through the gray veil.', 'ocean');
+
+            world.createObject('dock_1', 'Weathered Dock', 'Rotting wooden planks extend into the black water. Something stirs beneath the surface.', 'island_1');
+
+            const boat = world.createObject('boat_1', 'Small Fishing Boat', 'A humble vessel with nets and basic supplies. Its paint is faded, its wood warped by salt.', 'dock_1');
+
+            // Add objects inside the boat
+            world.createObject('sam', 'Sam', 'A weathered sailor with knowing eyes. Your hands are calloused from years at sea.', 'boat_1');
+            world.createObject('wheel', 'Steering Wheel', 'A worn wooden wheel, smooth from countless hands. It responds to the slightest touch.', 'boat_1');
+            const cat = world.createObject('ship_cat', 'Ship Cat', 'A gray tabby with sea-green eyes. It moves with perfect balance despite the rolling waves.', 'boat_1');
+            world.createObject('cat_tail', 'Cat Tail', 'A gray striped tail that twitches and flicks with feline emotion.', 'ship_cat');
+            const tackleBox = world.createObject('tackle_box', 'Tackle Box', 'A dented tin box with a rusted latch, shut tight.', 'boat_1');
+            world.createObject('compass', 'Brass Compass', 'An old compass whose needle never quite settles.', 'tackle_box');
+
+            world.createObject('gull', 'Herring Gull', 'A bold gull perched on a mooring post, eyeing the boat for scraps.', 'dock_1');
+
+            const lighthouse = world.createObject('lighthouse_1', 'Abandoned Lighthouse', 'A tall stone tower, its light long extinguished. Strange symbols are carved into its base.', 'island_1');
+
+            // Add some relationships
+            boat.addRelationship('docked_at', 'dock_1', 0);
+            lighthouse.addRelationship('watches_over', 'dock_1', null);
+            lighthouse.addRelationship('beacon_for', 'boat_1', 0.3); // Lighthouse slowly reactivating
+
+            // Typed state that shouldn't drift with the prose descriptions
+            boat.defineProperty('hull', { type: 'number', value: 70, min: 0, max: 100 });
+            cat.defineProperty('mood', { type: 'enum', value: 'calm', values: ['calm', 'curious', 'nervous', 'agitated'] });
+            lighthouse.defineProperty('lit', { type: 'boolean', value: false });
+
+            // The cat has ideas of its own (see World.updatePlans)
+            cat.setGoal('catch the gull on the dock', ['creep to the edge of the boat', 'wait for the gull to look away', 'pounce onto the dock']);
+
+            // What the player can perceive: dusk over the water, and a box that hides what's inside until opened
+            world.rootObject.defineProperty('light', { type: 'number', value: 0.6, min: 0, max: 1 });
+            tackleBox.defineProperty('enclosure', { type: 'enum', value: 'opaque', values: ['open', 'opaque'] });
+
+            // Set player possession (Sam starts alone in the party; /possess adds more)
+            world.possess('sam');
+        }
+    }
+};
+
+const DEFAULT_SCENARIO = 'fishing_boat';
+
+// Populate a world from a named scenario
+function buildScenario(world, name = DEFAULT_SCENARIO) {
+    const scenario = SCENARIOS[name];
+    if (!scenario) {
+        throw new Error(`Unknown scenario "${name}". Expected one of: ${Object.keys(SCENARIOS).join(', ')}`);
+    }
+
+    world.scenario = name;
+    scenario.build(world);
+    return world;
+}
+
+module.exports = {
+    SCENARIOS,
+    DEFAULT_SCENARIO,
+    buildScenario
+};
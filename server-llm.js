@@ -0,0 +1,84 @@
+// LLMManager for worlds hosted in the server process
+// Adds the transport to LLMManager's prompts, validation, queue and retries: completions go straight
+// to the provider, and usage is recorded on the spot
+
+const { LLMManager } = require('./llm');
+
+class ProviderLLMManager extends LLMManager {
+    // options.backend      - provider to complete with (see providers.js)
+    // options.usageTracker - UsageTracker to account calls in (optional)
+    // options.sessionId    - usage session these calls belong to (the world id)
+    // options.sharedQueue  - manager whose request queue this one uses, so the concurrency cap spans all worlds
+    // options.onDevLog(message) - receives developer log lines
+    constructor(options = {}) {
+        super({ prompts: options.prompts });
+        this.backend = options.backend;
+        this.usageTracker = options.usageTracker || null;
+        this.sharedQueue = options.sharedQueue || null;
+        this.onDevLog = options.onDevLog || null;
+        this.provider = this.backend.name;
+        this.model = this.backend.model;
+        if (options.sessionId) {
+            this.sessionId = options.sessionId;
+        }
+        if (options.maxConcurrent) {
+            this.maxConcurrent = options.maxConcurrent;
+        }
+    }
+
+    // A manager for one world: its own usage session and log sink, sharing this one's prompts and queue
+    forSession(sessionId, onDevLog = null) {
+        return new ProviderLLMManager({
+            backend: this.backend,
+            prompts: this.prompts,
+            usageTracker: this.usageTracker,
+            sharedQueue: this.sharedQueue || this,
+            sessionId,
+            onDevLog
+        });
+    }
+
+    isAvailable() {
+        return this.backend.isConfigured();
+    }
+
+    schedule(task, priority) {
+        return this.sharedQueue ? this.sharedQueue.schedule(task, priority) : super.schedule(task, priority);
+    }
+
+    getQueueStatus() {
+        return this.sharedQueue ? this.sharedQueue.getQueueStatus() : super.getQueueStatus();
+    }
+
+    async requestCompletion(prompt, maxTokens, callType) {
+        const result = await this.backend.complete({ prompt, maxTokens, noCache: this.bypassCache });
+        this.recordUsage(callType, result);
+        return result.content.trim();
+    }
+
+    async requestStream(prompt, maxTokens, onDelta, callType) {
+        const result = await this.backend.stream({ prompt, maxTokens, noCache: this.bypassCache }, onDelta);
+        this.recordUsage(callType, result);
+        return result.content.trim();
+    }
+
+    recordUsage(callType, result) {
+        if (!this.usageTracker) return;
+        this.usageTracker.record({
+            ...this.usageTags(callType),
+            model: this.model,
+            usage: result.usage,
+            cached: !!result.cached
+        });
+    }
+
+    devLog(message) {
+        if (this.onDevLog) {
+            this.onDevLog(message);
+        }
+    }
+}
+
+module.exports = {
+    ProviderLLMManager
+};
@@ -1,81 +1,255 @@
-// Simple proxy server for Groq API calls
-// Keeps API key secure on the backend
+// Game server for The Vivarium
+// Hosts worlds and runs their turns (and LLM calls) server-side, keeping API keys and prompts off the client
 
+const path = require('path');
+const fs = require('fs');
 const express = require('express');
 const cors = require('cors');
-const fetch = require('node-fetch');
 require('dotenv').config();
+const { createProvider } = require('./providers');
+const { createCassetteProvider } = require('./cassette');
+const { createCachingProvider } = require('./cache');
+const { UsageTracker, loadPrices } = require('./usage');
+const { PromptLibrary } = require('./prompts');
+const { ProviderLLMManager } = require('./server-llm');
+const { WorldStore } = require('./worlds');
+const { SaveStore } = require('./saves');
+const { createWorldRouter } = require('./world-routes');
+const { attachMultiplayer, DEFAULT_TURN_WINDOW_SECONDS } = require('./multiplayer');
 
 const app = express();
 const PORT = process.env.PORT || 3001;
 
+// Active LLM backend, chosen from LLM_PROVIDER / API key env vars
+// LLM_CACHE_SIZE / LLM_CACHE_TTL_SECONDS put a response cache in front of it
+// LLM_CASSETTE=record|replay wraps it to record or replay traffic from LLM_CASSETTE_PATH
+const cachedProvider = createCachingProvider(createProvider());
+const provider = createCassetteProvider(cachedProvider);
+
+// Token usage and cost per call type / turn / session (prices from LLM_PRICES_FILE)
+const usageTracker = new UsageTracker(loadPrices());
+
+// Account for one completion; clients tag requests with sessionId, turn and callType
+function recordUsage(body, result) {
+    usageTracker.record({
+        sessionId: body.sessionId,
+        turn: body.turn,
+        callType: body.callType,
+        model: provider.model,
+        usage: result.usage,
+        cached: !!result.cached
+    });
+}
+
+// Prompt templates, read from prompts/ (hot reloaded with PROMPTS_HOT_RELOAD=true, which npm run dev sets)
+const prompts = new PromptLibrary({
+    readText: file => fs.promises.readFile(path.join(__dirname, 'prompts', file), 'utf8')
+});
+if (process.env.PROMPTS_HOT_RELOAD === 'true') {
+    prompts.startHotReload();
+}
+
+// Hosted worlds; their LLM calls share one queue capped at LLM_MAX_CONCURRENT
+const llmManager = new ProviderLLMManager({
+    backend: provider,
+    prompts,
+    usageTracker,
+    maxConcurrent: parseInt(process.env.LLM_MAX_CONCURRENT, 10) || undefined
+});
+// Named save slots on disk (SAVES_DIR, a folder per world); worlds autosave every AUTO_SAVE_TURNS turns
+const saves = new SaveStore();
+const autoSaveTurns = parseInt(process.env.AUTO_SAVE_TURNS, 10);
+const worlds = new WorldStore(llmManager, {
+    saves,
+    autoSaveTurns: Number.isNaN(autoSaveTurns) ? undefined : autoSaveTurns,
+    tickSeconds: parseFloat(process.env.TICK_SECONDS) || undefined, // Idle tick rate for worlds someone is watching
+    maxWorlds: parseInt(process.env.MAX_WORLDS, 10) || undefined, // Worlds hosted at once
+    idleMinutes: parseFloat(process.env.WORLD_IDLE_MINUTES) || undefined // Unwatched worlds are dropped after this long unused
+});
+
+// Several players in one world over WebSockets; TURN_WINDOW_SECONDS is how long a turn waits for everyone's action
+const turnWindowSeconds = parseFloat(process.env.TURN_WINDOW_SECONDS) || DEFAULT_TURN_WINDOW_SECONDS;
+
+// Raw completion endpoints (/api/llm, /api/llm/stream, /api/groq) are off unless ENABLE_LLM_RELAY=true
+const relayEnabled = process.env.ENABLE_LLM_RELAY === 'true';
+
+// Browser origins allowed to call the API (and to open multiplayer connections)
+const ALLOWED_ORIGINS = ['http://localhost:3000', 'http://127.0.0.1:3000', 'http://localhost:8000'];
+
 // Enable CORS for frontend
 app.use(cors({
-    origin: ['http://localhost:3000', 'http://127.0.0.1:3000', 'http://localhost:8000']
+    origin: ALLOWED_ORIGINS,
+    exposedHeaders: ['Retry-After'] // Lets the client back off as the provider asks
 }));
 
 app.use(express.json());
 
-// Proxy endpoint for Groq API
-app.post('/api/groq', async (req, res) => {
+app.use('/api/worlds', createWorldRouter(worlds));
+
+// Run a completion against the active provider and send errors in a consistent shape
+async function handleCompletion(req, res, formatResult) {
     try {
-        const { prompt, maxTokens = 150 } = req.body;
-        
-        if (!process.env.GROQ_API_KEY) {
-            return res.status(500).json({ 
-                error: 'GROQ_API_KEY not configured in server environment' 
-            });
-        }
+        const { prompt, maxTokens = 150, temperature = 0.6, noCache = false } = req.body;
 
-        const response = await fetch('https://api.groq.com/openai/v1/chat/completions', {
-            method: 'POST',
-            headers: {
-                'Content-Type': 'application/json',
-                'Authorization': `Bearer ${process.env.GROQ_API_KEY}`
-            },
-            body: JSON.stringify({
-                model: 'moonshotai/kimi-k2-instruct',
-                messages: [{
-                    role: 'user',
-                    content: prompt
-                }],
-                max_tokens: maxTokens,
-                temperature: 0.6,
-                top_p: 1,
-                stream: false,
-                stop: null
-            })
-        });
+        if (!prompt) {
+            return res.status(400).json({ error: 'Missing prompt' });
+        }
 
-        if (!response.ok) {
-            const errorData = await response.json().catch(() => ({}));
-            return res.status(response.status).json({
-                error: `Groq API error: ${response.status} ${response.statusText}`,
-                details: errorData
+        if (!provider.isConfigured()) {
+            return res.status(500).json({
+                error: `LLM provider "${provider.name}" is not configured in server environment`
             });
         }
 
-        const data = await response.json();
-        res.json(data);
+        const result = await provider.complete({ prompt, maxTokens, temperature, noCache });
+        recordUsage(req.body, result);
+        res.json(formatResult(result));
 
     } catch (error) {
+        if (error.status) {
+            if (error.retryAfter) {
+                res.set('Retry-After', error.retryAfter);
+            }
+            return res.status(error.status).json({
+                error: error.message,
+                details: error.details
+            });
+        }
+
         console.error('Proxy error:', error);
-        res.status(500).json({ 
-            error: 'Internal server error', 
-            details: error.message 
+        res.status(500).json({
+            error: 'Internal server error',
+            details: error.message
         });
     }
+}
+
+if (relayEnabled) {
+    // Generic LLM endpoint - works with whichever provider is active
+    app.post('/api/llm', (req, res) => handleCompletion(req, res, result => ({
+        content: result.content,
+        provider: provider.name,
+        model: provider.model,
+        usage: result.usage,
+        cached: !!result.cached
+    })));
+
+    // Streaming LLM endpoint - forwards token deltas as Server-Sent Events
+    //   event: delta  data: { content }
+    //   event: done   data: { content, provider, model, usage }
+    //   event: error  data: { error, details }
+    app.post('/api/llm/stream', async (req, res) => {
+        const { prompt, maxTokens = 150, temperature = 0.6, noCache = false } = req.body;
+
+        if (!prompt) {
+            return res.status(400).json({ error: 'Missing prompt' });
+        }
+
+        if (!provider.isConfigured()) {
+            return res.status(500).json({
+                error: `LLM provider "${provider.name}" is not configured in server environment`
+            });
+        }
+
+        // Headers go out with the first event, so upstream failures before any token
+        // (e.g. a 429) can still be answered with a real status the client can retry on
+        const sendEvent = (event, data) => {
+            if (!res.headersSent) {
+                res.writeHead(200, {
+                    'Content-Type': 'text/event-stream',
+                    'Cache-Control': 'no-cache',
+                    'Connection': 'keep-alive'
+                });
+            }
+            res.write(`event: ${event}\ndata: ${JSON.stringify(data)}\n\n`);
+        };
+
+        // Stop the upstream request if the browser goes away mid-stream
+        const abortController = new AbortController();
+        res.on('close', () => {
+            if (!res.writableEnded) {
+                abortController.abort();
+            }
+        });
+
+        try {
+            const result = await provider.stream(
+                { prompt, maxTokens, temperature, noCache, signal: abortController.signal },
+                delta => sendEvent('delta', { content: delta })
+            );
+            recordUsage(req.body, result);
+
+            sendEvent('done', {
+                content: result.content,
+                provider: provider.name,
+                model: provider.model,
+                usage: result.usage,
+                cached: !!result.cached
+            });
+        } catch (error) {
+            if (!res.headersSent && error.status) {
+                if (error.retryAfter) {
+                    res.set('Retry-After', error.retryAfter);
+                }
+                return res.status(error.status).json({
+                    error: error.message,
+                    details: error.details
+                });
+            }
+
+            if (error.name !== 'AbortError') {
+                console.error('Stream proxy error:', error);
+                sendEvent('error', { error: error.message, details: error.details });
+            }
+        }
+
+        res.end();
+    });
+
+    // Legacy endpoint - same as /api/llm but answers in the OpenAI chat completions shape
+    app.post('/api/groq', (req, res) => handleCompletion(req, res, result => ({
+        choices: [{ message: { role: 'assistant', content: result.content } }]
+    })));
+}
+
+// Token usage and cost - overall, plus per-type and per-turn detail for ?session=<id>
+app.get('/api/usage', (req, res) => {
+    res.json(usageTracker.report(req.query.session || null));
 });
 
 // Health check endpoint
 app.get('/api/health', (req, res) => {
-    res.json({ 
-        status: 'ok', 
-        groqConfigured: !!process.env.GROQ_API_KEY 
+    res.json({
+        status: 'ok',
+        provider: provider.name,
+        model: provider.model,
+        configured: provider.isConfigured(),
+        worlds: worlds.size,
+        relay: relayEnabled,
+        cache: cachedProvider.cache ? cachedProvider.cache.stats() : null,
+        cassette: provider.mode ? {
+            mode: provider.mode,
+            path: provider.filePath,
+            entries: provider.size
+        } : null
     });
 });
 
-app.listen(PORT, () => {
-    console.log(`🚀 Proxy server running on http://localhost:${PORT}`);
-    console.log(`🔑 Groq API key: ${process.env.GROQ_API_KEY ? 'Configured' : 'Missing'}`);
-});
\ No newline at end of file
+const server = app.listen(PORT, () => {
+    console.log(`🚀 Game server running on http://localhost:${PORT}`);
+    console.log(`🤖 LLM provider: ${provider.name} (${provider.model}) at ${provider.baseUrl}`);
+    console.log(`🔑 Provider config: ${provider.isConfigured() ? 'Ready' : 'Missing API key'}`);
+    if (cachedProvider.cache) {
+        console.log(`🗄️ Response cache: ${cachedProvider.cache.maxEntries} entries, ${cachedProvider.cache.ttlMs / 1000}s TTL`);
+    }
+    console.log(`💾 Saves: ${saves.dir} (${worlds.autoSaveTurns > 0 ? `autosave every ${worlds.autoSaveTurns} turns` : 'autosave off'})`);
+    if (relayEnabled) {
+        console.log('📡 Raw completion relay enabled (/api/llm, /api/llm/stream, /api/groq)');
+    }
+    if (provider.mode) {
+        console.log(`📼 Cassette ${provider.mode}: ${provider.filePath} (${provider.size} entries)`);
+    }
+    console.log(`🎮 Multiplayer: ws://localhost:${PORT}/api/worlds/<id>/play (${turnWindowSeconds}s turn window)`);
+});
+
+attachMultiplayer(server, worlds, { turnWindowSeconds, allowedOrigins: ALLOWED_ORIGINS });
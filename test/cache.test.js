@@ -0,0 +1,60 @@
+// Response cache: least recently used entries go first, entries expire after the TTL, and caching is opt-in
+
+const test = require('node:test');
+const assert = require('node:assert');
+const { ResponseCache, CachingProvider, createCachingProvider } = require('../cache');
+const { MockProvider } = require('../mock-llm');
+
+test('a full cache evicts the least recently used entry', () => {
+    const cache = new ResponseCache({ maxEntries: 2 });
+    cache.set('a', 1);
+    cache.set('b', 2);
+    cache.get('a'); // Now b is the least recently used
+    cache.set('c', 3);
+
+    assert.strictEqual(cache.get('b'), null);
+    assert.strictEqual(cache.get('a'), 1);
+    assert.strictEqual(cache.get('c'), 3);
+    assert.deepStrictEqual({ hits: cache.hits, misses: cache.misses, size: cache.stats().size }, { hits: 3, misses: 1, size: 2 });
+});
+
+test('entries expire after the TTL', t => {
+    let now = 1000;
+    t.mock.method(Date, 'now', () => now);
+    const cache = new ResponseCache({ ttlMs: 500 });
+    cache.set('a', 1);
+
+    now = 1499;
+    assert.strictEqual(cache.get('a'), 1);
+    now = 1500;
+    assert.strictEqual(cache.get('a'), null);
+    assert.strictEqual(cache.entries.size, 0);
+});
+
+test('the caching provider answers repeats from the cache unless asked not to', async () => {
+    const inner = new MockProvider();
+    let calls = 0;
+    const complete = inner.complete.bind(inner);
+    inner.complete = request => {
+        calls++;
+        return complete(request);
+    };
+    const provider = new CachingProvider(inner, new ResponseCache());
+    const request = { prompt: 'WHILE YOU WAITED:\n- Cat: stretches', maxTokens: 80, temperature: 0.6 };
+
+    const first = await provider.complete(request);
+    const second = await provider.complete(request);
+    assert.strictEqual(second.content, first.content);
+    assert.deepStrictEqual(second.usage, { promptTokens: 0, completionTokens: 0 });
+    assert.strictEqual(calls, 1);
+
+    await provider.complete({ ...request, noCache: true });
+    await provider.complete({ ...request, maxTokens: 100 });
+    assert.strictEqual(calls, 3);
+});
+
+test('caching is off unless LLM_CACHE_SIZE is set', () => {
+    const inner = new MockProvider();
+    assert.strictEqual(createCachingProvider(inner, {}), inner);
+    assert.ok(createCachingProvider(inner, { LLM_CACHE_SIZE: '10' }) instanceof CachingProvider);
+});
@@ -0,0 +1,48 @@
+// Record a turn against the offline mock, then replay it from the cassette with no provider behind it
+
+const test = require('node:test');
+const assert = require('node:assert');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { World } = require('../world');
+const { buildScenario } = require('../scenarios');
+const { MockProvider } = require('../mock-llm');
+const { CassetteProvider } = require('../cassette');
+const { createTestLLM, quietLogs } = require('./helpers');
+
+// A provider that fails the test if anything reaches it
+const offline = {
+    name: 'mock',
+    model: 'vivarium-mock',
+    isConfigured: () => false,
+    complete: () => assert.fail('replay called the provider'),
+    stream: () => assert.fail('replay called the provider')
+};
+
+// One turn of the fishing boat scenario through `backend`; resolves to the narration and the world after it
+async function playTurn(backend, action) {
+    const world = new World({ llmManager: await createTestLLM(backend), onDevLog: () => {} });
+    buildScenario(world);
+    const narrative = await world.processPlayerAction(action);
+    return { narrative, state: world.export() };
+}
+
+test('a recorded turn replays from the cassette without the provider', async t => {
+    quietLogs(t);
+    const filePath = path.join(fs.mkdtempSync(path.join(os.tmpdir(), 'vivarium-cassette-')), 'turn.jsonl');
+
+    const recorded = await playTurn(new CassetteProvider(new MockProvider(), { mode: 'record', filePath }), 'turn the wheel');
+    const replayed = await playTurn(new CassetteProvider(offline, { mode: 'replay', filePath }), 'turn the wheel');
+
+    assert.ok(recorded.narrative);
+    assert.strictEqual(replayed.narrative, recorded.narrative);
+    assert.deepStrictEqual(replayed.state.objects, recorded.state.objects);
+});
+
+test('replay answers an unrecorded prompt with a 404', async () => {
+    const filePath = path.join(os.tmpdir(), `vivarium-missing-${process.pid}.jsonl`);
+    const cassette = new CassetteProvider(offline, { mode: 'replay', filePath });
+
+    await assert.rejects(cassette.complete({ prompt: 'never recorded' }), { status: 404 });
+});
@@ -0,0 +1,35 @@
+// Shared setup for the tests: an offline LLM manager, and a way to quiet a test's progress logging
+
+const fs = require('fs');
+const path = require('path');
+const { mock } = require('node:test');
+const { MockProvider } = require('../mock-llm');
+const { ProviderLLMManager } = require('../server-llm');
+const { PromptLibrary } = require('../prompts');
+
+// Templates from prompts/, loaded once and shared by every manager
+const prompts = new PromptLibrary({
+    readText: file => fs.promises.readFile(path.join(__dirname, '..', 'prompts', file), 'utf8')
+});
+
+// Hide console.log for the rest of test t - worlds log every step they take (warnings and errors still show)
+function quietLogs(t) {
+    t.mock.method(console, 'log', () => {});
+}
+
+// LLM manager answering from the offline mock, or from `backend` when given
+// Resolves once the prompt templates are loaded, so their log line can't land between tests
+async function createTestLLM(backend = new MockProvider()) {
+    const quiet = mock.method(console, 'log', () => {});
+    try {
+        await prompts.load();
+    } finally {
+        quiet.mock.restore();
+    }
+    return new ProviderLLMManager({ backend, prompts });
+}
+
+module.exports = {
+    createTestLLM,
+    quietLogs
+};
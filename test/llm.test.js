@@ -0,0 +1,184 @@
+// LLM manager: what goes into prompts, how replies are checked against their schemas and repaired, and how requests
+// are queued and retried
+
+const test = require('node:test');
+const assert = require('node:assert');
+const { MockProvider } = require('../mock-llm');
+const { RESPONSE_SCHEMAS, validateAgainstSchema } = require('../llm');
+const { createTestLLM, quietLogs } = require('./helpers');
+
+const LANTERN = { lit: { type: 'boolean', value: true }, oil: { type: 'number', value: 3, min: 0, max: 10 } };
+
+// A provider answering with `replies` in order, keeping every prompt it is sent
+function scriptedProvider(replies) {
+    const prompts = [];
+    return {
+        name: 'scripted',
+        model: 'scripted',
+        prompts,
+        isConfigured: () => true,
+        complete: async ({ prompt }) => {
+            prompts.push(prompt);
+            return { content: replies.shift(), usage: { promptTokens: 0, completionTokens: 0 } };
+        }
+    };
+}
+
+// The mock, keeping every prompt it is sent
+function recordingProvider() {
+    const backend = new MockProvider();
+    const complete = backend.complete.bind(backend);
+    backend.prompts = [];
+    backend.complete = request => {
+        backend.prompts.push(request.prompt);
+        return complete(request);
+    };
+    return backend;
+}
+
+test('relationship analysis shows the acting objects\' typed state', async t => {
+    quietLogs(t);
+    const llm = await createTestLLM();
+    const prompt = await llm.buildRelationshipAnalysisPrompt('light the lantern', [
+        { objectName: 'lantern', action: 'flares into light', properties: LANTERN },
+        { objectName: 'cat', action: 'blinks' }
+    ]);
+
+    assert.match(prompt, /- lantern: flares into light\n {2}state: lit: true, oil: 3 \(0\.\.10\)\n- cat: blinks\n/);
+    assert.match(prompt, /"state:" lines/);
+});
+
+test('ambient narration shows the typed state of what changed', async t => {
+    quietLogs(t);
+    const backend = recordingProvider();
+    const llm = await createTestLLM(backend);
+    await llm.generateAmbientNarration([
+        { objectName: 'Lantern', action: 'gutters', properties: LANTERN }
+    ], { playerName: 'Sam', containerName: 'Deck' });
+
+    const [prompt] = backend.prompts;
+    assert.match(prompt, /- Lantern: gutters\n {2}state: lit: true, oil: 3 \(0\.\.10\)/);
+    assert.match(prompt, /"state:" lines/);
+});
+
+test('prompts leave the state note out when nothing has typed state', async t => {
+    quietLogs(t);
+    const llm = await createTestLLM();
+    const prompt = await llm.buildRelationshipAnalysisPrompt('wave', [{ objectName: 'cat', action: 'blinks' }]);
+    assert.doesNotMatch(prompt, /state:/);
+});
+
+test('validateAgainstSchema reports every problem with its path', () => {
+    const schema = RESPONSE_SCHEMAS.relationships;
+    assert.deepStrictEqual(validateAgainstSchema({ relationships: [] }, schema), []);
+    assert.deepStrictEqual(validateAgainstSchema([], schema), ['response must be object, got array']);
+    assert.deepStrictEqual(validateAgainstSchema({}, schema), ['response.relationships is required']);
+
+    const errors = validateAgainstSchema({
+        relationships: [{ from: 'dog', relationship: ' ', to: 'kennel', progress: 1.5, progressTime: 2.5 }]
+    }, schema);
+    assert.deepStrictEqual(errors, [
+        'response.relationships[0].relationship must be at least 1 characters',
+        'response.relationships[0].progress must be <= 1',
+        'response.relationships[0].progressTime must be an integer'
+    ]);
+});
+
+test('a reply that fails its schema is sent back for repair with the errors', async t => {
+    quietLogs(t);
+    t.mock.method(console, 'warn', () => {});
+    const valid = '{"relationships": [{"from": "Dog", "relationship": "in", "to": "Kennel", "progress": 1, "progressTime": 1}]}';
+    const backend = scriptedProvider(['Sure! The dog went in.', '{"relationships": [{"from": "dog"}]}', valid]);
+    const llm = await createTestLLM(backend);
+
+    const changes = await llm.analyzeRelationshipChanges('whistle', [{ objectName: 'dog', action: 'runs into the kennel' }]);
+    assert.deepStrictEqual(changes.map(({ from, relationship, to }) => [from, relationship, to]), [['dog', 'in', 'kennel']]);
+    assert.strictEqual(backend.prompts.length, 3);
+    assert.match(backend.prompts[1], /invalid JSON/);
+    assert.match(backend.prompts[2], /response\.relationships\[0\]\.to is required/);
+    assert.ok(backend.prompts[2].startsWith(backend.prompts[0]));
+});
+
+test('repairs give up after maxRepairAttempts', async t => {
+    quietLogs(t);
+    t.mock.method(console, 'warn', () => {});
+    const backend = scriptedProvider(['{}', '{}', '{}', '{}']);
+    const llm = await createTestLLM(backend);
+
+    await assert.rejects(llm.callLLMJson('prompt', 'relationships'), /failed schema validation after 3 attempts/);
+    assert.strictEqual(backend.prompts.length, 3);
+});
+
+// A task for the queue that finishes when told to, noting when it started in `started`
+function deferredTask(name, started) {
+    let finish;
+    const done = new Promise(resolve => { finish = resolve; });
+    return { task: () => { started.push(name); return done.then(() => name); }, finish: () => finish() };
+}
+
+test('the queue keeps to maxConcurrent and starts the most urgent waiting request first', async t => {
+    quietLogs(t);
+    const llm = await createTestLLM();
+    llm.maxConcurrent = 2;
+    const started = [];
+    const [a, b, later, urgent] = ['a', 'b', 'later', 'urgent'].map(name => deferredTask(name, started));
+
+    const results = [
+        llm.schedule(a.task, 1),
+        llm.schedule(b.task, 1),
+        llm.schedule(later.task, 4),
+        llm.schedule(urgent.task, 0)
+    ];
+    assert.deepStrictEqual(started, ['a', 'b']);
+    assert.deepStrictEqual(llm.getQueueStatus(), { waiting: 2, active: 2, maxConcurrent: 2 });
+
+    a.finish();
+    await results[0];
+    await new Promise(resolve => setImmediate(resolve));
+    assert.deepStrictEqual(started, ['a', 'b', 'urgent']);
+
+    [b, later, urgent].forEach(task => task.finish());
+    assert.deepStrictEqual(await Promise.all(results), ['a', 'b', 'later', 'urgent']);
+    assert.deepStrictEqual(llm.getQueueStatus(), { waiting: 0, active: 0, maxConcurrent: 2 });
+});
+
+test('rate limits and server errors are retried, anything else fails at once', async t => {
+    t.mock.method(console, 'warn', () => {});
+    const llm = await createTestLLM();
+    llm.retryBaseDelayMs = 1;
+    const failing = (statuses, result) => {
+        const request = async () => {
+            request.calls++;
+            const status = statuses.shift();
+            if (status) throw Object.assign(new Error(`HTTP ${status}`), { status });
+            return result;
+        };
+        request.calls = 0;
+        return request;
+    };
+
+    const flaky = failing([429, 503], 'ok');
+    assert.strictEqual(await llm.withRetry(flaky), 'ok');
+    assert.strictEqual(flaky.calls, 3);
+
+    const rejected = failing([400], 'ok');
+    await assert.rejects(llm.withRetry(rejected), { status: 400 });
+    assert.strictEqual(rejected.calls, 1);
+
+    const down = failing([500, 500, 500, 500, 500, 500], 'ok');
+    await assert.rejects(llm.withRetry(down), { status: 500 });
+    assert.strictEqual(down.calls, llm.maxRetries + 1);
+});
+
+test('backoff follows Retry-After when given and grows exponentially otherwise, up to the cap', async t => {
+    quietLogs(t);
+    const llm = await createTestLLM();
+    llm.retryBaseDelayMs = 100;
+    llm.retryMaxDelayMs = 5000;
+
+    assert.strictEqual(llm.getRetryDelay({ retryAfter: '2' }, 0), 2000);
+    assert.strictEqual(llm.getRetryDelay({ retryAfter: '60' }, 0), 5000);
+    const delay = llm.getRetryDelay({}, 3);
+    assert.ok(delay >= 800 && delay <= 1000, `${delay}`);
+    assert.strictEqual(llm.getRetryDelay({}, 10), 5000);
+});
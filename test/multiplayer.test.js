@@ -0,0 +1,98 @@
+// WebSocket play rooms: bad messages get an error reply, and every seated player takes part in each turn and tick
+
+const test = require('node:test');
+const assert = require('node:assert');
+const http = require('http');
+const WebSocket = require('ws');
+const { createTestLLM, quietLogs } = require('./helpers');
+const { WorldStore } = require('../worlds');
+const { PlayRoom, attachMultiplayer } = require('../multiplayer');
+
+test('non-object messages are answered with an error', async t => {
+    quietLogs(t);
+    const store = new WorldStore(await createTestLLM(), { autoSaveTurns: 0 });
+    const host = store.create();
+    const server = http.createServer();
+    attachMultiplayer(server, store);
+    await new Promise(resolve => server.listen(0, resolve));
+
+    const socket = new WebSocket(`ws://127.0.0.1:${server.address().port}/api/worlds/${host.id}/play`);
+    const messages = [];
+    const waiters = [];
+    socket.on('message', data => {
+        messages.push(JSON.parse(data));
+        waiters.splice(0).forEach(resolve => resolve());
+    });
+    // The next message of a type, waiting for it if it hasn't arrived
+    const next = async type => {
+        for (;;) {
+            const index = messages.findIndex(message => message.type === type);
+            if (index !== -1) return messages.splice(index, 1)[0];
+            await new Promise(resolve => waiters.push(resolve));
+        }
+    };
+    await new Promise(resolve => socket.once('open', resolve));
+
+    for (const raw of ['null', '42', '"x"', '[]']) {
+        socket.send(raw);
+        const reply = await next('error');
+        assert.match(reply.error, /JSON objects/, raw);
+    }
+
+    // Still serving the same connection
+    socket.send(JSON.stringify({ type: 'join', name: 'tester', objectId: host.world.playerObjectId }));
+    assert.strictEqual((await next('joined')).objectId, host.world.playerObjectId);
+
+    socket.close();
+    await new Promise(resolve => socket.once('close', resolve));
+    server.close();
+});
+
+// A socket stand-in that keeps what the room sends it
+function fakeSocket() {
+    return {
+        OPEN: 1,
+        readyState: 1,
+        sent: [],
+        on() {},
+        send(data) {
+            this.sent.push(JSON.parse(data));
+        }
+    };
+}
+
+test('seated players who did not act wait out the turn and are never simulated', async t => {
+    quietLogs(t);
+    const store = new WorldStore(await createTestLLM(), { autoSaveTurns: 0 });
+    const host = store.create();
+    const room = new PlayRoom(host, { turnWindowMs: 60000, onEmpty: () => {} });
+    const [first, second] = [...host.world.objects.values()]
+        .filter(obj => obj !== host.world.rootObject && obj.id !== host.world.playerObjectId)
+        .slice(0, 2);
+    const [actor, idler] = [fakeSocket(), fakeSocket()];
+    room.add(actor);
+    room.add(idler);
+    room.receive(actor, JSON.stringify({ type: 'join', name: 'actor', objectId: first.id }));
+    room.receive(idler, JSON.stringify({ type: 'join', name: 'idler', objectId: second.id }));
+    assert.ok(host.world.isPlayed(second.id));
+
+    let played = null;
+    host.actTogether = async actions => {
+        played = new Map(actions);
+        return { narratives: {}, diff: {} };
+    };
+    room.receive(actor, JSON.stringify({ type: 'action', action: 'looks around' }));
+    await room.resolve();
+
+    assert.deepStrictEqual([...played], [[first.id, 'looks around'], [second.id, 'waits']]);
+    const turn = idler.sent.find(message => message.type === 'turn');
+    assert.deepStrictEqual(turn.actions.map(({ objectId }) => objectId), [first.id]);
+
+    room.sendTick({ time: 1, ambients: { [second.id]: 'A gull cries.' }, diff: {} });
+    assert.strictEqual(idler.sent.find(message => message.type === 'tick').ambient, 'A gull cries.');
+    assert.strictEqual(actor.sent.find(message => message.type === 'tick').ambient, null);
+
+    room.remove(idler);
+    assert.ok(!host.world.isPlayed(second.id));
+    room.remove(actor);
+});
@@ -0,0 +1,47 @@
+// Prompt templates: the Mustache subset fill understands, and scenario overrides
+
+const test = require('node:test');
+const assert = require('node:assert');
+const { PromptLibrary } = require('../prompts');
+const { quietLogs } = require('./helpers');
+
+test('fill replaces variables and keeps sections by whether their variable is empty', () => {
+    const template = 'Hello {{name}}{{#title}}, {{title}}{{/title}}{{^title}} (untitled){{/title}}';
+
+    assert.strictEqual(PromptLibrary.fill(template, { name: 'Sam', title: 'captain' }), 'Hello Sam, captain');
+    for (const title of ['', null, false, [], undefined]) {
+        assert.strictEqual(PromptLibrary.fill(template, { name: 'Sam', title }), 'Hello Sam (untitled)', JSON.stringify(title));
+    }
+    assert.strictEqual(PromptLibrary.fill('{{count}} fish', { count: 0 }), '0 fish');
+});
+
+test('fill drops the line break of a section tag alone on its line', () => {
+    const template = 'A\n{{#extra}}\nEXTRA: {{extra}}\n{{/extra}}\nB';
+
+    assert.strictEqual(PromptLibrary.fill(template, { extra: 'x' }), 'A\nEXTRA: x\nB');
+    assert.strictEqual(PromptLibrary.fill(template, { extra: '' }), 'A\nB');
+});
+
+test('fill leaves a variable nobody provided empty, with a warning', t => {
+    const warn = t.mock.method(console, 'warn', () => {});
+    assert.strictEqual(PromptLibrary.fill('[{{missing}}]', {}), '[]');
+    assert.strictEqual(warn.mock.callCount(), 1);
+});
+
+test('render prefers the scenario\'s override of a template', async t => {
+    quietLogs(t);
+    const files = {
+        'manifest.json': JSON.stringify({
+            templates: { greeting: 'greeting.txt' },
+            scenarios: { haunted: { greeting: 'haunted/greeting.txt' } }
+        }),
+        'greeting.txt': 'Hello {{name}}\n',
+        'haunted/greeting.txt': 'Boo, {{name}}\n'
+    };
+    const prompts = new PromptLibrary({ readText: async file => files[file] });
+
+    assert.strictEqual(await prompts.render('greeting', { name: 'Sam' }), 'Hello Sam');
+    assert.strictEqual(await prompts.render('greeting', { name: 'Sam' }, 'haunted'), 'Boo, Sam');
+    assert.strictEqual(await prompts.render('greeting', { name: 'Sam' }, 'fishing_boat'), 'Hello Sam');
+    await assert.rejects(prompts.render('farewell', {}), /Unknown prompt template "farewell"/);
+});
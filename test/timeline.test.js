@@ -0,0 +1,78 @@
+// Turn history: undo restores the state before a turn, forks keep their own chronicle, and old turns are forgotten
+
+const test = require('node:test');
+const assert = require('node:assert');
+const { Timeline } = require('../timeline');
+
+// A tiny World.export(): one object whose note records the time, and a chronicle entry per turn taken
+function state(time, chronicle = []) {
+    return {
+        version: 8,
+        simulationTime: time,
+        objects: [{ id: 'room', name: 'Room', note: `time ${time}` }],
+        chronicle
+    };
+}
+
+// Take `actions` as turns from `start`, recording each; returns the state after the last one
+function play(timeline, start, actions) {
+    let current = start;
+    actions.forEach(action => {
+        timeline.record(current, action);
+        const time = current.simulationTime + 1;
+        current = state(time, [...current.chronicle, { turn: time, type: 'turn', action }]);
+    });
+    return current;
+}
+
+test('undo brings back the state and chronicle from before the turns', () => {
+    const timeline = new Timeline();
+    const now = play(timeline, state(0), ['a', 'b', 'c']);
+
+    const restored = timeline.rewind(2, now);
+    assert.strictEqual(restored.simulationTime, 1);
+    assert.strictEqual(restored.objects[0].note, 'time 1');
+    assert.deepStrictEqual(restored.chronicle.map(entry => entry.action), ['a']);
+    assert.strictEqual(timeline.path().length, 1);
+    assert.throws(() => timeline.rewind(2, restored), /Only 1 turn to undo/);
+});
+
+test('a turn taken after an undo forks the tree', () => {
+    const timeline = new Timeline();
+    const now = play(timeline, state(0), ['a', 'b']);
+    play(timeline, timeline.rewind(1, now), ['x']);
+
+    const [root] = timeline.tree().roots;
+    assert.deepStrictEqual(root.children.map(node => [node.action, node.current]), [['b', false], ['x', true]]);
+});
+
+test('a branch forked from a past turn keeps that turn\'s chronicle and switches back to its tip', () => {
+    const timeline = new Timeline();
+    const now = play(timeline, state(0), ['a', 'b', 'c']);
+
+    const forked = timeline.checkout('calm', now, 1);
+    assert.strictEqual(forked.simulationTime, 1);
+    assert.deepStrictEqual(forked.chronicle.map(entry => entry.action), ['a']);
+
+    const calm = play(timeline, forked, ['rest']);
+    const main = timeline.checkout('main', calm);
+    assert.deepStrictEqual(main, now);
+    assert.deepStrictEqual(timeline.checkout('calm', main).chronicle.map(entry => entry.action), ['a', 'rest']);
+});
+
+test('turn snapshots leave the chronicle out', () => {
+    const timeline = new Timeline();
+    const node = timeline.record(state(0, [{ turn: 0, type: 'tick' }]), 'a');
+    assert.strictEqual(node.snapshot.fields.chronicle, undefined);
+});
+
+test('only the latest maxTurns turns are kept', () => {
+    const timeline = new Timeline({ maxTurns: 3 });
+    const now = play(timeline, state(0), ['a', 'b', 'c', 'd', 'e']);
+
+    assert.strictEqual(timeline.nodes.size, 3);
+    assert.deepStrictEqual(timeline.path().map(node => node.action), ['c', 'd', 'e']);
+    assert.deepStrictEqual(timeline.tree().roots.map(node => node.action), ['c']);
+    assert.throws(() => timeline.rewind(4, now), /Only 3 turns to undo/);
+    assert.strictEqual(timeline.rewind(3, now).simulationTime, 2);
+});
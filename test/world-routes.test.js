@@ -0,0 +1,161 @@
+// REST turn API against an offline world store: bad requests get an error answer and leave the world intact, and save
+// slots stay with the world that wrote them
+
+const test = require('node:test');
+const assert = require('node:assert');
+const express = require('express');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { createTestLLM, quietLogs } = require('./helpers');
+const { WorldStore } = require('../worlds');
+const { SaveStore } = require('../saves');
+const { createWorldRouter } = require('../world-routes');
+
+let server;
+let baseUrl;
+let store;
+
+test.before(async () => {
+    const saves = new SaveStore(fs.mkdtempSync(path.join(os.tmpdir(), 'vivarium-saves-')));
+    store = new WorldStore(await createTestLLM(), { saves, autoSaveTurns: 0, maxWorlds: 3 });
+    const app = express();
+    app.use(express.json());
+    app.use('/api/worlds', createWorldRouter(store));
+    server = app.listen(0);
+    await new Promise(resolve => server.once('listening', resolve));
+    baseUrl = `http://127.0.0.1:${server.address().port}/api/worlds`;
+});
+
+test.after(() => {
+    server.close();
+});
+
+async function request(method, path, body) {
+    const response = await fetch(baseUrl + path, {
+        method,
+        headers: { 'Content-Type': 'application/json' },
+        body: body === undefined ? undefined : JSON.stringify(body)
+    });
+    return { status: response.status, body: await response.json() };
+}
+
+async function createWorld() {
+    const { status, body } = await request('POST', '/', {});
+    assert.strictEqual(status, 201);
+    return body;
+}
+
+test('PUT state rejects malformed objects and keeps the world', async t => {
+    quietLogs(t);
+    const world = await createWorld();
+
+    for (const state of [
+        { objects: [null] },
+        { objects: [42] },
+        { objects: [{ name: 'no id' }] },
+        { objects: [{ id: 'a' }, { id: 'a' }] },
+        { objects: [{ id: 'a' }], party: 5 },
+        { objects: [{ id: 'a' }], chronicle: 7, version: 4 }
+    ]) {
+        const { status } = await request('PUT', `/${world.id}/state`, { state });
+        assert.strictEqual(status, 400, JSON.stringify(state));
+    }
+
+    const { status, body } = await request('GET', `/${world.id}`);
+    assert.strictEqual(status, 200);
+    assert.deepStrictEqual(body.state.objects, world.state.objects);
+});
+
+test('PATCH object refuses to move an object into its own contents', async t => {
+    quietLogs(t);
+    const world = await createWorld();
+    const inside = world.state.objects.find(obj => obj.parentId && obj.parentId !== world.state.rootObjectId);
+    const container = inside.parentId;
+
+    // The container into something it holds, and an object into itself
+    for (const [objectId, parentId] of [[container, inside.id], [inside.id, inside.id]]) {
+        const { status } = await request('PATCH', `/${world.id}/objects/${encodeURIComponent(objectId)}`, { parentId });
+        assert.strictEqual(status, 400);
+    }
+
+    const host = store.get(world.id);
+    for (const obj of host.world.objects.values()) {
+        assert.ok(obj.getAncestors().length <= host.world.objects.size);
+    }
+});
+
+test('creating an object inside a missing parent is refused', async t => {
+    quietLogs(t);
+    const world = await createWorld();
+    const { status } = await request('POST', `/${world.id}/objects`, {
+        id: 'lost_crate',
+        name: 'Lost Crate',
+        description: 'A crate with nowhere to be.',
+        parentId: 'no_such_object'
+    });
+    assert.strictEqual(status, 400);
+    assert.strictEqual(store.get(world.id).world.getObject('lost_crate'), undefined);
+});
+
+test('actions must be non-blank text within the length cap', async t => {
+    quietLogs(t);
+    const world = await createWorld();
+
+    for (const action of [{}, ['look'], 42, '   ', 'x'.repeat(501)]) {
+        for (const path of ['actions', 'actions/stream']) {
+            const { status } = await request('POST', `/${world.id}/${path}`, { action });
+            assert.strictEqual(status, 400, `${path} ${JSON.stringify(action).slice(0, 20)}`);
+        }
+    }
+    assert.strictEqual(store.get(world.id).world.simulationTime, 0);
+});
+
+test('relating to a missing object answers 404', async t => {
+    quietLogs(t);
+    const world = await createWorld();
+    const { status } = await request('POST', `/${world.id}/objects/${world.playerObjectId}/relationships`, {
+        relationship: 'near',
+        to: 'no_such_object'
+    });
+    assert.strictEqual(status, 404);
+});
+
+test('creating past the world limit drops the least recently used world', async t => {
+    quietLogs(t);
+    const ids = [];
+    for (let i = 0; i < 4; i++) {
+        ids.push((await createWorld()).id);
+    }
+
+    assert.strictEqual(store.size, 3);
+    assert.strictEqual(store.get(ids[0]), null);
+    assert.ok(store.get(ids[3]));
+});
+
+test('save slots belong to the world that wrote them', async t => {
+    quietLogs(t);
+    const [mine, theirs] = [await createWorld(), await createWorld()];
+    assert.strictEqual((await request('POST', `/${mine.id}/saves`, { name: 'harbor' })).status, 201);
+
+    assert.deepStrictEqual((await request('GET', `/${theirs.id}/saves`)).body.saves, []);
+    assert.strictEqual((await request('POST', `/${theirs.id}/load`, { name: 'harbor' })).status, 404);
+    assert.strictEqual((await request('DELETE', `/${theirs.id}/saves/harbor`)).status, 404);
+
+    const { body } = await request('GET', `/${mine.id}/saves`);
+    assert.deepStrictEqual(body.saves.map(save => save.name), ['harbor']);
+});
+
+test('a dropped world reopens under its id with its save slots', async t => {
+    quietLogs(t);
+    const world = await createWorld();
+    await request('POST', `/${world.id}/saves`, { name: 'before' });
+    assert.strictEqual((await request('POST', '/', { id: world.id })).status, 400); // Still hosted
+    store.drop(world.id);
+
+    const { status, body } = await request('POST', '/', { id: world.id });
+    assert.strictEqual(status, 201);
+    assert.strictEqual(body.id, world.id);
+    assert.strictEqual((await request('POST', `/${world.id}/load`, { name: 'before' })).status, 200);
+    assert.strictEqual((await request('POST', '/', { id: '../saves' })).status, 400);
+});
@@ -0,0 +1,155 @@
+// World rules that need no model: hierarchy distance, simulation level of detail, the relationship lifecycle and
+// perception
+
+const test = require('node:test');
+const assert = require('node:assert');
+const { World } = require('../world');
+const { quietLogs } = require('./helpers');
+
+// A world holding one chain of objects, each inside the one before: depth0 (the root) > depth1 > ... > depth<n>
+function chainWorld(length) {
+    const world = new World();
+    for (let depth = 0; depth <= length; depth++) {
+        world.createObject(`depth${depth}`, `Depth ${depth}`, 'A nested box.', depth === 0 ? null : `depth${depth - 1}`);
+    }
+    return world;
+}
+
+test('getDistance counts the steps up to the shared container and back down', () => {
+    const world = chainWorld(3);
+    const sibling = world.createObject('sibling', 'Sibling', 'Next to depth 2.', 'depth1');
+    const [root, , two, three] = [0, 1, 2, 3].map(depth => world.getObject(`depth${depth}`));
+
+    assert.strictEqual(three.getDistance(three), 0);
+    assert.strictEqual(three.getDistance(two), 1);
+    assert.strictEqual(root.getDistance(three), 3);
+    assert.strictEqual(two.getDistance(sibling), 2);
+    assert.strictEqual(three.getDistance(sibling), 3);
+
+    const elsewhere = new World().createObject('elsewhere', 'Elsewhere', 'Another tree.');
+    assert.strictEqual(three.getDistance(elsewhere), Infinity);
+});
+
+test('the simulation branch keeps near objects, mid-range ones every midEvery steps and never far ones', () => {
+    const world = chainWorld(7);
+    const player = world.getObject('depth0');
+    const branchIds = () => world.getSimulationBranch(player).map(obj => obj.id).sort();
+
+    world.simulationTime = 3; // A multiple of midEvery (3)
+    assert.deepStrictEqual(branchIds(), ['depth0', 'depth1', 'depth2', 'depth3', 'depth4', 'depth5']);
+
+    world.simulationTime = 4;
+    assert.deepStrictEqual(branchIds(), ['depth0', 'depth1', 'depth2', 'depth3']);
+
+    world.simulationLod = { nearDistance: 1, midDistance: 7, midEvery: 1 };
+    assert.deepStrictEqual(branchIds(), ['depth0', 'depth1', 'depth2', 'depth3', 'depth4', 'depth5', 'depth6', 'depth7']);
+});
+
+// A dock with a boat and a crate at it, Sam standing on the dock
+function harborWorld() {
+    const world = new World();
+    world.createObject('dock', 'Dock', 'A wooden dock.');
+    world.createObject('boat', 'Boat', 'A fishing boat.', 'dock');
+    world.createObject('crate', 'Crate', 'A crate.', 'dock');
+    world.createObject('sam', 'Sam', 'A fisherman.', 'dock');
+    return world;
+}
+
+test('a spatial relationship that completes over time moves the object', t => {
+    quietLogs(t);
+    const world = harborWorld();
+    const sam = world.getObject('sam');
+    world.relate(sam, 'aboard', 'boat', 0, 2);
+
+    world.progressTimeBasedRelationships();
+    assert.strictEqual(sam.parent.id, 'dock');
+
+    world.progressTimeBasedRelationships();
+    assert.strictEqual(sam.parent.id, 'boat');
+    assert.deepStrictEqual(sam.relationships, []); // The hierarchy says it now
+    assert.deepStrictEqual(world.recentMoves.map(({ object, from, to }) => [object.id, from.id, to.id]), [['sam', 'dock', 'boat']]);
+});
+
+test('completing a spatial relationship never moves an object inside itself', t => {
+    quietLogs(t);
+    t.mock.method(console, 'warn', () => {});
+    const world = harborWorld();
+    const boat = world.getObject('boat');
+    world.relate(world.getObject('sam'), 'in', 'boat', 1);
+    world.completeSpatialRelationship(world.getObject('sam'), world.getObject('sam').relationships[0]);
+
+    const rel = world.relate(boat, 'held by', 'sam', 1);
+    assert.strictEqual(world.completeSpatialRelationship(boat, rel), false);
+    assert.strictEqual(boat.parent.id, 'dock');
+    assert.strictEqual(world.completeSpatialRelationship(boat, world.relate(boat, 'near', 'crate', 1)), false); // Not spatial
+});
+
+test('adding a relationship ends the ones it contradicts', t => {
+    quietLogs(t);
+    const world = harborWorld();
+    const boat = world.getObject('boat');
+    world.relate(boat, 'docked at', 'dock', 1);
+    world.relate(boat, 'near', 'crate', 1);
+
+    world.relate(boat, 'sailing_away_from', 'dock', 1);
+    world.relate(boat, 'far from', 'sam', 1); // A different target contradicts nothing
+    assert.deepStrictEqual(boat.relationships.map(rel => `${rel.relationship} ${rel.to}`),
+        ['near crate', 'sailing_away_from dock', 'far from sam']);
+});
+
+test('one-shot relationships last a step, and relationshipLifetime makes the rest decay', t => {
+    quietLogs(t);
+    const world = harborWorld();
+    const sam = world.getObject('sam');
+    world.relationshipLifetime = 2;
+    world.relate(sam, 'reached', 'boat', 1);
+    world.relate(sam, 'touched', 'crate', 0, 2); // Its lifetime starts once it comes true
+    world.relate(sam, 'near', 'crate', 1);
+    world.relate(sam, 'waving at', 'boat', 1, null, 5); // A lifetime of its own beats both
+    const names = () => sam.relationships.map(rel => rel.relationship);
+
+    world.expireRelationships();
+    assert.deepStrictEqual(names(), ['touched', 'near', 'waving at']);
+
+    world.progressTimeBasedRelationships();
+    world.progressTimeBasedRelationships();
+    assert.strictEqual(sam.relationships[0].progress, 1);
+
+    world.expireRelationships();
+    assert.deepStrictEqual(names(), ['waving at']);
+});
+
+// Sam and a cat in a cabin, with a rat in a closed chest and a moth in a sealed jar
+function cabinWorld() {
+    const world = new World();
+    world.createObject('cabin', 'Cabin', 'A small cabin.');
+    world.createObject('sam', 'Sam', 'A fisherman.', 'cabin');
+    world.createObject('cat', 'Cat', 'A ship cat.', 'cabin');
+    const enclosure = value => ({ type: 'enum', value, values: ['open', 'transparent', 'opaque', 'sealed'] });
+    world.createObject('chest', 'Chest', 'A closed chest.', 'cabin').defineProperty('enclosure', enclosure('opaque'));
+    world.createObject('rat', 'Rat', 'A rat.', 'chest');
+    world.createObject('jar', 'Jar', 'A sealed jar.', 'cabin').defineProperty('enclosure', enclosure('sealed'));
+    world.createObject('moth', 'Moth', 'A moth.', 'jar');
+    return world;
+}
+
+test('perceive weakens senses with distance and container walls', () => {
+    const world = cabinWorld();
+    const perceived = new Map([...world.perceive(world.getObject('sam'))].map(([obj, senses]) => [obj.id, senses]));
+
+    assert.deepStrictEqual([...perceived.keys()].sort(), ['cabin', 'cat', 'chest', 'jar', 'rat']);
+    assert.deepStrictEqual(Object.keys(perceived.get('cat')), ['sight', 'sound', 'smell']);
+    assert.deepStrictEqual(perceived.get('rat'), { sound: 0.25 }); // Through the chest lid: no sight, no smell
+    assert.strictEqual(world.describeSenses(perceived.get('rat')), 'not seen - faintly heard');
+    assert.strictEqual(world.describeSenses(perceived.get('cat')), null);
+});
+
+test('perceive needs light to see, unless the thing seen is lit', () => {
+    const world = cabinWorld();
+    const sam = world.getObject('sam');
+    world.getObject('cabin').defineProperty('light', { type: 'number', value: 0, min: 0, max: 1 });
+    assert.strictEqual(world.perceive(sam).get(world.getObject('cat')).sight, undefined);
+
+    world.createObject('lantern', 'Lantern', 'A lantern.', 'cabin').defineProperty('lit', { type: 'boolean', value: true });
+    assert.ok(world.perceive(sam).get(world.getObject('cat')).sight > 0.5);
+});
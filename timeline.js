@@ -0,0 +1,200 @@
+// Turn history for a World: undo, rewind and branching timelines
+// Every turn records the world's state from just before it, as a tree of nodes - taking a new turn
+// after an undo forks the tree. Named branches point at a node so you can jump between alternate timelines.
+//
+// Snapshots share structure: each object is kept as a JSON string, and an object that hasn't changed
+// since the last snapshot reuses the previous string, so a turn only costs memory for what it touched.
+// Turn snapshots leave the chronicle out: it only grows along a path, so the chronicle before a turn is the
+// current one cut back to the entries filed by then. Only the latest maxTurns turns are kept.
+
+const DEFAULT_MAX_TURNS = 100;
+
+class Timeline {
+    // options.maxTurns - most turns remembered across all branches; the oldest are forgotten first
+    constructor(options = {}) {
+        this.maxTurns = options.maxTurns || DEFAULT_MAX_TURNS;
+        this.reset();
+    }
+
+    // Forget all history (e.g. after loading a save into the world)
+    reset() {
+        this.nodes = new Map(); // id -> { id, parentId, turn, action, branch, snapshot } (oldest first)
+        this.nextId = 1;
+        this.head = null; // Node of the latest turn on the current path (null before the first turn)
+        this.branch = 'main';
+        this.branches = new Map([['main', { head: null, tip: null }]]); // name -> { head, tip snapshot when not current }
+        this.objectCache = new Map(); // object id -> JSON string from the latest snapshot
+    }
+
+    // Compact copy of a World.export(), sharing unchanged objects with earlier snapshots
+    // Without the chronicle when withChronicle is false (see chronicleAt)
+    snapshot(state, withChronicle = true) {
+        const objects = state.objects.map(obj => {
+            const json = JSON.stringify(obj);
+            const cached = this.objectCache.get(obj.id);
+            if (cached === json) {
+                return cached;
+            }
+            this.objectCache.set(obj.id, json);
+            return json;
+        });
+
+        const fields = { ...state };
+        delete fields.objects;
+        if (!withChronicle) {
+            delete fields.chronicle;
+        }
+        return { fields, objects };
+    }
+
+    // Expand a snapshot back into World.export() form
+    static restore(snapshot) {
+        return {
+            ...snapshot.fields,
+            objects: snapshot.objects.map(json => JSON.parse(json))
+        };
+    }
+
+    // Expand a turn's snapshot, taking its chronicle from `chronicle` on the same path: the entries filed before
+    // the turn ran (every later one is stamped with a later time)
+    static restoreTurn(node, chronicle) {
+        return {
+            ...Timeline.restore(node.snapshot),
+            chronicle: chronicle.filter(entry => entry.turn <= node.turn)
+        };
+    }
+
+    // Call before a turn runs with the world's current export() and the player's action
+    record(state, action) {
+        const node = {
+            id: this.nextId++,
+            parentId: this.head,
+            turn: state.simulationTime,
+            action,
+            branch: this.branch,
+            snapshot: this.snapshot(state, false)
+        };
+        this.nodes.set(node.id, node);
+        this.head = node.id;
+        this.branches.get(this.branch).head = node.id;
+        while (this.nodes.size > this.maxTurns) {
+            this.forget(this.nodes.keys().next().value);
+        }
+        return node;
+    }
+
+    // Drop a turn from history: its children start the tree, and a branch ending on it has nothing left to undo
+    forget(id) {
+        this.nodes.delete(id);
+        this.nodes.forEach(node => {
+            if (node.parentId === id) {
+                node.parentId = null;
+            }
+        });
+        this.branches.forEach(branch => {
+            if (branch.head === id) {
+                branch.head = null;
+            }
+        });
+        if (this.head === id) {
+            this.head = null;
+        }
+    }
+
+    // Nodes from the first turn to the head of the current path
+    path() {
+        const path = [];
+        for (let id = this.head; id !== null; id = this.nodes.get(id).parentId) {
+            path.unshift(this.nodes.get(id));
+        }
+        return path;
+    }
+
+    // Step back over the last `steps` turns; currentState is the world's export(). Returns the state to load
+    rewind(steps, currentState) {
+        const path = this.path();
+        if (!Number.isInteger(steps) || steps < 1) {
+            throw new Error('Rewind by at least one turn');
+        }
+        if (steps > path.length) {
+            throw new Error(path.length === 0 ? 'No turns to undo' : `Only ${path.length} turn${path.length === 1 ? '' : 's'} to undo`);
+        }
+
+        const target = path[path.length - steps];
+        this.head = target.parentId;
+        this.branches.get(this.branch).head = this.head;
+        return Timeline.restoreTurn(target, currentState.chronicle);
+    }
+
+    // Make `name` the current branch, leaving the current one as it is
+    // An existing branch is switched to; a new one forks from the end of `turn` on the current path
+    // (default: now). currentState is the world's export() - kept as the tip of the branch being left.
+    // Returns the state to load
+    checkout(name, currentState, turn = null) {
+        if (!/^[A-Za-z0-9_-]{1,32}$/.test(name || '')) {
+            throw new Error(`Invalid branch name "${name}" (use letters, digits, "-" and "_")`);
+        }
+
+        const existing = this.branches.get(name);
+        if (existing && turn !== null) {
+            throw new Error(`Branch "${name}" already exists`);
+        }
+        if (name === this.branch) {
+            throw new Error(`Already on branch "${name}"`);
+        }
+
+        let state = currentState;
+        let head = this.head;
+        if (existing) {
+            state = Timeline.restore(existing.tip);
+            head = existing.head;
+        } else if (turn !== null && turn !== currentState.simulationTime) {
+            // The state after `turn` is the snapshot taken before the next turn on this path
+            const next = this.path().find(node => node.turn === turn);
+            if (!next) {
+                throw new Error(`Turn ${turn} is not on branch "${this.branch}"`);
+            }
+            state = Timeline.restoreTurn(next, currentState.chronicle);
+            head = next.parentId;
+        }
+
+        this.branches.get(this.branch).tip = this.snapshot(currentState);
+        this.branches.set(name, { head, tip: null });
+        this.branch = name;
+        this.head = head;
+        return state;
+    }
+
+    // The turn tree for display: { branch, head, branches, roots: [{ id, turn, action, branch, current, children }] }
+    tree() {
+        const onPath = new Set(this.path().map(node => node.id));
+        const children = new Map(); // parentId -> [node]
+        this.nodes.forEach(node => {
+            if (!children.has(node.parentId)) {
+                children.set(node.parentId, []);
+            }
+            children.get(node.parentId).push(node);
+        });
+
+        const build = node => ({
+            id: node.id,
+            turn: node.turn + 1, // The simulation time this action happened at
+            action: node.action,
+            branch: node.branch,
+            current: onPath.has(node.id),
+            children: (children.get(node.id) || []).map(build)
+        });
+
+        return {
+            branch: this.branch,
+            head: this.head,
+            branches: Array.from(this.branches.entries()).map(([name, { head }]) => ({ name, head })),
+            roots: (children.get(null) || []).map(build)
+        };
+    }
+}
+
+module.exports = {
+    Timeline,
+    DEFAULT_MAX_TURNS
+};
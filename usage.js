@@ -0,0 +1,126 @@
+// Token usage and cost accounting for the proxy server
+// Accumulates prompt/completion tokens per call type, per turn and per session
+
+const fs = require('fs');
+
+// The phases of a turn that call the LLM (anything else is counted as "other")
+const CALL_TYPES = ['simulation', 'relationships', 'objects', 'narration', 'description', 'memory', 'planning', 'ambient'];
+
+// USD per million tokens; override or extend with LLM_PRICES_FILE
+const DEFAULT_PRICES = {
+    'moonshotai/kimi-k2-instruct': { input: 1.00, output: 3.00 },
+    'claude-3-5-haiku-latest': { input: 0.80, output: 4.00 },
+    'gpt-4o-mini': { input: 0.15, output: 0.60 },
+    'llama3.1': { input: 0, output: 0 },
+    'vivarium-mock': { input: 0, output: 0 }
+};
+
+// How many turns of detail to keep per session
+const MAX_TURNS_PER_SESSION = 100;
+
+function emptyBucket() {
+    return { calls: 0, cachedCalls: 0, promptTokens: 0, completionTokens: 0, cost: 0 };
+}
+
+function addToBucket(bucket, { promptTokens, completionTokens, cost, cached }) {
+    bucket.calls++;
+    if (cached) bucket.cachedCalls++;
+    bucket.promptTokens += promptTokens;
+    bucket.completionTokens += completionTokens;
+    bucket.cost += cost;
+}
+
+// Per-type buckets plus a total
+function emptyBreakdown() {
+    const byType = {};
+    CALL_TYPES.concat('other').forEach(type => { byType[type] = emptyBucket(); });
+    return { byType, total: emptyBucket() };
+}
+
+function addToBreakdown(breakdown, type, entry) {
+    addToBucket(breakdown.byType[type], entry);
+    addToBucket(breakdown.total, entry);
+}
+
+// Load the price table, merging LLM_PRICES_FILE (same shape as DEFAULT_PRICES) over the defaults
+function loadPrices(env = process.env) {
+    const prices = { ...DEFAULT_PRICES };
+    if (env.LLM_PRICES_FILE) {
+        try {
+            Object.assign(prices, JSON.parse(fs.readFileSync(env.LLM_PRICES_FILE, 'utf8')));
+        } catch (error) {
+            console.warn(`💰 Could not load price table from ${env.LLM_PRICES_FILE}: ${error.message}`);
+        }
+    }
+    return prices;
+}
+
+class UsageTracker {
+    constructor(prices = DEFAULT_PRICES) {
+        this.prices = prices;
+        this.sessions = new Map(); // sessionId -> { ...breakdown, turns: Map turn -> breakdown }
+        this.overall = emptyBreakdown();
+    }
+
+    // Cost of one call in USD (0 for models missing from the price table)
+    priceCall(model, promptTokens, completionTokens) {
+        const price = this.prices[model];
+        if (!price) return 0;
+        return (promptTokens * price.input + completionTokens * price.output) / 1e6;
+    }
+
+    record({ sessionId = 'anonymous', turn = null, callType, model, usage = {}, cached = false }) {
+        const type = CALL_TYPES.includes(callType) ? callType : 'other';
+        const promptTokens = usage.promptTokens || 0;
+        const completionTokens = usage.completionTokens || 0;
+        const entry = {
+            promptTokens,
+            completionTokens,
+            cost: this.priceCall(model, promptTokens, completionTokens),
+            cached
+        };
+
+        if (!this.sessions.has(sessionId)) {
+            this.sessions.set(sessionId, { ...emptyBreakdown(), turns: new Map() });
+        }
+        const session = this.sessions.get(sessionId);
+
+        addToBreakdown(this.overall, type, entry);
+        addToBreakdown(session, type, entry);
+
+        if (turn !== null && turn !== undefined) {
+            if (!session.turns.has(turn)) {
+                session.turns.set(turn, emptyBreakdown());
+                // Drop the oldest turn once we're over the limit
+                if (session.turns.size > MAX_TURNS_PER_SESSION) {
+                    session.turns.delete(session.turns.keys().next().value);
+                }
+            }
+            addToBreakdown(session.turns.get(turn), type, entry);
+        }
+    }
+
+    // Usage report for one session (or just the overall totals if it's unknown)
+    report(sessionId = null) {
+        const session = sessionId ? this.sessions.get(sessionId) : null;
+
+        return {
+            overall: this.overall,
+            session: session ? {
+                id: sessionId,
+                byType: session.byType,
+                total: session.total,
+                turns: Array.from(session.turns.entries()).map(([turn, breakdown]) => ({ turn, ...breakdown }))
+            } : null,
+            sessions: this.sessions.size,
+            prices: this.prices
+        };
+    }
+}
+
+module.exports = {
+    CALL_TYPES,
+    DEFAULT_PRICES,
+    loadPrices,
+    UsageTracker
+};
@@ -0,0 +1,378 @@
+// Thin client for a server-hosted world
+// The server runs every turn; the browser keeps a read-only mirror World for /look, /examine and friends,
+// kept in sync with the state diffs the server sends back
+
+class WorldClient {
+    constructor(baseUrl = 'http://localhost:3001/api') {
+        this.baseUrl = baseUrl;
+        this.worldId = null;
+        this.state = null; // Last known World export() from the server
+        this.world = new World(); // Mirror of the server's world (never simulated locally)
+        this.queue = null; // Server LLM queue status from the last response
+        this.model = null; // Server's LLM model, from the last health check
+        this.autoSaveTurns = 0; // Turns between server autosaves (0 = off)
+        this.time = null; // Idle tick status: { paused, seconds, running, simulationTime }
+        this.version = 0; // Server state version the mirror matches
+        this.events = null; // EventSource for idle ticks
+        this.storageKey = 'vivarium_world_id'; // Remembers which world to rejoin after a refresh
+        this.listening = null; // Handlers of the last listen(), restored after leaving a room
+        this.room = null; // WebSocket while playing with others
+    }
+
+    async request(method, path, body = undefined) {
+        const response = await fetch(`${this.baseUrl}${path}`, {
+            method,
+            headers: body !== undefined ? { 'Content-Type': 'application/json' } : {},
+            body: body !== undefined ? JSON.stringify(body) : undefined
+        });
+
+        const data = await response.json().catch(() => ({}));
+        if (!response.ok) {
+            const error = new Error(data.error || `${method} ${path} failed: ${response.status} ${response.statusText}`);
+            error.status = response.status;
+            throw error;
+        }
+        return data;
+    }
+
+    // Rejoin the remembered world, or reopen it under the same id (keeping its save slots) if the server dropped it
+    async connect(scenario = undefined) {
+        const savedId = localStorage.getItem(this.storageKey);
+        if (savedId) {
+            try {
+                this.load(await this.request('GET', `/worlds/${savedId}`));
+                console.log(`🌍 Rejoined world ${savedId}`);
+                return this.world;
+            } catch (error) {
+                if (error.status !== 404) throw error;
+            }
+        }
+
+        this.load(await this.request('POST', '/worlds', { scenario, id: savedId || undefined }));
+        localStorage.setItem(this.storageKey, this.worldId);
+        console.log(`🌍 Created world ${this.worldId}`);
+        return this.world;
+    }
+
+    // Replace the mirror with a full world description from the server
+    load(description) {
+        this.worldId = description.id;
+        this.state = description.state;
+        this.queue = description.queue;
+        this.world.import(this.state);
+        this.world.playerObjectId = description.playerObjectId;
+        this.world.simulationStrategy = description.simulationStrategy;
+        this.world.senseRanges = description.senseRanges; // /look perceives the way the server's narrator does
+        this.autoSaveTurns = description.autoSaveTurns;
+        this.time = description.time;
+        this.version = description.version;
+    }
+
+    // Apply a state diff to the mirror, or fetch the whole world if we missed one in between
+    async applyDiff(diff) {
+        if (diff.baseVersion !== this.version) {
+            await this.refresh();
+            return;
+        }
+        this.state = World.applyStateDiff(this.state, diff);
+        this.version = diff.version;
+        this.world.import(this.state);
+    }
+
+    async refresh() {
+        this.load(await this.request('GET', `/worlds/${this.worldId}`));
+    }
+
+    // Listen for idle ticks between turns; the world only ticks while someone listens
+    // onTick({ time, ambient }) runs after the mirror has caught up; onLog(message) gets the ticks' dev logs
+    listen({ onTick = null, onLog = null } = {}) {
+        if (this.events) {
+            this.events.close();
+        }
+
+        this.listening = { onTick, onLog };
+        this.events = new EventSource(`${this.baseUrl}/worlds/${this.worldId}/events`);
+        this.events.addEventListener('tick', async (event) => {
+            const tick = JSON.parse(event.data);
+            await this.applyDiff(tick.diff);
+            if (onTick) onTick(tick);
+        });
+        this.events.addEventListener('log', (event) => {
+            if (onLog) onLog(JSON.parse(event.data).message);
+        });
+        this.events.addEventListener('time', (event) => {
+            this.time = JSON.parse(event.data);
+        });
+    }
+
+    // Pause/resume idle ticks or change their rate: { paused?, seconds? }
+    async setTime(settings) {
+        this.time = await this.request('PATCH', `/worlds/${this.worldId}/time`, settings);
+        return this.time;
+    }
+
+    // Run a turn on the server, streaming narration and dev log lines; resolves to the narrative
+    async act(action, { onNarrativeDelta = null, onLog = null } = {}) {
+        const response = await fetch(`${this.baseUrl}/worlds/${this.worldId}/actions/stream`, {
+            method: 'POST',
+            headers: { 'Content-Type': 'application/json' },
+            body: JSON.stringify({ action })
+        });
+
+        if (!response.ok) {
+            const errorData = await response.json().catch(() => ({}));
+            throw new Error(`Turn failed: ${response.status} ${response.statusText} - ${errorData.error || 'Unknown error'}`);
+        }
+
+        const reader = response.body.getReader();
+        const decoder = new TextDecoder();
+        let buffer = '';
+        let result = null;
+
+        // Handle one SSE block ("event: x\ndata: {...}")
+        const handleEvent = (block) => {
+            let event = 'message';
+            let data = '';
+            block.split('\n').forEach(line => {
+                if (line.startsWith('event:')) event = line.slice(6).trim();
+                else if (line.startsWith('data:')) data += line.slice(5).trim();
+            });
+            if (!data) return;
+
+            const payload = JSON.parse(data);
+            if (event === 'delta') {
+                if (onNarrativeDelta) onNarrativeDelta(payload.content);
+            } else if (event === 'log') {
+                if (onLog) onLog(payload.message);
+            } else if (event === 'done') {
+                result = payload;
+            } else if (event === 'error') {
+                throw new Error(payload.error);
+            }
+        };
+
+        while (true) {
+            const { value, done } = await reader.read();
+            if (done) break;
+
+            buffer += decoder.decode(value, { stream: true }).replace(/\r\n/g, '\n');
+
+            let boundary;
+            while ((boundary = buffer.indexOf('\n\n')) !== -1) {
+                handleEvent(buffer.slice(0, boundary));
+                buffer = buffer.slice(boundary + 2);
+            }
+        }
+
+        if (buffer.trim()) {
+            handleEvent(buffer);
+        }
+
+        if (!result) {
+            throw new Error('Turn ended without a result');
+        }
+
+        this.queue = result.queue;
+        await this.applyDiff(result.diff);
+        return result.narrative;
+    }
+
+    // Play together with others over a WebSocket, seated as objectId
+    // handlers: { onJoined(objectId), onPresence(players), onChat({ from, text }), onWindow({ closesAt, waitingFor }),
+    //             onTurn({ narrative, actions }), onTick({ time, ambient }), onError(message), onClose() }
+    // onTurn and onTick run after the mirror has caught up; resolves once the socket is open
+    joinRoom(name, objectId, handlers = {}) {
+        this.leaveRoom();
+        const url = `${this.baseUrl.replace(/^http/, 'ws')}/worlds/${this.worldId}/play`;
+        const room = new WebSocket(url);
+        this.room = room;
+
+        // Ticks come over the socket while in a room, so the event stream would only apply them twice
+        if (this.events) {
+            this.events.close();
+            this.events = null;
+        }
+
+        // Messages are handled one at a time so diffs apply in order
+        let handling = Promise.resolve();
+        room.addEventListener('message', (event) => {
+            handling = handling.then(async () => {
+                const message = JSON.parse(event.data);
+                switch (message.type) {
+                    case 'joined':
+                        if (handlers.onJoined) handlers.onJoined(message.objectId);
+                        break;
+                    case 'presence':
+                        if (handlers.onPresence) handlers.onPresence(message.players);
+                        break;
+                    case 'chat':
+                        if (handlers.onChat) handlers.onChat(message);
+                        break;
+                    case 'window':
+                        if (handlers.onWindow) handlers.onWindow(message);
+                        break;
+                    case 'turn':
+                        await this.applyDiff(message.diff);
+                        if (handlers.onTurn) handlers.onTurn(message);
+                        break;
+                    case 'tick':
+                        await this.applyDiff(message.diff);
+                        if (handlers.onTick) handlers.onTick(message);
+                        break;
+                    case 'error':
+                        if (handlers.onError) handlers.onError(message.error);
+                        break;
+                }
+            }).catch(error => console.error('Room message failed:', error));
+        });
+        room.addEventListener('close', () => {
+            if (this.room !== room) return;
+            this.room = null;
+            if (this.listening) this.listen(this.listening);
+            if (handlers.onClose) handlers.onClose();
+        });
+
+        return new Promise((resolve, reject) => {
+            room.addEventListener('open', () => {
+                room.send(JSON.stringify({ type: 'join', name, objectId }));
+                resolve();
+            });
+            room.addEventListener('error', () => reject(new Error(`Couldn't connect to ${url}`)));
+        });
+    }
+
+    // Act in the room's open turn window (or open one); the narration arrives through onTurn
+    sendAction(action) {
+        this.room.send(JSON.stringify({ type: 'action', action }));
+    }
+
+    sendChat(text) {
+        this.room.send(JSON.stringify({ type: 'chat', text }));
+    }
+
+    // Leave the room and go back to the event stream for ticks
+    leaveRoom() {
+        if (!this.room) return;
+        const room = this.room;
+        this.room = null;
+        room.close();
+        if (this.listening) this.listen(this.listening);
+    }
+
+    async createObject(id, name, description, parentId = null) {
+        const { diff } = await this.request('POST', `/worlds/${this.worldId}/objects`, { id, name, description, parentId });
+        await this.applyDiff(diff);
+    }
+
+    async moveObject(objectId, parentId) {
+        const { diff } = await this.request('PATCH', `/worlds/${this.worldId}/objects/${encodeURIComponent(objectId)}`, { parentId });
+        await this.applyDiff(diff);
+    }
+
+    async removeObject(objectId) {
+        const { diff } = await this.request('DELETE', `/worlds/${this.worldId}/objects/${encodeURIComponent(objectId)}`);
+        await this.applyDiff(diff);
+    }
+
+    async addRelationship(fromId, relationship, toId, progress = null) {
+        const { diff } = await this.request('POST', `/worlds/${this.worldId}/objects/${encodeURIComponent(fromId)}/relationships`, {
+            relationship,
+            to: toId,
+            progress
+        });
+        await this.applyDiff(diff);
+    }
+
+    async removeRelationship(fromId, relationship, toId) {
+        const query = `relationship=${encodeURIComponent(relationship)}&to=${encodeURIComponent(toId)}`;
+        const { diff } = await this.request('DELETE', `/worlds/${this.worldId}/objects/${encodeURIComponent(fromId)}/relationships?${query}`);
+        await this.applyDiff(diff);
+    }
+
+    // Make an object an agent pursuing goal (null makes it a plain object again)
+    async setGoal(objectId, goal, plan = []) {
+        const { diff } = await this.request('PUT', `/worlds/${this.worldId}/objects/${encodeURIComponent(objectId)}/goal`, { goal, plan });
+        await this.applyDiff(diff);
+    }
+
+    // Play as another object; it joins the party
+    async possess(objectId) {
+        const { diff } = await this.request('PUT', `/worlds/${this.worldId}/player`, { objectId });
+        await this.applyDiff(diff);
+    }
+
+    async leaveParty(objectId) {
+        const { diff } = await this.request('DELETE', `/worlds/${this.worldId}/party/${encodeURIComponent(objectId)}`);
+        await this.applyDiff(diff);
+    }
+
+    async setSimulationStrategy(simulationStrategy) {
+        this.load(await this.request('PATCH', `/worlds/${this.worldId}`, { simulationStrategy }));
+    }
+
+    // Undo the last `steps` turns
+    async undo(steps = 1) {
+        const { diff } = await this.request('POST', `/worlds/${this.worldId}/undo`, { steps });
+        await this.applyDiff(diff);
+    }
+
+    // Switch to a timeline branch, forking a new one from the end of `turn` (default: now)
+    async checkoutBranch(name, turn = null) {
+        const { diff } = await this.request('PUT', `/worlds/${this.worldId}/branch`, { name, turn });
+        await this.applyDiff(diff);
+    }
+
+    // The world's turn tree: { branch, head, branches, roots }
+    async fetchTimeline() {
+        return this.request('GET', `/worlds/${this.worldId}/timeline`);
+    }
+
+    // The world's chronicle of turns, or only the parts involving objectId
+    async fetchChronicle(objectId = null) {
+        const query = objectId ? `?object=${encodeURIComponent(objectId)}` : '';
+        return this.request('GET', `/worlds/${this.worldId}/chronicle${query}`);
+    }
+
+    // Turns between autosaves for this world (0 turns autosave off)
+    async setAutoSave(autoSaveTurns) {
+        this.load(await this.request('PATCH', `/worlds/${this.worldId}`, { autoSaveTurns }));
+    }
+
+    // Replace the server's world state (e.g. with a save from localStorage)
+    async importState(state) {
+        this.load(await this.request('PUT', `/worlds/${this.worldId}/state`, { state }));
+    }
+
+    // Write this world to a named save slot on the server; resolves to the slot summary
+    async saveSlot(name) {
+        return this.request('POST', `/worlds/${this.worldId}/saves`, { name });
+    }
+
+    // Replace this world with a save slot's contents
+    async loadSlot(name) {
+        this.load(await this.request('POST', `/worlds/${this.worldId}/load`, { name }));
+    }
+
+    // Summaries of this world's save slots, newest first
+    async listSaves() {
+        const { saves } = await this.request('GET', `/worlds/${this.worldId}/saves`);
+        return saves;
+    }
+
+    async deleteSave(name) {
+        await this.request('DELETE', `/worlds/${this.worldId}/saves/${encodeURIComponent(name)}`);
+    }
+
+    // Token usage and cost for this world (usage is accounted per world on the server)
+    async fetchUsage() {
+        return this.request('GET', `/usage?session=${encodeURIComponent(this.worldId)}`);
+    }
+
+    async checkHealth() {
+        const health = await this.request('GET', '/health');
+        this.model = health.model;
+        return health;
+    }
+}
+
+window.WorldClient = WorldClient;
@@ -0,0 +1,433 @@
+// REST turn API for server-hosted worlds
+//   POST  /api/worlds                          { scenario?, id? } -> world (id reopens a dropped world with its save slots)
+//   GET   /api/worlds/:id                      -> { id, scenario, playerObjectId, party, simulationStrategy, state, queue }
+//   PATCH /api/worlds/:id                      { simulationStrategy?, autoSaveTurns?, spatialRelationships?, oneShotRelationships?,
+//                                                exclusiveRelationships?, relationshipLifetime?, memoryLimit?, memoryBudget?,
+//                                                senseRanges? } -> world
+//   PUT   /api/worlds/:id/state                { state } -> replaces the world's state (e.g. a local save)
+//   POST  /api/worlds/:id/actions              { action } -> { narrative, diff, log, queue }
+//   POST  /api/worlds/:id/actions/stream       same, as Server-Sent Events (log, delta, done, error)
+//   POST  /api/worlds/:id/objects              { id, name, description, parentId? } -> { diff }
+//   PATCH /api/worlds/:id/objects/:objectId    { parentId } -> { diff } (moves the object)
+//   DELETE /api/worlds/:id/objects/:objectId   -> { diff } (its contents move up into its container)
+//   POST  /api/worlds/:id/objects/:objectId/relationships { relationship, to, progress? } -> { diff }
+//   DELETE /api/worlds/:id/objects/:objectId/relationships?relationship=&to= -> { diff }
+//   PUT   /api/worlds/:id/objects/:objectId/goal { goal, plan? } -> { diff } (makes the object an agent; goal null stops it)
+//   PUT   /api/worlds/:id/player               { objectId } -> { diff } (possesses the object, adding it to the party)
+//   DELETE /api/worlds/:id/party/:objectId     -> { diff } (drops a character other than the one being played)
+//   POST  /api/worlds/:id/undo                 { steps? } -> { diff } (rewinds that many turns, default 1)
+//   PUT   /api/worlds/:id/branch               { name, turn? } -> { diff } (switches branch, forking a new one from turn)
+//   GET   /api/worlds/:id/timeline             -> turn tree { branch, head, branches, roots }
+//   GET   /api/worlds/:id/chronicle?object=    -> { chronicle } (every turn's changes, or just those involving one object)
+//   GET   /api/worlds/:id/events               Server-Sent Events between turns (tick, log, time) - ticks run while someone listens
+//   PATCH /api/worlds/:id/time                 { paused?, seconds? } -> { paused, seconds, running, simulationTime }
+//   GET   /api/worlds/:id/saves                -> { saves: [slot summary...] } (this world's slots)
+//   POST  /api/worlds/:id/saves                { name } -> slot summary (writes the world to a named slot)
+//   DELETE /api/worlds/:id/saves/:name         -> { deleted }
+//   POST  /api/worlds/:id/load                 { name } -> world (replaces the world with one of its slots)
+
+const express = require('express');
+const { SCENARIOS } = require('./scenarios');
+const { MAX_ACTION_LENGTH } = require('./worlds');
+
+const SIMULATION_STRATEGIES = ['batched', 'per-object'];
+const SENSES = ['sight', 'sound', 'smell'];
+
+// A list of non-blank strings (relationship name settings)
+function isNameList(value) {
+    return Array.isArray(value) && value.every(name => typeof name === 'string' && name.trim());
+}
+
+// Some of { sight, sound, smell }, each a whole number of hierarchy steps
+function isSenseRanges(value) {
+    return !!value && typeof value === 'object' && !Array.isArray(value) &&
+        Object.entries(value).every(([sense, range]) => SENSES.includes(sense) && Number.isInteger(range) && range >= 0);
+}
+
+// What's wrong with a player action, or null if it can be played: non-blank text up to MAX_ACTION_LENGTH
+function actionError(action) {
+    if (typeof action !== 'string' || !action.trim()) {
+        return 'Missing action (expected text)';
+    }
+    if (action.length > MAX_ACTION_LENGTH) {
+        return `Actions are at most ${MAX_ACTION_LENGTH} characters`;
+    }
+    return null;
+}
+
+// Answer with an error's status (save errors carry one) or a 500
+function sendError(res, error) {
+    if (!error.status) {
+        console.error('World request failed:', error);
+    }
+    res.status(error.status || 500).json({ error: error.message });
+}
+
+// Wrap an async route so a rejection is answered with sendError - Express 4 leaves it unhandled, which ends the process
+function asyncHandler(route) {
+    return (req, res, next) => {
+        Promise.resolve(route(req, res, next)).catch(error => {
+            if (res.headersSent) {
+                console.error('World request failed after responding:', error);
+                return res.end();
+            }
+            sendError(res, error);
+        });
+    };
+}
+
+// Objects of a World export: each one a record with an id, and at most one of each id
+function isObjectList(objects) {
+    const ids = new Set();
+    return Array.isArray(objects) && objects.every(obj => {
+        if (!obj || typeof obj !== 'object' || Array.isArray(obj)) return false;
+        if (typeof obj.id !== 'string' || !obj.id || ids.has(obj.id)) return false;
+        if (obj.parentId !== undefined && obj.parentId !== null && typeof obj.parentId !== 'string') return false;
+        if (obj.relationships !== undefined && !Array.isArray(obj.relationships)) return false;
+        ids.add(obj.id);
+        return true;
+    });
+}
+
+function createWorldRouter(store) {
+    const router = express.Router();
+
+    // Resolve :id to its host or answer 404
+    router.param('id', (req, res, next, id) => {
+        req.worldHost = store.get(id);
+        if (!req.worldHost) {
+            return res.status(404).json({ error: `No world with id "${id}"` });
+        }
+        next();
+    });
+
+    // Send a diff, or 400 when the edit was rejected
+    const sendEdit = (res, diff, failure) => {
+        if (!diff) {
+            return res.status(400).json({ error: failure });
+        }
+        res.json({ diff });
+    };
+
+    router.post('/', (req, res) => {
+        const scenario = req.body.scenario || undefined;
+        if (scenario && !SCENARIOS[scenario]) {
+            return res.status(400).json({ error: `Unknown scenario "${scenario}"` });
+        }
+        try {
+            res.status(201).json(store.create(scenario, req.body.id || null).describe());
+        } catch (error) {
+            sendError(res, error);
+        }
+    });
+
+    router.get('/:id', (req, res) => {
+        res.json(req.worldHost.describe());
+    });
+
+    router.patch('/:id', asyncHandler(async (req, res) => {
+        const { simulationStrategy, autoSaveTurns, spatialRelationships, oneShotRelationships, exclusiveRelationships, relationshipLifetime, memoryLimit, memoryBudget, senseRanges } = req.body;
+        if (simulationStrategy !== undefined && !SIMULATION_STRATEGIES.includes(simulationStrategy)) {
+            return res.status(400).json({ error: `simulationStrategy must be one of: ${SIMULATION_STRATEGIES.join(', ')}` });
+        }
+        if (autoSaveTurns !== undefined && !(Number.isInteger(autoSaveTurns) && autoSaveTurns >= 0)) {
+            return res.status(400).json({ error: 'autoSaveTurns must be a whole number of turns (0 turns autosave off)' });
+        }
+        if (spatialRelationships !== undefined && !isNameList(spatialRelationships)) {
+            return res.status(400).json({ error: 'spatialRelationships must be a list of relationship names' });
+        }
+        if (oneShotRelationships !== undefined && !isNameList(oneShotRelationships)) {
+            return res.status(400).json({ error: 'oneShotRelationships must be a list of relationship names' });
+        }
+        if (exclusiveRelationships !== undefined && !(Array.isArray(exclusiveRelationships) && exclusiveRelationships.every(isNameList))) {
+            return res.status(400).json({ error: 'exclusiveRelationships must be a list of lists of relationship names' });
+        }
+        if (relationshipLifetime !== undefined && relationshipLifetime !== null && !(Number.isInteger(relationshipLifetime) && relationshipLifetime >= 1)) {
+            return res.status(400).json({ error: 'relationshipLifetime must be a whole number of steps, or null for no decay' });
+        }
+        if (memoryLimit !== undefined && !(Number.isInteger(memoryLimit) && memoryLimit >= 2)) {
+            return res.status(400).json({ error: 'memoryLimit must be a whole number of memories, at least 2' });
+        }
+        if (memoryBudget !== undefined && !(Number.isInteger(memoryBudget) && memoryBudget >= 0)) {
+            return res.status(400).json({ error: 'memoryBudget must be a whole number of characters (0 leaves memory out of prompts)' });
+        }
+        if (senseRanges !== undefined && !isSenseRanges(senseRanges)) {
+            return res.status(400).json({ error: `senseRanges must map ${SENSES.join(', ')} to whole numbers of steps (0 turns a sense off)` });
+        }
+
+        await req.worldHost.edit(world => {
+            if (simulationStrategy !== undefined) world.simulationStrategy = simulationStrategy;
+            if (autoSaveTurns !== undefined) req.worldHost.autoSaveTurns = autoSaveTurns;
+            if (spatialRelationships !== undefined) world.spatialRelationships = spatialRelationships;
+            if (oneShotRelationships !== undefined) world.oneShotRelationships = oneShotRelationships;
+            if (exclusiveRelationships !== undefined) world.exclusiveRelationships = exclusiveRelationships;
+            if (relationshipLifetime !== undefined) world.relationshipLifetime = relationshipLifetime;
+            if (memoryLimit !== undefined) world.memoryLimit = memoryLimit;
+            if (memoryBudget !== undefined) world.memoryBudget = memoryBudget;
+            if (senseRanges !== undefined) world.senseRanges = { ...world.senseRanges, ...senseRanges };
+        });
+        res.json(req.worldHost.describe());
+    }));
+
+    router.put('/:id/state', asyncHandler(async (req, res) => {
+        const { state } = req.body;
+        if (!state || typeof state !== 'object' || !Array.isArray(state.objects)) {
+            return res.status(400).json({ error: 'Missing state (expected a World export with an objects array)' });
+        }
+        if (!isObjectList(state.objects)) {
+            return res.status(400).json({ error: 'Every object in state.objects needs its own string id' });
+        }
+
+        try {
+            await req.worldHost.exclusive(() => req.worldHost.replaceState(state));
+        } catch (error) {
+            return res.status(400).json({ error: `Invalid state: ${error.message}` });
+        }
+        res.json(req.worldHost.describe());
+    }));
+
+    router.post('/:id/actions', asyncHandler(async (req, res) => {
+        const { action } = req.body;
+        const invalid = actionError(action);
+        if (invalid) {
+            return res.status(400).json({ error: invalid });
+        }
+
+        try {
+            res.json(await req.worldHost.act(action.trim()));
+        } catch (error) {
+            console.error(`Turn failed in world ${req.worldHost.id}:`, error);
+            res.status(500).json({ error: 'Turn failed', details: error.message });
+        }
+    }));
+
+    // Streaming turn - dev log lines and narration arrive as they happen
+    //   event: log    data: { message }
+    //   event: delta  data: { content }
+    //   event: done   data: { narrative, diff, log, queue }
+    //   event: error  data: { error }
+    router.post('/:id/actions/stream', asyncHandler(async (req, res) => {
+        const { action } = req.body;
+        const invalid = actionError(action);
+        if (invalid) {
+            return res.status(400).json({ error: invalid });
+        }
+
+        res.writeHead(200, {
+            'Content-Type': 'text/event-stream',
+            'Cache-Control': 'no-cache',
+            'Connection': 'keep-alive'
+        });
+        const sendEvent = (event, data) => {
+            if (!res.writableEnded) {
+                res.write(`event: ${event}\ndata: ${JSON.stringify(data)}\n\n`);
+            }
+        };
+
+        // The turn keeps running if the browser goes away - the world's state must stay consistent
+        try {
+            const result = await req.worldHost.act(action.trim(), {
+                onNarrativeDelta: delta => sendEvent('delta', { content: delta }),
+                onLog: message => sendEvent('log', { message })
+            });
+            sendEvent('done', result);
+        } catch (error) {
+            console.error(`Turn failed in world ${req.worldHost.id}:`, error);
+            sendEvent('error', { error: error.message });
+        }
+
+        res.end();
+    }));
+
+    router.post('/:id/objects', asyncHandler(async (req, res) => {
+        const { id, name, description, parentId = null } = req.body;
+        if (!id || !name || !description) {
+            return res.status(400).json({ error: 'Missing id, name or description' });
+        }
+
+        const diff = await req.worldHost.edit(world => !!world.createObject(id, name, description, parentId));
+        sendEdit(res, diff, `Failed to create object "${id}" (id taken, or no object "${parentId}" to put it in)`);
+    }));
+
+    router.patch('/:id/objects/:objectId', asyncHandler(async (req, res) => {
+        const { parentId } = req.body;
+        if (!parentId) {
+            return res.status(400).json({ error: 'Missing parentId' });
+        }
+
+        const diff = await req.worldHost.edit(world => world.moveObject(req.params.objectId, parentId));
+        sendEdit(res, diff, `Failed to move ${req.params.objectId} (unknown object, or into itself or its own contents)`);
+    }));
+
+    // Its contents move up into its container; the root and the player can't be removed
+    router.delete('/:id/objects/:objectId', asyncHandler(async (req, res) => {
+        const diff = await req.worldHost.edit(world => world.removeObject(req.params.objectId));
+        sendEdit(res, diff, `Failed to remove ${req.params.objectId}`);
+    }));
+
+    router.post('/:id/objects/:objectId/relationships', asyncHandler(async (req, res) => {
+        const { relationship, to, progress = null } = req.body;
+        if (!relationship || !to) {
+            return res.status(400).json({ error: 'Missing relationship or to' });
+        }
+        const missing = [req.params.objectId, to].find(id => !req.worldHost.world.getObject(id));
+        if (missing) {
+            return res.status(404).json({ error: `Object "${missing}" not found` });
+        }
+
+        const diff = await req.worldHost.edit(world => {
+            const obj = world.getObject(req.params.objectId);
+            if (!obj || !world.getObject(to)) return false; // Removed by whatever ran first
+            world.relate(obj, relationship, to, progress);
+        });
+        sendEdit(res, diff, `Object "${req.params.objectId}" or "${to}" not found`);
+    }));
+
+    // ?relationship=held_by&to=sam
+    router.delete('/:id/objects/:objectId/relationships', asyncHandler(async (req, res) => {
+        const { relationship, to } = req.query;
+        if (!relationship || !to) {
+            return res.status(400).json({ error: 'Missing relationship or to' });
+        }
+
+        const diff = await req.worldHost.edit(world => {
+            const obj = world.getObject(req.params.objectId);
+            return !!obj && world.unrelate(obj, relationship, to, 'removed by the player');
+        });
+        sendEdit(res, diff, `${req.params.objectId} has no "${relationship}" relationship to ${to}`);
+    }));
+
+    // goal: null (or "") makes the object a plain one again; plan defaults to none, for the first turn to fill in
+    router.put('/:id/objects/:objectId/goal', asyncHandler(async (req, res) => {
+        const { goal, plan = [] } = req.body;
+        if (goal === undefined || (goal !== null && typeof goal !== 'string')) {
+            return res.status(400).json({ error: 'goal must be text, or null to stop pursuing one' });
+        }
+        if (!(Array.isArray(plan) && (plan.length === 0 || isNameList(plan)))) {
+            return res.status(400).json({ error: 'plan must be a list of steps' });
+        }
+
+        const diff = await req.worldHost.edit(world => {
+            const obj = world.getObject(req.params.objectId);
+            if (!obj) return false;
+            obj.setGoal(goal && goal.trim(), plan.map(step => step.trim()));
+        });
+        sendEdit(res, diff, `Object "${req.params.objectId}" not found`);
+    }));
+
+    router.put('/:id/player', asyncHandler(async (req, res) => {
+        const { objectId } = req.body;
+        if (!objectId) {
+            return res.status(400).json({ error: 'Missing objectId' });
+        }
+
+        const diff = await req.worldHost.edit(world => world.possess(objectId));
+        sendEdit(res, diff, `Can't possess ${objectId}`);
+    }));
+
+    router.delete('/:id/party/:objectId', asyncHandler(async (req, res) => {
+        const diff = await req.worldHost.edit(world => world.leaveParty(req.params.objectId));
+        sendEdit(res, diff, `${req.params.objectId} isn't in the party, or is the character being played`);
+    }));
+
+    // Timeline errors (nothing to undo, unknown turn...) are the caller's to fix
+    router.post('/:id/undo', asyncHandler(async (req, res) => {
+        const { steps = 1 } = req.body;
+        try {
+            res.json({ diff: await req.worldHost.rewind(steps) });
+        } catch (error) {
+            res.status(400).json({ error: error.message });
+        }
+    }));
+
+    router.put('/:id/branch', asyncHandler(async (req, res) => {
+        const { name, turn = null } = req.body;
+        if (turn !== null && !Number.isInteger(turn)) {
+            return res.status(400).json({ error: 'turn must be a whole number' });
+        }
+
+        try {
+            res.json({ diff: await req.worldHost.checkoutBranch(name, turn) });
+        } catch (error) {
+            res.status(400).json({ error: error.message });
+        }
+    }));
+
+    router.get('/:id/timeline', (req, res) => {
+        res.json(req.worldHost.timeline.tree());
+    });
+
+    router.get('/:id/chronicle', (req, res) => {
+        const world = req.worldHost.world;
+        const objectId = req.query.object;
+        if (objectId && !world.getObject(objectId)) {
+            return res.status(404).json({ error: `Object "${objectId}" not found` });
+        }
+        res.json({ chronicle: objectId ? world.objectHistory(objectId) : world.chronicle });
+    });
+
+    // Idle ticks, their dev logs and time setting changes, for as long as the client stays connected
+    router.get('/:id/events', (req, res) => {
+        res.writeHead(200, {
+            'Content-Type': 'text/event-stream',
+            'Cache-Control': 'no-cache',
+            'Connection': 'keep-alive'
+        });
+        const sendEvent = (event, data) => {
+            res.write(`event: ${event}\ndata: ${JSON.stringify(data)}\n\n`);
+        };
+
+        const unsubscribe = req.worldHost.subscribe(sendEvent);
+        sendEvent('time', req.worldHost.timeStatus());
+        req.on('close', unsubscribe);
+    });
+
+    router.patch('/:id/time', (req, res) => {
+        const { paused, seconds } = req.body;
+        try {
+            res.json(req.worldHost.setTime({ paused, seconds }));
+        } catch (error) {
+            res.status(400).json({ error: error.message });
+        }
+    });
+
+    router.get('/:id/saves', asyncHandler(async (req, res) => {
+        try {
+            res.json({ saves: await req.worldHost.listSaves() });
+        } catch (error) {
+            sendError(res, error);
+        }
+    }));
+
+    router.post('/:id/saves', asyncHandler(async (req, res) => {
+        try {
+            res.status(201).json(await req.worldHost.saveTo(req.body.name));
+        } catch (error) {
+            sendError(res, error);
+        }
+    }));
+
+    router.delete('/:id/saves/:name', asyncHandler(async (req, res) => {
+        try {
+            await req.worldHost.deleteSave(req.params.name);
+            res.json({ deleted: req.params.name });
+        } catch (error) {
+            sendError(res, error);
+        }
+    }));
+
+    router.post('/:id/load', asyncHandler(async (req, res) => {
+        try {
+            await req.worldHost.loadFrom(req.body.name);
+            res.json(req.worldHost.describe());
+        } catch (error) {
+            sendError(res, error);
+        }
+    }));
+
+    return router;
+}
+
+module.exports = {
+    createWorldRouter
+};
@@ -3,6 +3,34 @@
  * Hierarchical object structure for LLM-based simulation
  */
 
+// Relationship names compare case-insensitively, with "_" and "-" the same as spaces ("held_by" is "held by")
+function normalizeRelationship(name) {
+    return name.toLowerCase().replace(/[_-]+/g, ' ').replace(/\s+/g, ' ').trim();
+}
+
+// Kinds of value a WorldObject property can hold
+const PROPERTY_TYPES = ['boolean', 'number', 'enum'];
+
+// Senses the player perceives the world through (see World.perceive)
+const SENSES = ['sight', 'sound', 'smell'];
+
+// What a container's walls cost each sense passing through them, in hierarchy steps (Infinity blocks it)
+// An object picks one with an `enclosure` enum property; objects without one are open
+const ENCLOSURES = {
+    open: { sight: 0, sound: 0, smell: 0 },
+    transparent: { sight: 0, sound: 2, smell: Infinity }, // Glass: seen, muffled, no smell
+    opaque: { sight: Infinity, sound: 1, smell: 1 }, // A closed box, a tent
+    sealed: { sight: Infinity, sound: Infinity, smell: Infinity }
+};
+
+// Perception strengths (0-1): below FAINT a sense doesn't register, from CLEAR on it comes through plainly
+const FAINT_PERCEPTION = 0.1;
+const CLEAR_PERCEPTION = 0.5;
+
+// Level of detail by distance from the player (see WorldObject.getDistance): objects within nearDistance react every
+// turn and tick, those within midDistance every midEvery steps of simulationTime, anything further stays frozen
+const SIMULATION_LOD = { nearDistance: 3, midDistance: 5, midEvery: 3 };
+
 class WorldObject {
     constructor(id, name, description, parent = null) {
         this.id = id;
@@ -11,6 +39,11 @@ class WorldObject {
         this.parent = parent;
         this.containedObjects = [];
         this.relationships = []; // { relationship, to, progress }
+        this.properties = {}; // name -> { type: 'boolean' | 'number' | 'enum', value, min?, max?, values? }
+        this.memory = []; // { turn, text } - what it did and noticed each step, oldest first
+        this.memorySummary = ''; // Digest of memories too old to keep word for word
+        this.goal = null; // What it is after, for agents that act on their own (see setGoal)
+        this.plan = []; // The agent's next steps toward its goal, the current one first
         this.lastUpdated = Date.now();
     }
 
@@ -39,21 +72,32 @@ class WorldObject {
     }
 
     // Add or update a relationship
-    addRelationship(relationship, targetId, progress = null, progressTime = null) {
+    // lifetime: steps the relationship lasts once true unless it is added again (null = until ended)
+    addRelationship(relationship, targetId, progress = null, progressTime = null, lifetime = null) {
         // Remove existing relationship of same type to same target
-        this.relationships = this.relationships.filter(
-            rel => !(rel.relationship === relationship && rel.to === targetId)
-        );
+        this.removeRelationship(relationship, targetId);
         this.relationships.push({ 
             relationship, 
             to: targetId, 
             progress, 
             progressTime,
             initialProgress: progress, // Store original progress for calculation
-            initialProgressTime: progressTime // Store original time for calculation
+            initialProgressTime: progressTime, // Store original time for calculation
+            lifetime,
+            expiresIn: lifetime !== null && (progress === null || progress >= 1.0) ? lifetime : null // Counts down once true
         });
     }
 
+    // Remove a relationship ("held_by" matches "held by"); returns whether there was one
+    removeRelationship(relationship, targetId) {
+        const name = normalizeRelationship(relationship);
+        const before = this.relationships.length;
+        this.relationships = this.relationships.filter(
+            rel => !(normalizeRelationship(rel.relationship) === name && rel.to === targetId)
+        );
+        return this.relationships.length < before;
+    }
+
     // Get relationships of a specific type
     getRelationships(type = null) {
         if (type) {
@@ -62,7 +106,111 @@ class WorldObject {
         return this.relationships;
     }
 
-    // Get local context for LLM (this container + contents + relationships)
+    // Add a typed state property, e.g. defineProperty('lit', { type: 'boolean', value: false })
+    // Numbers may have a min and/or max; enums list their allowed values
+    defineProperty(name, spec) {
+        if (!PROPERTY_TYPES.includes(spec.type)) {
+            throw new Error(`Property "${name}" of ${this.id} must be one of: ${PROPERTY_TYPES.join(', ')}`);
+        }
+        if (spec.type === 'enum' && !(Array.isArray(spec.values) && spec.values.length > 0)) {
+            throw new Error(`Enum property "${name}" of ${this.id} needs a list of values`);
+        }
+
+        const property = { type: spec.type, value: spec.value };
+        if (spec.type === 'number') {
+            if (spec.min !== undefined) property.min = spec.min;
+            if (spec.max !== undefined) property.max = spec.max;
+        }
+        if (spec.type === 'enum') {
+            property.values = [...spec.values];
+        }
+
+        this.properties[name] = property;
+        const error = this.propertyError(name, spec.value);
+        if (error) {
+            delete this.properties[name];
+            throw new Error(error);
+        }
+    }
+
+    // Why `value` can't be assigned to property `name`, or null if it can
+    propertyError(name, value) {
+        const property = this.properties[name];
+        if (!property) {
+            return `${this.name} has no property "${name}"`;
+        }
+        if (property.type === 'boolean' && typeof value !== 'boolean') {
+            return `${this.name}.${name} must be true or false`;
+        }
+        if (property.type === 'number') {
+            if (typeof value !== 'number' || !Number.isFinite(value)) {
+                return `${this.name}.${name} must be a number`;
+            }
+            if ((property.min !== undefined && value < property.min) || (property.max !== undefined && value > property.max)) {
+                return `${this.name}.${name} must be between ${property.min !== undefined ? property.min : '-∞'} and ${property.max !== undefined ? property.max : '∞'}`;
+            }
+        }
+        if (property.type === 'enum' && !property.values.includes(value)) {
+            return `${this.name}.${name} must be one of: ${property.values.join(', ')}`;
+        }
+        return null;
+    }
+
+    // Set a property's value; returns false (and warns) if it doesn't fit the property's type
+    setProperty(name, value) {
+        const error = this.propertyError(name, value);
+        if (error) {
+            console.warn(`Rejected property change: ${error}`);
+            return false;
+        }
+        this.properties[name].value = value;
+        return true;
+    }
+
+    // How this object's walls let senses through: 'open', 'transparent', 'opaque' or 'sealed' (see ENCLOSURES)
+    getEnclosure() {
+        const enclosure = this.properties.enclosure;
+        return enclosure && ENCLOSURES[enclosure.value] ? enclosure.value : 'open';
+    }
+
+    // Whether this object gives off light (a `lit` property that is true), so it can be seen in the dark
+    isLit() {
+        return !!this.properties.lit && this.properties.lit.value === true;
+    }
+
+    // Keep what happened to this object at a step (one memory per step)
+    remember(turn, text) {
+        this.memory.push({ turn, text });
+    }
+
+    // Make this object an agent pursuing goal, starting from plan (short steps, the first one current);
+    // setGoal(null) makes it a plain object again that only reacts
+    setGoal(goal, plan = []) {
+        this.goal = goal || null;
+        this.plan = this.goal ? plan.slice() : [];
+    }
+
+    // Agents act on their own goals every step instead of only reacting to the player
+    isAgent() {
+        return !!this.goal;
+    }
+
+    // Its memory for a prompt: the summary, then as many of the latest memories as fit in `budget` characters
+    // Empty when it remembers nothing (or the budget is 0)
+    recall(budget) {
+        if (!budget) return '';
+
+        let text = this.memorySummary ? `Earlier: ${this.memorySummary}`.slice(0, budget) : '';
+        const lines = [];
+        for (let i = this.memory.length - 1; i >= 0; i--) {
+            const line = `[turn ${this.memory[i].turn}] ${this.memory[i].text}`;
+            if (text.length + lines.join('\n').length + line.length + 1 > budget) break;
+            lines.unshift(line);
+        }
+        return [text, ...lines].filter(part => part).join('\n');
+    }
+
+    // Get local context for LLM (this container + contents + relationships and properties)
     getLocalContext(maxDepth = 1) {
         const context = {
             location: this.parent ? {
@@ -71,18 +219,21 @@ class WorldObject {
             } : null,
             currentObject: {
                 name: this.name,
-                description: this.description
+                description: this.description,
+                properties: this.properties
             },
             siblings: this.getSiblings().map(obj => ({
                 id: obj.id,
                 name: obj.name,
-                description: obj.description
+                description: obj.description,
+                properties: obj.properties
             })),
             contents: this.containedObjects.map(obj => ({
                 id: obj.id,
                 name: obj.name,
                 description: obj.description,
-                relationships: obj.relationships
+                relationships: obj.relationships,
+                properties: obj.properties
             })),
             relationships: this.relationships
         };
@@ -90,37 +241,158 @@ class WorldObject {
         return context;
     }
 
-    // Check if object is within simulation distance
-    isWithinSimulationDistance(targetObject, maxDistance = 2) {
-        return this.getDistance(targetObject) <= maxDistance;
+    // This object followed by each container above it, up to its root
+    getAncestors() {
+        const ancestors = [];
+        for (let current = this; current; current = current.parent) {
+            ancestors.push(current);
+        }
+        return ancestors;
     }
 
-    // Get distance between objects in the hierarchy
+    // Get distance between objects in the hierarchy: the number of parent/child steps between them,
+    // going up to their lowest common ancestor and back down (siblings are 2 apart, an object and its parent 1)
     getDistance(targetObject) {
-        // Same object
         if (this === targetObject) return 0;
-        
-        // Siblings
-        if (this.parent === targetObject.parent) return 1;
-        
-        // Parent-child relationship
-        if (this.parent === targetObject || targetObject.parent === this) return 1;
-        
-        // TODO: Implement more complex distance calculation
+
+        const ownSteps = new Map(this.getAncestors().map((ancestor, steps) => [ancestor, steps]));
+        const targetAncestors = targetObject.getAncestors();
+        for (let targetSteps = 0; targetSteps < targetAncestors.length; targetSteps++) {
+            const ancestor = targetAncestors[targetSteps];
+            if (ownSteps.has(ancestor)) {
+                return ownSteps.get(ancestor) + targetSteps;
+            }
+        }
+
+        // Separate trees
         return Infinity;
     }
 }
 
+// Version of the save format written by World.export()
+// Bump it when the format changes and add a migration from the previous version below
+const SAVE_VERSION = 8;
+
+// SAVE_MIGRATIONS[n] upgrades a version n save to version n + 1
+const SAVE_MIGRATIONS = {
+    // 1 - the original unversioned export: no playerObjectId, relationships may lack timing fields
+    1: data => ({
+        ...data,
+        scenario: data.scenario || null,
+        playerObjectId: data.playerObjectId || null,
+        objects: data.objects.map(obj => ({
+            ...obj,
+            parentId: obj.parentId || null,
+            relationships: (obj.relationships || []).map(rel => {
+                const progress = rel.progress !== undefined ? rel.progress : null;
+                const progressTime = rel.progressTime !== undefined ? rel.progressTime : null;
+                return {
+                    ...rel,
+                    progress,
+                    progressTime,
+                    initialProgress: rel.initialProgress !== undefined ? rel.initialProgress : progress,
+                    initialProgressTime: rel.initialProgressTime !== undefined ? rel.initialProgressTime : progressTime
+                };
+            })
+        }))
+    }),
+    // 2 - objects had no typed properties
+    2: data => ({
+        ...data,
+        objects: data.objects.map(obj => ({ ...obj, properties: obj.properties || {} }))
+    }),
+    // 3 - relationships never expired
+    3: data => ({
+        ...data,
+        objects: data.objects.map(obj => ({
+            ...obj,
+            relationships: obj.relationships.map(rel => ({ lifetime: null, expiresIn: null, ...rel }))
+        }))
+    }),
+    // 4 - no chronicle
+    4: data => ({ ...data, chronicle: data.chronicle || [] }),
+    // 5 - objects had no memory
+    5: data => ({
+        ...data,
+        objects: data.objects.map(obj => ({ ...obj, memory: obj.memory || [], memorySummary: obj.memorySummary || '' }))
+    }),
+    // 6 - one player character: no party, and the chronicle didn't say whose turn it was
+    6: data => ({
+        ...data,
+        party: data.party || (data.playerObjectId ? [data.playerObjectId] : []),
+        chronicle: data.chronicle.map(entry => ({ actor: data.playerObjectId || null, ...entry }))
+    }),
+    // 7 - objects had no goals or plans
+    7: data => ({
+        ...data,
+        objects: data.objects.map(obj => ({ ...obj, goal: obj.goal || null, plan: obj.plan || [] }))
+    })
+};
+
+// Lists of changes in a chronicle entry (see World.beginChronicleEntry)
+const CHRONICLE_CHANGES = ['relationships', 'moves', 'objects', 'descriptions', 'properties'];
+
+// What the player is doing during idle ticks, as far as reacting objects are concerned
+const IDLE_ACTION = 'waits as time passes';
+
+// Idle-tick actions too uneventful to narrate
+const QUIET_ACTION = /\b(still|steady|quiet|quietly|silent|silently|nothing|no action)\b/i;
+
+// Relationships that mean "is located in" - when one reaches 100% the object really moves into its target
+// Matched with normalizeRelationship, so "held_by" counts as "held by"
+const SPATIAL_RELATIONSHIPS = ['in', 'inside', 'into', 'within', 'on', 'onto', 'aboard', 'on board', 'held by', 'carried by', 'worn by'];
+
+// Moments rather than states: once true they last a single step unless the analysis gives them a lifetime
+const ONE_SHOT_RELATIONSHIPS = ['reached', 'arrived at', 'touched', 'hit', 'struck', 'bumped into', 'landed on', 'called to'];
+
+// Relationships that can't hold at once between the same two objects - adding one ends the others in its set
+const EXCLUSIVE_RELATIONSHIPS = [
+    ['docked at', 'moored at', 'departing', 'leaving', 'sailing away from'],
+    ['approaching', 'moving away from', 'fleeing from'],
+    ['near', 'far from'],
+    ['holding', 'dropped'],
+    ['friendly with', 'hostile to']
+];
+
 class World {
-    constructor() {
+    // options.llmManager - LLM manager to simulate with (defaults to the browser's window.llmManager)
+    // options.onDevLog(message) - receives developer log lines (defaults to the terminal in developer mode)
+    // options.onUpdate(world) - called once a turn's simulation phase has finished
+    // options.timeline - Timeline that records each turn for undo and branching (see timeline.js)
+    constructor(options = {}) {
+        this.llmManager = options.llmManager || null;
+        this.timeline = options.timeline || null;
+        this.onDevLog = options.onDevLog || null;
+        this.onUpdate = options.onUpdate || null;
         this.objects = new Map(); // id -> WorldObject for fast lookup
         this.rootObject = null;
         this.simulationTime = 0;
         this.isSimulating = false;
         this.simulationInterval = null;
+        this.tickIntervalMs = 30000; // Time between idle ticks while simulating
+        this.simulationLod = { ...SIMULATION_LOD }; // Level of detail by distance from the player
+        // How many hierarchy steps each sense carries before fading out (see perceive)
+        this.senseRanges = { sight: 6, sound: 4, smell: 2 };
+        this.stepInProgress = false;
+        this.simulationStrategy = 'batched'; // 'batched' (one LLM call per depth level) or 'per-object'
+        this.scenario = null; // Selects prompt template overrides (see prompts/manifest.json)
+        this.playerObjectId = null; // The object the player controls
+        this.turnActions = null; // objectId -> action for every object played in the turn under way (see processPlayerActions)
+        this.seatedObjectIds = new Set(); // Objects multiplayer players sit in between turns - never simulated or removed (not saved)
+        this.party = []; // Characters the player can switch between (object ids), the current one included
+        this.spatialRelationships = [...SPATIAL_RELATIONSHIPS]; // Completing one of these moves the object (see completeSpatialRelationship)
+        this.oneShotRelationships = [...ONE_SHOT_RELATIONSHIPS]; // Expire a step after coming true (see relate)
+        this.exclusiveRelationships = EXCLUSIVE_RELATIONSHIPS.map(set => [...set]); // Adding one ends the rest of its set
+        this.relationshipLifetime = null; // Steps any relationship lasts once true unless reinforced (null = no decay)
+        this.chronicle = []; // What each turn (and each eventful idle tick) did - see beginChronicleEntry
+        this.chronicleLimit = 500; // Oldest entries are dropped past this many
+        this.chronicleEntry = null; // Entry being written while a turn or tick runs
+        this.memoryLimit = 8; // Memories an object keeps word for word; past this the oldest are summarized
+        this.memoryBudget = 600; // Characters of an object's memory given to its prompts (0 = none)
+        this.recentMoves = []; // Moves made by completed spatial relationships this turn or tick: [{ object, from, to }]
     }
 
-    // Create and add an object to the world
+    // Create and add an object to the world; returns null if the id is taken or the parent doesn't exist
     createObject(id, name, description, parentId = null) {
         if (this.objects.has(id)) {
             console.warn(`Object with id "${id}" already exists`);
@@ -128,6 +400,10 @@ class World {
         }
 
         const parent = parentId ? this.objects.get(parentId) : this.rootObject;
+        if (parentId && !parent) {
+            console.warn(`Can't create "${id}" in "${parentId}" - no such object`);
+            return null;
+        }
         const obj = new WorldObject(id, name, description, parent);
         
         this.objects.set(id, obj);
@@ -141,17 +417,37 @@ class World {
         return obj;
     }
 
+    // LLM manager this world simulates with
+    get llm() {
+        if (this.llmManager) return this.llmManager;
+        return typeof window !== 'undefined' ? window.llmManager : null;
+    }
+
+    // Whether developer log lines are wanted (a log sink was given, or the terminal is in developer mode)
+    isDevLogging() {
+        if (this.onDevLog) return true;
+        return typeof window !== 'undefined' && !!window.terminal && window.terminal.developerMode;
+    }
+
+    devLog(message) {
+        if (this.onDevLog) {
+            this.onDevLog(message);
+        } else if (this.isDevLogging()) {
+            window.terminal.devLog(message);
+        }
+    }
+
     // Get object by ID
     getObject(id) {
         return this.objects.get(id);
     }
 
-    // Move object to new parent
+    // Move object to new parent; an object can't go inside itself or anything it contains
     moveObject(objectId, newParentId) {
         const obj = this.objects.get(objectId);
         const newParent = newParentId ? this.objects.get(newParentId) : this.rootObject;
         
-        if (obj && newParent) {
+        if (obj && newParent && !newParent.getAncestors().includes(obj)) {
             if (obj.parent) {
                 obj.parent.removeChild(obj);
             }
@@ -161,6 +457,70 @@ class World {
         return false;
     }
 
+    // Take control of an object (anything but the root), adding it to the party; returns whether it worked
+    possess(objectId) {
+        const obj = this.objects.get(objectId);
+        if (!obj || obj === this.rootObject) {
+            return false;
+        }
+
+        this.playerObjectId = obj.id;
+        if (!this.party.includes(obj.id)) {
+            this.party.push(obj.id);
+        }
+        console.log(`🎭 Now playing ${obj.name}`);
+        if (this.isDevLogging()) {
+            this.devLog(`Now playing ${obj.name} (party: ${this.party.join(', ')})`);
+        }
+        return true;
+    }
+
+    // Drop a character from the party - the one being played has to stay
+    leaveParty(objectId) {
+        if (objectId === this.playerObjectId || !this.party.includes(objectId)) {
+            return false;
+        }
+        this.party = this.party.filter(id => id !== objectId);
+        return true;
+    }
+
+    // What a character was told in its own turns and the ticks it waited through: [{ turn, type, action, narrative }]
+    // newest last, at most `count`
+    narrativeHistory(objectId, count = Infinity) {
+        const told = entry => entry.narratives ? entry.narratives[objectId] : entry.actor === objectId && entry.narrative;
+        return this.chronicle
+            .filter(told)
+            .slice(-count)
+            .map(entry => ({ turn: entry.turn, type: entry.type, action: entry.action, narrative: told(entry) }));
+    }
+
+    // Remove an object from the world: its contents move up into its container and relationships pointing at it go
+    // The root and anything being played can't be removed (other party members leave the party)
+    removeObject(objectId) {
+        const obj = this.objects.get(objectId);
+        if (!obj || obj === this.rootObject || this.isPlayed(objectId)) {
+            return false;
+        }
+
+        const parent = obj.parent;
+        [...obj.containedObjects].forEach(child => {
+            obj.removeChild(child);
+            if (parent) {
+                parent.addChild(child);
+            }
+        });
+        if (parent) {
+            parent.removeChild(obj);
+        }
+        this.objects.delete(objectId);
+        this.party = this.party.filter(id => id !== objectId);
+
+        for (const other of this.objects.values()) {
+            other.relationships = other.relationships.filter(rel => rel.to !== objectId);
+        }
+        return true;
+    }
+
     // Get all objects at a specific depth from root
     getObjectsAtDepth(depth = 0, startObject = null) {
         const start = startObject || this.rootObject;
@@ -176,71 +536,229 @@ class World {
     }
 
     // Process a player action and simulate the world one step
-    async processPlayerAction(action) {
+    // options.onNarrativeDelta(text) receives the narration as it streams in
+    async processPlayerAction(action, options = {}) {
         if (!this.playerObjectId) {
             return "No player object set.";
         }
 
-        const playerObject = this.getObject(this.playerObjectId);
-        if (!playerObject) {
+        if (!this.getObject(this.playerObjectId)) {
             return "Player object not found.";
         }
 
+        const onNarrativeDelta = options.onNarrativeDelta;
+        const narratives = await this.processPlayerActions(new Map([[this.playerObjectId, action]]), {
+            onNarrativeDelta: onNarrativeDelta ? (objectId, delta) => onNarrativeDelta(delta) : null
+        });
+        return narratives.get(this.playerObjectId);
+    }
+
+    // Simulate one step in which several played objects act at once (multiplayer turns; a single player is the
+    // one-entry case). actions maps each played object's id to its action: those objects take their actions
+    // verbatim, everything near any of them reacts to all of them in one bottom-up pass, and each gets its own
+    // narration. Resolves to a Map objectId -> narrative
+    // options.onNarrativeDelta(objectId, text) receives each narration as it streams in
+    async processPlayerActions(actions, options = {}) {
+        const players = [...actions.keys()].map(id => this.getObject(id)).filter(obj => obj);
+        if (players.length !== actions.size) {
+            throw new Error('Every action needs an object to play');
+        }
+
+        // One action reads as itself; several as "Sam: pet the cat; Ship Cat: hiss" wherever a prompt shows it
+        const action = actions.size === 1
+            ? [...actions.values()][0]
+            : players.map(obj => `${obj.name}: ${actions.get(obj.id)}`).join('; ');
+
+        // Snapshot the world before the turn changes it, so it can be undone
+        if (this.timeline) {
+            this.timeline.record(this.export(), action);
+        }
+
         this.simulationTime++;
+        this.recentMoves = [];
+        this.turnActions = actions;
+        this.beginChronicleEntry('turn', action);
 
-        // PHASE 0: Progress existing time-based relationships first
-        this.progressTimeBasedRelationships();
+        try {
+            // Tag this turn's LLM calls so usage can be broken down per turn, and use this world's prompts
+            if (this.llm) {
+                this.llm.currentTurn = this.simulationTime;
+                this.llm.scenario = this.scenario;
+            }
 
-        // Find the simulation branch (from player up to root)
-        const branch = this.getSimulationBranch(playerObject);
-        
-        // PHASE 1: Complete all simulation first
-        const results = await this.simulateBottomUp(branch, action);
+            // PHASE 0: Expire stale relationships, then progress existing time-based ones
+            this.expireRelationships();
+            this.progressTimeBasedRelationships();
+
+            // Find the simulation branch: what is close enough to any player to react
+            const branch = [...new Set(players.flatMap(obj => this.getSimulationBranch(obj)))];
 
-        // PHASE 1.5: Analyze actions and update relationships (new relationships won't progress until next turn)
-        await this.analyzeAndUpdateRelationships(action, results);
+            // PHASE 1: Complete all simulation first
+            const results = await this.simulateBottomUp(branch, action);
+
+            // PHASE 1.5: Analyze actions to update relationships (new ones won't progress until next turn)
+            // and to create or remove the objects the turn brought into being or destroyed
+            await Promise.all([
+                this.analyzeAndUpdateRelationships(action, results),
+                this.analyzeAndUpdateObjects(action, results)
+            ]);
+
+            // Emit simulation event for terminal display
+            if (this.onUpdate) {
+                this.onUpdate(this);
+            } else if (typeof window !== 'undefined' && window.terminal && typeof window.onWorldUpdate === 'function') {
+                window.onWorldUpdate(this);
+            }
+
+            // PHASE 2: Concurrently narrate for every player and update descriptions
+            const narratives = new Map();
+            await Promise.all([
+                ...players.map(async obj => {
+                    const onDelta = options.onNarrativeDelta ? delta => options.onNarrativeDelta(obj.id, delta) : null;
+                    narratives.set(obj.id, await this.narratePlayerExperience(results, actions.get(obj.id), onDelta, obj));
+                }),
+                this.updateObjectDescriptions(results)
+            ]);
+
+            // PHASE 3: Let everything that took part remember the turn, and agents check their plans against it
+            await this.updateMemories(results);
+            await this.updatePlans(results);
+
+            if (players.length === 1) {
+                this.finishChronicleEntry(results, narratives.get(players[0].id));
+            } else {
+                this.finishChronicleEntry(results, null, narratives);
+            }
+            return narratives;
+        } finally {
+            this.turnActions = null;
+            this.chronicleEntry = null; // A failed turn leaves no half-written entry behind
+        }
+    }
 
-        // Emit simulation event for terminal display
-        if (window.terminal && typeof window.onWorldUpdate === 'function') {
-            window.onWorldUpdate(this);
+    // The action a played object takes verbatim this step, or null for objects the world simulates
+    // Seated players who aren't acting in a turn just wait
+    scriptedAction(obj, playerAction) {
+        if (this.turnActions) {
+            if (this.turnActions.has(obj.id)) return this.turnActions.get(obj.id);
+            return this.seatedObjectIds.has(obj.id) ? IDLE_ACTION : null;
         }
+        return this.isPlayed(obj.id) ? playerAction : null;
+    }
 
-        // PHASE 2: Concurrently generate narration and update descriptions
-        const [narrative] = await Promise.all([
-            this.narratePlayerExperience(results, action),
-            this.updateObjectDescriptions(results)
-        ]);
-        
-        return narrative;
+    // Whether someone is playing this object: the world's player, a seated multiplayer player, or anyone acting
+    // in the turn under way
+    isPlayed(objectId) {
+        return objectId === this.playerObjectId || this.seatedObjectIds.has(objectId) ||
+            (!!this.turnActions && this.turnActions.has(objectId));
+    }
+
+    // Ids of the objects played this step: those acting in the turn under way, otherwise the world's player and
+    // every seated player (only objects still in the world)
+    playedObjectIds() {
+        const ids = this.turnActions ? [...this.turnActions.keys()] : [this.playerObjectId, ...this.seatedObjectIds];
+        return [...new Set(ids)].filter(id => id && this.objects.has(id));
     }
 
-    // Get the simulation branch - all objects from player's container up to root
+    // Get the simulation branch for this step: nearby objects always, mid-range ones on every
+    // simulationLod.midEvery-th step, far ones never (they keep their state until the player comes closer)
+    // Mid-range objects react individually on their steps rather than as a group summary, so their memories,
+    // relationships and descriptions update the same way as near ones'
     getSimulationBranch(playerObject) {
-        const branch = new Set();
-        
-        // Start from player's container (the boat)
-        let current = playerObject.parent;
-        
-        while (current) {
-            // Add this container to the branch
-            branch.add(current);
-            
-            // Add all objects within this container (siblings + their descendants)
-            this.addDescendantsToSet(current, branch);
-            
-            // Move up the hierarchy
-            current = current.parent;
+        const { nearDistance, midDistance, midEvery } = this.simulationLod;
+        const includeMid = this.simulationTime % midEvery === 0;
+        const near = [];
+        const mid = [];
+        let frozen = 0;
+
+        for (const obj of this.objects.values()) {
+            const distance = playerObject.getDistance(obj);
+            if (distance <= nearDistance) {
+                near.push(obj);
+            } else if (distance <= midDistance) {
+                mid.push(obj);
+            } else {
+                frozen++;
+            }
         }
-        
-        return Array.from(branch);
+
+        if (this.isDevLogging()) {
+            const names = objects => objects.map(obj => obj.name).join(', ') || 'none';
+            this.devLog(`LOD near (≤${nearDistance}): [${names(near)}]`);
+            this.devLog(`LOD mid (≤${midDistance}): [${names(mid)}] ${includeMid ? 'simulated this step' : `skipped until a multiple of ${midEvery}`}`);
+            if (frozen > 0) {
+                this.devLog(`LOD far: ${frozen} object${frozen === 1 ? '' : 's'} frozen`);
+            }
+        }
+
+        return includeMid ? near.concat(mid) : near;
     }
 
-    // Recursively add all descendants of an object to a set
-    addDescendantsToSet(obj, set) {
-        set.add(obj);
-        obj.containedObjects.forEach(child => {
-            this.addDescendantsToSet(child, set);
-        });
+    // How brightly lit the inside of obj is, from 0 (pitch dark) to 1 (daylight): its own `light` property if it has one,
+    // otherwise whatever light gets in from its container (none through opaque or sealed walls); anything lit inside it
+    // lights it fully. The root is in daylight unless it says otherwise
+    lightLevel(obj) {
+        if (obj.containedObjects.some(child => child.isLit())) return 1;
+
+        const light = obj.properties.light;
+        if (light && typeof light.value === 'number') {
+            return Math.min(1, Math.max(0, light.value));
+        }
+        if (!obj.parent) return 1;
+        return ENCLOSURES[obj.getEnclosure()].sight === Infinity ? 0 : this.lightLevel(obj.parent);
+    }
+
+    // What observer can sense of the world: Map object -> { sight?, sound?, smell? }, each a strength from
+    // FAINT_PERCEPTION to 1, for every object at least one sense reaches (the observer itself left out)
+    // A sense travels the hierarchy like getDistance, up to the lowest shared container and back down; it weakens
+    // with every step and with the walls of every container it leaves or enters on the way (see ENCLOSURES), and
+    // fades out past this.senseRanges. Sight is also scaled by the light the object sits in, unless it is lit itself
+    perceive(observer) {
+        const observerSteps = new Map(observer.getAncestors().map((ancestor, steps) => [ancestor, steps]));
+        const perceived = new Map();
+
+        for (const obj of this.objects.values()) {
+            if (obj === observer) continue;
+
+            // Containers between the two, not counting the shared one or either end
+            const targetAncestors = obj.getAncestors();
+            const shared = targetAncestors.findIndex(ancestor => observerSteps.has(ancestor));
+            if (shared === -1) continue; // Separate trees
+            const walls = targetAncestors.slice(1, shared)
+                .concat(observer.getAncestors().slice(1, observerSteps.get(targetAncestors[shared])));
+            const distance = shared + observerSteps.get(targetAncestors[shared]);
+
+            const senses = {};
+            SENSES.forEach(sense => {
+                const range = this.senseRanges[sense] || 0;
+                const cost = walls.reduce((total, wall) => total + ENCLOSURES[wall.getEnclosure()][sense], distance);
+                let strength = range > 0 ? 1 - (cost - 1) / range : 0;
+                if (sense === 'sight' && !obj.isLit()) {
+                    // Containers around the observer are seen by their own light, anything else by its surroundings'
+                    strength *= this.lightLevel(shared === 0 ? obj : obj.parent);
+                }
+                if (strength >= FAINT_PERCEPTION) {
+                    senses[sense] = Math.min(1, strength);
+                }
+            });
+
+            if (Object.keys(senses).length > 0) {
+                perceived.set(obj, senses);
+            }
+        }
+
+        return perceived;
+    }
+
+    // How an object comes across when it isn't plainly seen, e.g. "not seen - faintly heard, smelled"; null when it is
+    describeSenses(senses) {
+        if (senses.sight >= CLEAR_PERCEPTION) return null;
+
+        const others = ['sound', 'smell']
+            .filter(sense => senses[sense])
+            .map(sense => `${senses[sense] < CLEAR_PERCEPTION ? 'faintly ' : ''}${sense === 'sound' ? 'heard' : 'smelled'}`);
+        const sight = senses.sight ? 'dimly seen' : 'not seen';
+        return others.length > 0 ? `${sight} - ${others.join(', ')}` : sight;
     }
 
     // Simulate objects bottom-up within the branch
@@ -253,17 +771,26 @@ class World {
         // Process from deepest to shallowest
         const depths = Array.from(depthGroups.keys()).sort((a, b) => b - a);
         
-        if (window.terminal && window.terminal.developerMode) {
-            window.terminal.devLog(`=== Bottom-Up Simulation Started ===`);
-            window.terminal.devLog(`Processing ${depths.length} depth levels: [${depths.join(' → ')}]`);
+        if (this.isDevLogging()) {
+            this.devLog(`=== Bottom-Up Simulation Started ===`);
+            this.devLog(`Processing ${depths.length} depth levels: [${depths.join(' → ')}]`);
         }
         
         for (const depth of depths) {
             const objectsAtDepth = depthGroups.get(depth);
             
-            if (window.terminal && window.terminal.developerMode) {
+            if (this.isDevLogging()) {
                 const objNames = objectsAtDepth.map(o => o.name).join(', ');
-                window.terminal.devLog(`Depth ${depth}: Simulating [${objNames}]`);
+                this.devLog(`Depth ${depth}: Simulating [${objNames}]`);
+            }
+            
+            if (this.simulationStrategy === 'batched') {
+                // One LLM call covers every object at this depth
+                const depthResults = await this.simulateDepthBatch(objectsAtDepth, playerAction, results);
+                depthResults.forEach((action, objId) => {
+                    results.set(objId, action);
+                });
+                continue;
             }
             
             // Process all objects at this depth in parallel
@@ -280,8 +807,8 @@ class World {
             });
         }
         
-        if (window.terminal && window.terminal.developerMode) {
-            window.terminal.devLog(`=== Bottom-Up Simulation Complete ===`);
+        if (this.isDevLogging()) {
+            this.devLog(`=== Bottom-Up Simulation Complete ===`);
         }
         
         return results;
@@ -317,53 +844,112 @@ class World {
         return maxChildDepth + 1;
     }
 
-    // Simulate a single object's action using LLM or fallback
-    async simulateObject(obj, playerAction, childResults) {
-        // Collect actions from children
-        const childActions = obj.containedObjects.map(child => {
+    // Collect the actions this object's children took (already simulated, deeper in the tree)
+    collectChildActions(obj, childResults) {
+        return obj.containedObjects.map(child => {
             const childResult = childResults.get(child.id);
             return childResult || "no action";
         }).filter(action => action !== "no action");
+    }
+
+    // Simulate every object at one depth level with a single batched LLM call
+    async simulateDepthBatch(objects, playerAction, childResults) {
+        const results = new Map();
+        const simulations = [];
+
+        objects.forEach(obj => {
+            const childActions = this.collectChildActions(obj, childResults);
+
+            if (this.isDevLogging() && childActions.length > 0) {
+                this.devLog(`${obj.name} sees children actions: [${childActions.join(', ')}]`);
+            }
+
+            // Players always take the exact action they specified
+            const scripted = this.scriptedAction(obj, playerAction);
+            if (scripted !== null) {
+                if (this.isDevLogging()) {
+                    this.devLog(`Player (${obj.name}): "${scripted}"`);
+                }
+                results.set(obj.id, scripted);
+                return;
+            }
+
+            simulations.push({ objectId: obj.id, objectContext: obj, playerAction, childActions, memory: obj.recall(this.memoryBudget) });
+        });
+
+        if (simulations.length === 0) {
+            return results;
+        }
+
+        if (this.llm && this.llm.isAvailable()) {
+            if (this.isDevLogging()) {
+                this.devLog(`Batching ${simulations.length} objects into one LLM call`);
+            }
+            const reactions = await this.llm.batchSimulateObjects(simulations);
+            reactions.forEach((action, objId) => results.set(objId, action));
+        } else {
+            if (this.isDevLogging()) {
+                this.devLog(`LLM not available for batch, using fallback`);
+            }
+            simulations.forEach(({ objectId, objectContext, childActions }) => {
+                results.set(objectId, this.getBasicReaction(objectContext, playerAction, childActions));
+            });
+        }
+
+        if (this.isDevLogging()) {
+            simulations.forEach(({ objectId, objectContext }) => {
+                this.devLog(`${objectContext.name}: "${results.get(objectId)}"`);
+            });
+        }
+
+        return results;
+    }
+
+    // Simulate a single object's action using LLM or fallback
+    async simulateObject(obj, playerAction, childResults) {
+        // Collect actions from children
+        const childActions = this.collectChildActions(obj, childResults);
 
         // Developer logging: show what children did
-        if (window.terminal && window.terminal.developerMode && childActions.length > 0) {
-            window.terminal.devLog(`${obj.name} sees children actions: [${childActions.join(', ')}]`);
+        if (this.isDevLogging() && childActions.length > 0) {
+            this.devLog(`${obj.name} sees children actions: [${childActions.join(', ')}]`);
         }
 
-        // Player always takes the exact action they specified
-        if (obj.id === this.playerObjectId) {
-            if (window.terminal && window.terminal.developerMode) {
-                window.terminal.devLog(`Player (${obj.name}): "${playerAction}"`);
+        // Players always take the exact action they specified
+        const scripted = this.scriptedAction(obj, playerAction);
+        if (scripted !== null) {
+            if (this.isDevLogging()) {
+                this.devLog(`Player (${obj.name}): "${scripted}"`);
             }
-            return playerAction;
+            return scripted;
         }
         
         // Use LLM if available, otherwise fall back to basic reactions
-        if (window.llmManager && window.llmManager.isAvailable()) {
+        if (this.llm && this.llm.isAvailable()) {
             try {
-                const result = await window.llmManager.simulateObjectReaction(obj, playerAction, childActions);
-                if (window.terminal && window.terminal.developerMode) {
-                    window.terminal.devLog(`${obj.name}: "${result}"`);
+                const result = await this.llm.simulateObjectReaction(obj, playerAction, childActions, obj.recall(this.memoryBudget));
+                if (this.isDevLogging()) {
+                    this.devLog(`${obj.name}: "${result}"`);
                 }
                 return result;
             } catch (error) {
                 console.warn(`LLM simulation failed for ${obj.id}, using fallback:`, error);
-                if (window.terminal && window.terminal.developerMode) {
-                    window.terminal.devLog(`LLM failed for ${obj.name}, using fallback`);
+                if (this.isDevLogging()) {
+                    this.devLog(`LLM failed for ${obj.name}, using fallback`);
                 }
                 const fallbackResult = this.getBasicReaction(obj, playerAction, childActions);
-                if (window.terminal && window.terminal.developerMode) {
-                    window.terminal.devLog(`${obj.name} fallback action: "${fallbackResult}"`);
+                if (this.isDevLogging()) {
+                    this.devLog(`${obj.name} fallback action: "${fallbackResult}"`);
                 }
                 return fallbackResult;
             }
         } else {
-            if (window.terminal && window.terminal.developerMode) {
-                window.terminal.devLog(`LLM not available for ${obj.name}, using fallback`);
+            if (this.isDevLogging()) {
+                this.devLog(`LLM not available for ${obj.name}, using fallback`);
             }
             const fallbackResult = this.getBasicReaction(obj, playerAction, childActions);
-            if (window.terminal && window.terminal.developerMode) {
-                window.terminal.devLog(`${obj.name} fallback action: "${fallbackResult}"`);
+            if (this.isDevLogging()) {
+                this.devLog(`${obj.name} fallback action: "${fallbackResult}"`);
             }
             return fallbackResult;
         }
@@ -398,9 +984,8 @@ class World {
         return "remains still";
     }
 
-    // Generate a narrated description of what happened from the player's perspective
-    async narratePlayerExperience(results, playerAction) {
-        const playerObject = this.getObject(this.playerObjectId);
+    // Generate a narrated description of what happened from a player's perspective (by default the world's player)
+    async narratePlayerExperience(results, playerAction, onDelta = null, playerObject = this.getObject(this.playerObjectId)) {
         if (!playerObject) {
             return "\nSomething seems wrong - you can't sense yourself.\n";
         }
@@ -410,99 +995,112 @@ class World {
             return "\nYou float in an empty void.\n";
         }
 
-        // Get the player's siblings (other objects in the same container)
-        const siblings = playerParent.containedObjects.filter(obj => obj.id !== this.playerObjectId);
-        
+        // Only what reaches the player's senses gets narrated, nearest first (see perceive)
+        const perceived = [...this.perceive(playerObject).entries()]
+            .map(([obj, senses]) => ({ obj, senses, distance: playerObject.getDistance(obj) }))
+            .sort((a, b) => a.distance - b.distance);
+        const perceivedObjects = new Set(perceived.map(({ obj }) => obj));
+        const seen = perceived.filter(({ senses }) => senses.sight).map(({ obj }) => obj);
+        const parentSenses = perceived.find(({ obj }) => obj === playerParent);
+
         // Collect parent action
-        const parentAction = results.get(playerParent.id) || "remains still";
-        
-        // Collect sibling actions
-        const siblingActions = siblings.map(sibling => ({
-            objectName: sibling.name,
-            action: results.get(sibling.id) || "remains still"
+        const parentAction = parentSenses && results.get(playerParent.id) || "remains still";
+
+        // Collect the actions of everything else perceived
+        const siblingActions = perceived.filter(({ obj }) => obj !== playerParent).map(({ obj }) => ({
+            objectName: obj.name,
+            action: results.get(obj.id) || "remains still"
         })).filter(({ action }) => action !== "remains still");
 
-        // Collect ALL relationships from ALL visible objects for narrative context
+        // Collect relationships from the player and everything it can see for narrative context
         const allRelevantRelationships = [];
-        
-        // Helper function to add relationships from an object
+        const visibleNames = new Set(seen.map(obj => obj.name));
         const addObjectRelationships = (obj) => {
-            if (obj.relationships.length > 0) {
-                obj.relationships.forEach(rel => {
-                    const target = this.getObject(rel.to);
-                    allRelevantRelationships.push({
-                        from: obj.name,
-                        relationship: rel.relationship,
-                        to: target ? target.name : rel.to,
-                        progress: rel.progress,
-                        progressTime: rel.progressTime
-                    });
+            obj.relationships.forEach(rel => {
+                const target = this.getObject(rel.to);
+                allRelevantRelationships.push({
+                    from: obj.name,
+                    relationship: rel.relationship,
+                    to: target && (target === playerObject || visibleNames.has(target.name)) ? target.name : 'something out of sight',
+                    progress: rel.progress,
+                    progressTime: rel.progressTime
                 });
-            }
+            });
         };
-        
-        // Player's relationships
-        addObjectRelationships(playerObject);
-        
-        // Parent container relationships
-        addObjectRelationships(playerParent);
-        
-        // Sibling relationships (other objects in same container)
-        siblings.forEach(sibling => {
-            addObjectRelationships(sibling);
-        });
-        
-        // Child object relationships (objects contained within visible objects)
-        const allVisibleObjects = [playerObject, playerParent, ...siblings];
+        const allVisibleObjects = [playerObject, ...seen];
+        allVisibleObjects.forEach(addObjectRelationships);
+
+        // Typed state of everything the narrator can see, by name
+        const objectStates = {};
         allVisibleObjects.forEach(obj => {
-            if (obj.containedObjects && obj.containedObjects.length > 0) {
-                obj.containedObjects.forEach(child => {
-                    addObjectRelationships(child);
-                });
+            const state = this.llm ? this.llm.formatPropertyList(obj.properties) : '';
+            if (state) {
+                objectStates[obj.name] = state;
             }
         });
 
+        // How everything perceived but not plainly seen came across, by name
+        const senses = {};
+        perceived.forEach(({ obj, senses: objectSenses }) => {
+            const note = this.describeSenses(objectSenses);
+            if (note) {
+                senses[obj.name] = note;
+            }
+        });
+        const light = this.lightLevel(playerParent);
+
         // Prepare context information for the LLM
         const contextInfo = {
             playerName: playerObject.name,
             playerDescription: playerObject.description,
             containerName: playerParent.name,
-            containerDescription: playerParent.description
+            containerDescription: playerParent.description,
+            previously: this.narrativeHistory(playerObject.id, 2).map(({ narrative }) => narrative), // This character's own story so far
+            moves: this.recentMoves.filter(({ object }) => object === playerObject || perceivedObjects.has(object)).map(({ object, from, to }) => ({
+                objectName: object.name,
+                from: from ? from.name : null,
+                to: to.name
+            })),
+            objectStates,
+            senses,
+            lighting: light < FAINT_PERCEPTION ? 'dark' : light < CLEAR_PERCEPTION ? 'dim' : null
         };
 
         // Developer logging for narrative generation
-        if (window.terminal && window.terminal.developerMode) {
-            window.terminal.devLog(`Generating narrative for ${playerObject.name}`);
-            window.terminal.devLog(`Parent (${playerParent.name}): "${parentAction}"`);
+        if (this.isDevLogging()) {
+            this.devLog(`Generating narrative for ${playerObject.name}`);
+            this.devLog(`Perceives: ${perceived.map(({ obj, senses: objectSenses }) => `${obj.name} (${Object.keys(objectSenses).join('+')})`).join(', ') || 'nothing'}`);
+            this.devLog(`Parent (${playerParent.name}): "${parentAction}"`);
             if (siblingActions.length > 0) {
                 siblingActions.forEach(sa => {
-                    window.terminal.devLog(`Sibling (${sa.objectName}): "${sa.action}"`);
+                    this.devLog(`Perceived (${sa.objectName}): "${sa.action}"${senses[sa.objectName] ? ` [${senses[sa.objectName]}]` : ''}`);
                 });
             }
         }
 
         // Use LLM to generate the narrative (no fallbacks - show errors)
-        if (!window.llmManager) {
+        if (!this.llm) {
             return "\n❌ LLM Manager not loaded. Check console for errors.\n";
         }
 
         try {
-            const narrative = await window.llmManager.generateNarrative(
+            const narrative = await this.llm.generateNarrative(
                 playerAction, 
                 parentAction, 
                 siblingActions, 
                 contextInfo,
-                allRelevantRelationships
+                allRelevantRelationships,
+                onDelta
             );
-            if (window.terminal && window.terminal.developerMode) {
-                window.terminal.devLog(`Narrative generated successfully`);
+            if (this.isDevLogging()) {
+                this.devLog(`Narrative generated successfully`);
             }
             return narrative;
         } catch (error) {
             // Show the error to the user instead of falling back silently
             console.error('LLM narrative generation failed:', error);
-            if (window.terminal && window.terminal.developerMode) {
-                window.terminal.devLog(`Narrative generation FAILED: ${error.message}`);
+            if (this.isDevLogging()) {
+                this.devLog(`Narrative generation FAILED: ${error.message}`);
             }
             return `\n❌ Narrative Error: ${error.message}\n\nTip: Use checkLLM() to verify your setup.\n`;
         }
@@ -514,18 +1112,126 @@ class World {
         return "\n❌ Fallback narration disabled. Please configure LLM in config.js\n";
     }
 
-    // Legacy method for compatibility (now deprecated)
-    simulateStep() {
-        console.warn("simulateStep() is deprecated. Use processPlayerAction() instead.");
+    // One idle tick between player turns: time moves on, relationships progress and objects react to the players waiting
+    // Which objects react follows the same level of detail as turns (see getSimulationBranch), around every played object
+    // Resolves to { time, ambient, ambients } - ambients maps each played object to a line of narration about what
+    // it notices, or null; ambient is the world's player's
+    async simulateStep() {
+        this.simulationTime++;
+        this.recentMoves = [];
+        this.beginChronicleEntry('tick');
+
+        if (this.llm) {
+            this.llm.currentTurn = this.simulationTime;
+            this.llm.scenario = this.scenario;
+        }
+
+        this.expireRelationships();
+        const completed = this.progressTimeBasedRelationships();
+
+        const players = this.playedObjectIds().map(id => this.getObject(id));
+        if (players.length === 0) {
+            this.finishChronicleEntry(new Map(), null);
+            return { time: this.simulationTime, ambient: null, ambients: {} };
+        }
+
+        if (this.isDevLogging()) {
+            this.devLog(`=== Idle tick ${this.simulationTime} ===`);
+        }
+
+        const branch = [...new Set(players.flatMap(obj => this.getSimulationBranch(obj)))];
+        const results = await this.simulateBottomUp(branch, IDLE_ACTION);
+        players.forEach(obj => results.delete(obj.id)); // The players only waited
+
+        const ambients = new Map();
+        await Promise.all([
+            ...players.map(async obj => {
+                ambients.set(obj.id, await this.narrateAmbientChanges(obj, results, completed));
+            }),
+            this.updateObjectDescriptions(results)
+        ]);
+
+        await this.updateMemories(results);
+        await this.updatePlans(results);
+        if (players.length === 1) {
+            this.finishChronicleEntry(results, ambients.get(players[0].id));
+        } else {
+            this.finishChronicleEntry(results, null, ambients);
+        }
+
+        if (this.onUpdate) {
+            this.onUpdate(this);
+        }
+
+        return { time: this.simulationTime, ambient: ambients.get(this.playerObjectId) || null, ambients: Object.fromEntries(ambients) };
+    }
+
+    // Narrate what changed within the player's view during an idle tick, or null if nothing worth mentioning did
+    async narrateAmbientChanges(playerObject, results, completedRelationships) {
+        const container = playerObject.parent;
+        if (!container || !this.llm || !this.llm.isAvailable()) {
+            return null;
+        }
+
+        // Only what reaches the player's senses (see perceive)
+        const perceived = this.perceive(playerObject);
+        const visible = new Set([playerObject, ...perceived.keys()]);
+        const events = [];
+
+        perceived.forEach((senses, obj) => {
+            const action = results.get(obj.id);
+            if (action && !QUIET_ACTION.test(action)) {
+                events.push({ objectName: obj.name, action, sensed: this.describeSenses(senses), properties: obj.properties });
+            }
+        });
+
+        // Spatial relationships that completed show up as moves instead - including objects that just left
+        this.recentMoves.forEach(({ object, from, to }) => {
+            if (visible.has(object) || visible.has(from) || visible.has(to)) {
+                events.push({ objectName: object.name, action: `moved ${from ? `from ${from.name} ` : ''}into ${to.name}`, properties: object.properties });
+            }
+        });
+
+        completedRelationships.forEach(({ object, relationship, target }) => {
+            if (this.isSpatialRelationship(relationship)) return;
+            if (visible.has(object) || visible.has(target)) {
+                const targetName = target ? target.name : 'something';
+                events.push({ objectName: object.name, action: `now ${relationship.replace(/_/g, ' ')} ${targetName}`, properties: object.properties });
+            }
+        });
+
+        if (events.length === 0) {
+            return null;
+        }
+
+        try {
+            return await this.llm.generateAmbientNarration(events, {
+                playerName: playerObject.name,
+                containerName: container.name
+            });
+        } catch (error) {
+            console.warn('Ambient narration failed:', error.message);
+            return null;
+        }
     }
 
-    // Start continuous simulation
-    startSimulation(intervalMs = 1000) {
-        if (this.isSimulating) return;
+    // Tick continuously - runStep lets a host wrap each tick (e.g. to serialize it with player turns)
+    // Restarting with a new interval changes the tick rate
+    startSimulation(intervalMs = this.tickIntervalMs, runStep = () => this.simulateStep()) {
+        if (this.isSimulating) {
+            this.stopSimulation();
+        }
         
+        this.tickIntervalMs = intervalMs;
         this.isSimulating = true;
         this.simulationInterval = setInterval(() => {
-            this.simulateStep();
+            // A tick that outlasts the interval makes the next one skip rather than pile up
+            if (this.stepInProgress) return;
+            this.stepInProgress = true;
+            Promise.resolve()
+                .then(runStep)
+                .catch(error => console.error('Idle tick failed:', error))
+                .finally(() => { this.stepInProgress = false; });
         }, intervalMs);
         
         console.log(`World simulation started (${intervalMs}ms intervals)`);
@@ -568,6 +1274,164 @@ class World {
         return description;
     }
 
+    // Describe what observer perceives (see perceive): its surroundings, or one object it can sense
+    // Things not plainly seen are listed by how they come across, without their descriptions; things not seen at all
+    // only when they gave themselves away in the latest turn or tick (a purr from the dark), with what they did
+    describePerceived(observer, focusObjectId = null) {
+        const latest = this.chronicle[this.chronicle.length - 1];
+        const noticed = new Map((latest ? latest.reactions : [])
+            .filter(({ action }) => !QUIET_ACTION.test(action))
+            .map(({ objectId, action }) => [objectId, action]));
+        const perceived = new Map([...this.perceive(observer)].filter(([obj, senses]) => senses.sight || noticed.has(obj.id)));
+        const relationshipLines = obj => obj.relationships
+            .filter(rel => {
+                const target = this.getObject(rel.to);
+                return target && (target === observer || perceived.has(target));
+            })
+            .map(rel => {
+                const progressStr = rel.progress !== null ? ` (${Math.round(rel.progress * 100)}%)` : '';
+                return `    - ${rel.relationship} ${this.getObject(rel.to).name}${progressStr}\n`;
+            })
+            .join('');
+        // Plainly seen: description and relationships; otherwise how it comes across (and what it did, if unseen)
+        const describeObject = obj => {
+            const senses = perceived.get(obj);
+            const note = this.describeSenses(senses);
+            if (!note) return `  • ${obj.name}: ${obj.description}\n${relationshipLines(obj)}`;
+            return senses.sight ? `  • ${obj.name} (${note})\n` : `  • ${obj.name}: ${noticed.get(obj.id)} (${note})\n`;
+        };
+
+        if (focusObjectId) {
+            const focusObject = this.getObject(focusObjectId);
+            if (!focusObject) return "The void stares back.";
+            if (focusObject !== observer && !perceived.has(focusObject)) {
+                return `You can't perceive ${focusObject.name} from here.`;
+            }
+
+            const note = focusObject === observer ? null : this.describeSenses(perceived.get(focusObject));
+            if (note && !perceived.get(focusObject).sight) {
+                return `=== ${focusObject.name} ===\n${noticed.get(focusObject.id)} (${note})\n`;
+            }
+
+            let description = `=== ${focusObject.name} ===\n`;
+            description += note ? `(${note})\n\n` : `${focusObject.description}\n\n`;
+            const contents = focusObject.containedObjects.filter(obj => obj === observer || perceived.has(obj));
+            if (contents.length > 0) {
+                description += "Contents:\n";
+                contents.forEach(obj => {
+                    description += obj === observer ? `  • ${obj.name}: ${obj.description}\n` : describeObject(obj);
+                });
+            }
+            return description;
+        }
+
+        const container = observer.parent;
+        if (!container) return "You float in an empty void.";
+
+        const light = this.lightLevel(container);
+        let description = `=== ${container.name} ===\n`;
+        description += perceived.has(container) && perceived.get(container).sight >= CLEAR_PERCEPTION
+            ? `${container.description}\n`
+            : `${light < FAINT_PERCEPTION ? "It's too dark to see." : "It's hard to make anything out in the gloom."}\n`;
+
+        // Nearest first, split by the sense that carries each one
+        const nearby = [...perceived.entries()]
+            .filter(([obj]) => obj !== container)
+            .sort(([a], [b]) => observer.getDistance(a) - observer.getDistance(b));
+        const clear = nearby.filter(([, senses]) => senses.sight >= CLEAR_PERCEPTION);
+        const unclear = nearby.filter(([, senses]) => !(senses.sight >= CLEAR_PERCEPTION));
+
+        if (clear.length > 0) {
+            description += "\nYou see:\n";
+            clear.forEach(([obj]) => {
+                description += describeObject(obj);
+            });
+        }
+        if (unclear.length > 0) {
+            description += "\nYou sense:\n";
+            unclear.forEach(([obj]) => {
+                description += describeObject(obj);
+            });
+        }
+        if (nearby.length === 0) {
+            description += "\nYou sense nothing else around you.\n";
+        }
+
+        return description;
+    }
+
+    // Start recording what the coming turn ('turn', with the player's action) or idle tick ('tick') changes
+    beginChronicleEntry(type, action = null) {
+        this.chronicleEntry = {
+            turn: this.simulationTime,
+            type,
+            actor: this.chronicleActor(), // The character being played, whose narration this is (null with several)
+            action,
+            reactions: [], // { objectId, action } - everything that did something, the player included
+            relationships: [], // { change: 'added' | 'completed' | 'ended', from, relationship, to, progress?, progressTime?, reason? }
+            moves: [], // { objectId, from, to }
+            objects: [], // { change: 'created' | 'removed', objectId, name, parentId?, reason? }
+            descriptions: [], // { objectId, before, after }
+            properties: [], // { objectId, property, before, after }
+            narrative: null // The turn's narration, or the tick's ambient line
+        };
+    }
+
+    // Whose step is being chronicled: the one object played in it (null with several)
+    chronicleActor() {
+        const played = this.playedObjectIds();
+        return played.length === 1 ? played[0] : null;
+    }
+
+    // Add a change to the chronicle entry being written (changes outside turns and ticks, like edits, aren't chronicled)
+    noteChange(list, change) {
+        if (this.chronicleEntry) {
+            this.chronicleEntry[list].push(change);
+        }
+    }
+
+    // File the entry being written, keeping at most chronicleLimit; quiet ticks are left out
+    // A turn with several players files each one's narration in `narratives` (objectId -> text) instead
+    finishChronicleEntry(results, narrative, narratives = null) {
+        const entry = this.chronicleEntry;
+        this.chronicleEntry = null;
+        if (!entry) return null;
+
+        results.forEach((action, objectId) => {
+            if (action !== "remains still") {
+                entry.reactions.push({ objectId, action });
+            }
+        });
+        entry.narrative = narrative || null;
+        if (narratives) {
+            entry.narratives = Object.fromEntries(narratives);
+        }
+
+        const changed = CHRONICLE_CHANGES.some(list => entry[list].length > 0);
+        const narrated = !!entry.narrative || (!!entry.narratives && Object.values(entry.narratives).some(text => text));
+        if (entry.type === 'tick' && !changed && !narrated) {
+            return null;
+        }
+
+        this.chronicle.push(entry);
+        if (this.chronicle.length > this.chronicleLimit) {
+            this.chronicle = this.chronicle.slice(-this.chronicleLimit);
+        }
+        return entry;
+    }
+
+    // The chronicle cut down to what involves one object, leaving out entries that don't mention it
+    objectHistory(objectId) {
+        const involves = change => change.objectId === objectId || change.from === objectId || change.to === objectId;
+        return this.chronicle.map(entry => {
+            const history = { turn: entry.turn, type: entry.type, actor: entry.actor, action: entry.action, narrative: null };
+            ['reactions', ...CHRONICLE_CHANGES].forEach(list => {
+                history[list] = entry[list].filter(involves);
+            });
+            return history;
+        }).filter(history => ['reactions', ...CHRONICLE_CHANGES].some(list => history[list].length > 0));
+    }
+
     // Export world state for saving
     export() {
         const objects = [];
@@ -577,26 +1441,82 @@ class World {
                 name: obj.name,
                 description: obj.description,
                 parentId: obj.parent ? obj.parent.id : null,
-                relationships: obj.relationships
+                relationships: obj.relationships,
+                properties: obj.properties,
+                memory: obj.memory,
+                memorySummary: obj.memorySummary,
+                goal: obj.goal,
+                plan: obj.plan
             });
         }
         
         return {
+            version: SAVE_VERSION,
             objects,
             simulationTime: this.simulationTime,
-            rootObjectId: this.rootObject ? this.rootObject.id : null
+            scenario: this.scenario,
+            playerObjectId: this.playerObjectId || null,
+            party: this.party.slice(),
+            rootObjectId: this.rootObject ? this.rootObject.id : null,
+            chronicle: this.chronicle.slice() // Entries aren't changed once filed, so snapshots can share them
         };
     }
 
-    // Import world state from save data
+    // Bring save data from any earlier format version up to SAVE_VERSION
+    static migrateSave(data) {
+        let version = data.version || 1; // Saves from before versioning
+        if (version > SAVE_VERSION) {
+            throw new Error(`Save format version ${version} is newer than this game supports (${SAVE_VERSION})`);
+        }
+
+        let migrated = data;
+        while (version < SAVE_VERSION) {
+            migrated = SAVE_MIGRATIONS[version](migrated);
+            version++;
+        }
+        return { ...migrated, version };
+    }
+
+    // Undo the last `steps` turns (needs a timeline)
+    rewind(steps = 1) {
+        this.requireTimeline();
+        this.import(this.timeline.rewind(steps, this.export()));
+    }
+
+    // Switch to a named timeline branch, creating it from the end of `turn` (default: now) if it is new
+    checkoutBranch(name, turn = null) {
+        this.requireTimeline();
+        this.import(this.timeline.checkout(name, this.export(), turn));
+    }
+
+    requireTimeline() {
+        if (!this.timeline) {
+            throw new Error('This world does not keep a timeline');
+        }
+    }
+
+    // Import world state from save data (any save format version)
     import(data) {
+        data = World.migrateSave(data);
+        
         this.objects.clear();
+        this.rootObject = null;
         this.simulationTime = data.simulationTime || 0;
+        this.scenario = data.scenario || null;
+        this.playerObjectId = data.playerObjectId || null;
+        this.party = data.party.slice();
+        this.chronicle = data.chronicle.slice();
+        this.chronicleEntry = null;
         
         // Create all objects first
         data.objects.forEach(objData => {
             const obj = new WorldObject(objData.id, objData.name, objData.description);
             obj.relationships = objData.relationships || [];
+            obj.properties = objData.properties || {};
+            obj.memory = objData.memory || [];
+            obj.memorySummary = objData.memorySummary || '';
+            obj.goal = objData.goal || null;
+            obj.plan = objData.plan || [];
             this.objects.set(objData.id, obj);
         });
         
@@ -605,23 +1525,94 @@ class World {
             if (objData.parentId) {
                 const obj = this.objects.get(objData.id);
                 const parent = this.objects.get(objData.parentId);
-                if (obj && parent) {
+                if (obj && parent && !parent.getAncestors().includes(obj)) { // A parent loop would never end
                     parent.addChild(obj);
                 }
             }
         });
         
-        // Set root object
-        if (data.rootObjectId) {
-            this.rootObject = this.objects.get(data.rootObjectId);
+        // Set root object, falling back to the first object without a parent
+        this.rootObject = this.objects.get(data.rootObjectId) ||
+            Array.from(this.objects.values()).find(obj => !obj.parent) ||
+            null;
+    }
+
+    // What changed between two export() snapshots: { fields, added, removed, changed }
+    //   fields  - top-level values that changed (simulationTime, scenario...)
+    //   added   - full data for new objects
+    //   removed - ids of objects that are gone
+    //   changed - object id -> only the properties that differ
+    static diffState(before, after) {
+        const diff = { fields: {}, lists: {}, added: [], removed: [], changed: {} };
+        const same = (a, b) => JSON.stringify(a) === JSON.stringify(b);
+
+        Object.keys(after).forEach(key => {
+            if (key === 'objects' || same(before[key], after[key])) return;
+            // A list that only grew (and maybe lost its oldest items, like the chronicle) is sent as the change
+            const appended = World.listAppend(before[key], after[key]);
+            if (appended) {
+                diff.lists[key] = appended;
+            } else {
+                diff.fields[key] = after[key];
+            }
+        });
+
+        const previous = new Map(before.objects.map(obj => [obj.id, obj]));
+        after.objects.forEach(obj => {
+            const old = previous.get(obj.id);
+            if (!old) {
+                diff.added.push(obj);
+                return;
+            }
+            previous.delete(obj.id);
+
+            const changes = {};
+            Object.keys(obj).forEach(key => {
+                if (!same(old[key], obj[key])) changes[key] = obj[key];
+            });
+            if (Object.keys(changes).length > 0) {
+                diff.changed[obj.id] = changes;
+            }
+        });
+        diff.removed = Array.from(previous.keys());
+
+        return diff;
+    }
+
+    // { dropped, items } when list `after` is `before` less its first `dropped` items plus `items`, otherwise null
+    static listAppend(before, after) {
+        if (!Array.isArray(before) || !Array.isArray(after)) return null;
+
+        const was = before.map(item => JSON.stringify(item));
+        const now = after.map(item => JSON.stringify(item));
+        for (let dropped = 0; dropped <= was.length; dropped++) {
+            const kept = was.length - dropped;
+            if (kept <= now.length && was.slice(dropped).every((json, i) => json === now[i])) {
+                return { dropped, items: after.slice(kept) };
+            }
         }
+        return null;
+    }
+
+    // Apply a diffState() result to an export() snapshot, returning the new snapshot
+    static applyStateDiff(state, diff) {
+        const objects = state.objects
+            .filter(obj => !diff.removed.includes(obj.id))
+            .map(obj => diff.changed[obj.id] ? { ...obj, ...diff.changed[obj.id] } : obj);
+
+        const lists = {};
+        Object.entries(diff.lists || {}).forEach(([key, { dropped, items }]) => {
+            lists[key] = (state[key] || []).slice(dropped).concat(items);
+        });
+
+        return { ...state, ...diff.fields, ...lists, objects: objects.concat(diff.added) };
     }
 
     // Analyze object actions and update relationships based on what happened
     async analyzeAndUpdateRelationships(playerAction, simulationResults) {
         console.log('🔗 Starting relationship analysis...');
         
-        if (!window.llmManager || !window.llmManager.isAvailable()) {
+        if (!this.llm || !this.llm.isAvailable()) {
             console.log('🔗 Skipping relationship analysis - LLM not available');
             return;
         }
@@ -634,7 +1625,8 @@ class World {
                 objectActions.push({
                     objectName: obj.name.toLowerCase(), // Ensure lowercase for consistency
                     objectId: objectId,
-                    action: action
+                    action: action,
+                    properties: obj.properties
                 });
             }
         }
@@ -653,17 +1645,33 @@ class World {
         }
 
         // Developer logging
-        if (window.terminal && window.terminal.developerMode) {
-            window.terminal.devLog(`Analyzing relationships based on ${objectActions.length} object actions`);
+        if (this.isDevLogging()) {
+            this.devLog(`Analyzing relationships based on ${objectActions.length} object actions`);
         }
 
         try {
             console.log('🔗 Calling LLM for relationship analysis...');
             
             // Analyze actions to detect relationship changes
-            const relationshipChanges = await window.llmManager.analyzeRelationshipChanges(
+            // What the acting objects are already in, so the analysis can end it
+            const existingRelationships = [];
+            objectActions.forEach(({ objectId }) => {
+                const obj = this.getObject(objectId);
+                obj.relationships.forEach(rel => {
+                    const target = this.getObject(rel.to);
+                    existingRelationships.push({
+                        from: obj.name.toLowerCase(),
+                        relationship: rel.relationship,
+                        to: target ? target.name.toLowerCase() : rel.to,
+                        progress: rel.progress
+                    });
+                });
+            });
+
+            const relationshipChanges = await this.llm.analyzeRelationshipChanges(
                 playerAction, 
-                objectActions
+                objectActions,
+                existingRelationships
             );
 
             console.log(`🔗 LLM returned ${relationshipChanges.length} relationship changes`);
@@ -672,8 +1680,8 @@ class World {
             if (relationshipChanges.length > 0) {
                 console.log('🔗 Applying relationship changes:');
                 
-                if (window.terminal && window.terminal.developerMode) {
-                    window.terminal.devLog(`Found ${relationshipChanges.length} relationship changes`);
+                if (this.isDevLogging()) {
+                    this.devLog(`Found ${relationshipChanges.length} relationship changes`);
                 }
 
                 for (const change of relationshipChanges) {
@@ -682,8 +1690,8 @@ class World {
             } else {
                 console.log('🔗 No new relationships detected');
                 
-                if (window.terminal && window.terminal.developerMode) {
-                    window.terminal.devLog(`No new relationships detected`);
+                if (this.isDevLogging()) {
+                    this.devLog(`No new relationships detected`);
                 }
             }
         } catch (error) {
@@ -692,6 +1700,81 @@ class World {
         }
     }
 
+    // Ask the LLM which objects this turn created or destroyed, and apply the changes that hold up
+    async analyzeAndUpdateObjects(playerAction, simulationResults) {
+        const players = this.playedObjectIds().map(id => this.getObject(id));
+        if (!this.llm || !this.llm.isAvailable() || players.length === 0) {
+            return;
+        }
+
+        const objectActions = [];
+        const existingObjects = [];
+        for (const [objectId, action] of simulationResults) {
+            const obj = this.getObject(objectId);
+            if (!obj) continue;
+            existingObjects.push({ id: obj.id, name: obj.name, parentId: obj.parent ? obj.parent.id : null, properties: obj.properties });
+            if (action !== "remains still") {
+                objectActions.push({ objectName: obj.name.toLowerCase(), action });
+            }
+        }
+
+        const changes = await this.llm.analyzeObjectChanges(playerAction, objectActions, existingObjects, players);
+        this.applyObjectChanges(changes);
+    }
+
+    // Apply proposed { created, removed } objects, skipping (and logging) any that don't fit the world
+    // Removals go first, so a new object can't be placed inside one that is going away
+    // Returns { created: [WorldObject], removed: [name] }
+    applyObjectChanges({ created = [], removed = [] }) {
+        const reject = message => {
+            console.warn(`🧱 ${message}`);
+            if (this.isDevLogging()) {
+                this.devLog(message);
+            }
+        };
+        const applied = { created: [], removed: [] };
+
+        removed.forEach(({ id, reason }) => {
+            const obj = this.getObjectByName(id);
+            if (!obj) {
+                reject(`Rejected removal of "${id}": no such object`);
+            } else if (!this.removeObject(obj.id)) {
+                reject(`Rejected removal of ${obj.name}: ${this.isPlayed(obj.id) ? 'someone is playing it' : "the root can't be removed"}`);
+            } else {
+                applied.removed.push(obj.name);
+                this.noteChange('objects', { change: 'removed', objectId: obj.id, name: obj.name, reason: reason || null });
+                console.log(`🧱 Removed: ${obj.name} [${obj.id}]${reason ? ` (${reason})` : ''}`);
+                if (this.isDevLogging()) {
+                    this.devLog(`Removed: ${obj.name} [${obj.id}]${reason ? ` (${reason})` : ''}`);
+                }
+            }
+        });
+
+        created.forEach(({ id, name, description, parent }) => {
+            const newId = id.toLowerCase().replace(/[^a-z0-9]+/g, '_').replace(/^_+|_+$/g, '');
+            const parentObj = this.getObjectByName(parent);
+            if (!newId) {
+                reject(`Rejected new object "${name}": invalid id "${id}"`);
+            } else if (this.objects.has(newId)) {
+                reject(`Rejected new object "${name}": id "${newId}" is taken`);
+            } else if (this.getObjectByName(name)) {
+                reject(`Rejected new object "${name}": an object with that name exists`);
+            } else if (!parentObj) {
+                reject(`Rejected new object "${name}": no container "${parent}"`);
+            } else {
+                const obj = this.createObject(newId, name, description, parentObj.id);
+                applied.created.push(obj);
+                this.noteChange('objects', { change: 'created', objectId: newId, name, parentId: parentObj.id });
+                console.log(`🧱 Created: ${name} [${newId}] in ${parentObj.name}`);
+                if (this.isDevLogging()) {
+                    this.devLog(`Created: ${name} [${newId}] in ${parentObj.name}`);
+                }
+            }
+        });
+
+        return applied;
+    }
+
     // Apply a single relationship change to the world
     applyRelationshipChange(change) {
         console.log(`🔗 Looking for source object: "${change.from}"`);
@@ -714,17 +1797,123 @@ class World {
             return;
         }
 
+        // The turn ended (or reversed) an existing relationship
+        if (change.ended) {
+            if (!this.unrelate(sourceObj, change.relationship, targetObj.id, 'ended by the turn')) {
+                console.warn(`🔗 No relationship to end: ${change.from} ${change.relationship} ${change.to}`);
+            }
+            return;
+        }
+
         // Apply the relationship
-        sourceObj.addRelationship(change.relationship, targetObj.id, change.progress, change.progressTime);
+        const rel = this.relate(sourceObj, change.relationship, targetObj.id, change.progress, change.progressTime, change.lifetime || null);
         
         // Always log relationship changes (not just in dev mode)
         const progressPercent = Math.round(change.progress * 100);
         const timeInfo = change.progressTime ? ` in ${change.progressTime} steps` : '';
         console.log(`🔗 ✅ Applied: ${change.from} ${change.relationship} ${change.to} (${progressPercent}%${timeInfo})`);
         
-        if (window.terminal && window.terminal.developerMode) {
-            window.terminal.devLog(`Applied: ${change.from} ${change.relationship} ${change.to} (${progressPercent}%${timeInfo})`);
+        if (this.isDevLogging()) {
+            this.devLog(`Applied: ${change.from} ${change.relationship} ${change.to} (${progressPercent}%${timeInfo})`);
+        }
+
+        // Already complete (e.g. "sam in lighthouse_1" at 100%) - a spatial relationship moves the object right away
+        if (change.progress !== null && change.progress >= 1.0) {
+            this.completeSpatialRelationship(sourceObj, rel);
+        }
+    }
+
+    // Add a relationship under the world's lifecycle rules: relationships it contradicts (same target, same
+    // exclusiveRelationships set) end, and it expires after oneShotRelationships' single step or
+    // relationshipLifetime unless given a lifetime. Returns the new relationship
+    relate(obj, relationship, targetId, progress = null, progressTime = null, lifetime = null) {
+        const name = normalizeRelationship(relationship);
+        const exclusive = this.exclusiveRelationships.find(set => set.some(other => normalizeRelationship(other) === name));
+        if (exclusive) {
+            const contradicts = rel => rel.to === targetId && normalizeRelationship(rel.relationship) !== name &&
+                exclusive.some(other => normalizeRelationship(other) === normalizeRelationship(rel.relationship));
+            obj.relationships.filter(contradicts).forEach(rel => {
+                this.unrelate(obj, rel.relationship, targetId, `contradicted by ${relationship}`);
+            });
+        }
+
+        if (lifetime === null) {
+            const oneShot = this.oneShotRelationships.some(other => normalizeRelationship(other) === name);
+            lifetime = oneShot ? 1 : this.relationshipLifetime;
+        }
+
+        obj.addRelationship(relationship, targetId, progress, progressTime, lifetime);
+        this.noteChange('relationships', { change: 'added', from: obj.id, relationship, to: targetId, progress, progressTime });
+        return obj.relationships[obj.relationships.length - 1];
+    }
+
+    // End a relationship (the analysis, a contradiction or the player's /unrelate); returns whether there was one
+    unrelate(obj, relationship, targetId, reason = 'ended') {
+        if (!obj.removeRelationship(relationship, targetId)) {
+            return false;
+        }
+
+        this.noteChange('relationships', { change: 'ended', from: obj.id, relationship, to: targetId, reason });
+        const target = this.getObject(targetId);
+        console.log(`🔗 ✂️ Ended: ${obj.name} ${relationship} ${target ? target.name : targetId} (${reason})`);
+        if (this.isDevLogging()) {
+            this.devLog(`Ended: ${obj.name} ${relationship} ${target ? target.name : targetId} (${reason})`);
+        }
+        return true;
+    }
+
+    // Count down relationships with a lifetime and drop those that ran out without being reinforced
+    expireRelationships() {
+        for (const obj of this.objects.values()) {
+            obj.relationships.forEach(rel => {
+                if (rel.expiresIn === null || rel.expiresIn === undefined) return;
+                rel.expiresIn--;
+                if (rel.expiresIn <= 0) {
+                    this.unrelate(obj, rel.relationship, rel.to, 'expired');
+                }
+            });
+        }
+    }
+
+    // Whether a relationship name is one of this world's spatial relationships
+    isSpatialRelationship(relationship) {
+        const name = normalizeRelationship(relationship);
+        return this.spatialRelationships.some(spatial => normalizeRelationship(spatial) === name);
+    }
+
+    // Turn a completed spatial relationship into containment: move the object into the target and drop the
+    // relationship, which the hierarchy now says for it (along with any other completed spatial relationship
+    // of the object, now out of date). Returns true if the relationship was consumed
+    completeSpatialRelationship(obj, rel) {
+        if (!rel || !this.isSpatialRelationship(rel.relationship)) {
+            return false;
         }
+
+        const target = this.getObject(rel.to);
+        if (!target) {
+            return false;
+        }
+        if (target.getAncestors().includes(obj)) {
+            console.warn(`🔗 Can't move ${obj.name} ${rel.relationship} ${target.name} - it would end up inside itself`);
+            return false;
+        }
+
+        const from = obj.parent;
+        if (from !== target) {
+            this.moveObject(obj.id, target.id);
+            this.recentMoves.push({ object: obj, from, to: target });
+            this.noteChange('moves', { objectId: obj.id, from: from ? from.id : null, to: target.id });
+
+            console.log(`🔗 📦 Moved: ${obj.name} ${from ? `from ${from.name} ` : ''}into ${target.name} (${rel.relationship})`);
+            if (this.isDevLogging()) {
+                this.devLog(`Moved: ${obj.name} ${from ? `from ${from.name} ` : ''}into ${target.name} (${rel.relationship})`);
+            }
+        }
+
+        obj.relationships = obj.relationships.filter(other =>
+            !(this.isSpatialRelationship(other.relationship) && other.progress !== null && other.progress >= 1.0)
+        );
+        return true;
     }
 
     // Helper method to find object by name or ID (case-insensitive)
@@ -757,9 +1946,11 @@ class World {
     }
 
     // Progress all time-based relationships by one step
+    // Returns the relationships that completed this step: [{ object, relationship, target, rel }]
     progressTimeBasedRelationships() {
         let relationshipsChanged = 0;
         let relationshipsCompleted = 0;
+        const completed = [];
         
         for (const [objectId, obj] of this.objects) {
             for (let i = 0; i < obj.relationships.length; i++) {
@@ -784,6 +1975,11 @@ class World {
                     // Check if this relationship just became complete
                     if (wasIncomplete && rel.progress >= 1.0) {
                         relationshipsCompleted++;
+                        if (rel.lifetime) {
+                            rel.expiresIn = rel.lifetime; // Its lifetime starts now
+                        }
+                        this.noteChange('relationships', { change: 'completed', from: obj.id, relationship: rel.relationship, to: rel.to });
+                        completed.push({ object: obj, relationship: rel.relationship, target: this.getObject(rel.to) || null, rel });
                     }
                     
                     // Log the progression
@@ -792,8 +1988,8 @@ class World {
                     const timeRemaining = rel.progressTime > 0 ? ` (${rel.progressTime} steps remaining)` : ' (complete)';
                     const completedIndicator = wasIncomplete && rel.progress >= 1.0 ? ' ✅' : '';
                     
-                    if (window.terminal && window.terminal.developerMode) {
-                        window.terminal.devLog(`Progressed: ${obj.name} ${rel.relationship} ${targetObj ? targetObj.name : rel.to} → ${progressPercent}%${timeRemaining}${completedIndicator}`);
+                    if (this.isDevLogging()) {
+                        this.devLog(`Progressed: ${obj.name} ${rel.relationship} ${targetObj ? targetObj.name : rel.to} → ${progressPercent}%${timeRemaining}${completedIndicator}`);
                     }
                     
                     console.log(`🔗 ⏱️ Progressed: ${obj.name} ${rel.relationship} ${targetObj ? targetObj.name : rel.to} → ${progressPercent}%${timeRemaining}${completedIndicator}`);
@@ -801,18 +1997,23 @@ class World {
             }
         }
         
+        // Completed spatial relationships move their objects - after the loop, as moving edits the relationships
+        completed.forEach(({ object, rel }) => this.completeSpatialRelationship(object, rel));
+
         if (relationshipsChanged > 0) {
             console.log(`🔗 ⏱️ Relationship Summary: ${relationshipsChanged} progressed, ${relationshipsCompleted} completed`);
             
-            if (window.terminal && window.terminal.developerMode) {
-                window.terminal.devLog(`Relationship Summary: ${relationshipsChanged} progressed, ${relationshipsCompleted} completed`);
+            if (this.isDevLogging()) {
+                this.devLog(`Relationship Summary: ${relationshipsChanged} progressed, ${relationshipsCompleted} completed`);
             }
         }
+        
+        return completed;
     }
 
     // Update descriptions of all objects that had actions (concurrent with narrative generation)
     async updateObjectDescriptions(simulationResults) {
-        if (!window.llmManager || !window.llmManager.isAvailable()) {
+        if (!this.llm || !this.llm.isAvailable()) {
             console.log('📝 Skipping description updates - LLM not available');
             return;
         }
@@ -828,7 +2029,9 @@ class World {
                 const objectContext = {
                     name: obj.name,
                     description: obj.description,
-                    parent: obj.parent
+                    parent: obj.parent,
+                    properties: obj.properties,
+                    memory: obj.recall(this.memoryBudget)
                 };
 
                 // Get sibling actions for context (but not player action)
@@ -848,21 +2051,34 @@ class World {
                 }
 
                 // Schedule description update
-                const updatePromise = window.llmManager.updateObjectDescription(
+                const updatePromise = this.llm.updateObjectDescription(
                     objectContext, 
                     action, 
-                    siblingActions
-                ).then(newDescription => {
+                    siblingActions,
+                    (name, value) => obj.propertyError(name, value)
+                ).then(({ description: newDescription, properties }) => {
+                    Object.entries(properties).forEach(([name, value]) => {
+                        const oldValue = obj.properties[name].value;
+                        if (value !== oldValue && obj.setProperty(name, value)) {
+                            this.noteChange('properties', { objectId: obj.id, property: name, before: oldValue, after: value });
+                            console.log(`📝 🔧 ${obj.name}.${name}: ${oldValue} → ${value}`);
+                            if (this.isDevLogging()) {
+                                this.devLog(`${obj.name}.${name}: ${oldValue} → ${value}`);
+                            }
+                        }
+                    });
+
                     if (newDescription !== obj.description) {
                         const oldDesc = obj.description;
                         obj.description = newDescription;
+                        this.noteChange('descriptions', { objectId: obj.id, before: oldDesc, after: newDescription });
                         
                         console.log(`📝 ✏️ Updated ${obj.name} description`);
                         
-                        if (window.terminal && window.terminal.developerMode) {
-                            window.terminal.devLog(`Updated ${obj.name} description`);
-                            window.terminal.devLog(`Old: "${oldDesc}"`);
-                            window.terminal.devLog(`New: "${newDescription}"`);
+                        if (this.isDevLogging()) {
+                            this.devLog(`Updated ${obj.name} description`);
+                            this.devLog(`Old: "${oldDesc}"`);
+                            this.devLog(`New: "${newDescription}"`);
                         }
                     }
                 }).catch(error => {
@@ -877,8 +2093,8 @@ class World {
         if (updatesScheduled > 0) {
             console.log(`📝 Updating descriptions for ${updatesScheduled} objects...`);
             
-            if (window.terminal && window.terminal.developerMode) {
-                window.terminal.devLog(`Updating descriptions for ${updatesScheduled} objects...`);
+            if (this.isDevLogging()) {
+                this.devLog(`Updating descriptions for ${updatesScheduled} objects...`);
             }
 
             // Wait for all description updates to complete
@@ -887,11 +2103,120 @@ class World {
             console.log(`📝 Description updates completed`);
         }
     }
+
+    // Give everything simulated this step a memory of it: its own action, what its container, contents,
+    // neighbours and the players did, and the relationship changes and moves involving it
+    // Objects whose memory runs past memoryLimit then have their oldest memories summarized
+    async updateMemories(results) {
+        const entry = this.chronicleEntry;
+        const players = this.playedObjectIds().map(id => this.getObject(id));
+        const name = id => {
+            const obj = this.getObject(id);
+            return obj ? obj.name : id;
+        };
+        const actionOf = obj => {
+            const action = results.get(obj.id);
+            return action && action !== "remains still" ? action : null;
+        };
+
+        const overfull = [];
+        results.forEach((action, objectId) => {
+            const obj = this.getObject(objectId);
+            if (!obj) return;
+
+            const events = [];
+            if (actionOf(obj)) {
+                events.push(`you: ${actionOf(obj)}`);
+            }
+
+            const around = new Set([obj.parent, ...obj.containedObjects, ...obj.getSiblings(), ...players]);
+            around.forEach(other => {
+                if (other && other !== obj && actionOf(other)) {
+                    events.push(`${other.name}: ${actionOf(other)}`);
+                }
+            });
+
+            if (entry) {
+                entry.relationships
+                    .filter(change => change.from === obj.id || change.to === obj.id)
+                    .forEach(({ change, from, relationship, to }) => {
+                        events.push(`${name(from)} ${relationship} ${name(to)} (${change})`);
+                    });
+                entry.moves
+                    .filter(move => move.objectId === obj.id || move.from === obj.id || move.to === obj.id)
+                    .forEach(move => {
+                        events.push(`${name(move.objectId)} moved into ${name(move.to)}`);
+                    });
+            }
+
+            if (events.length > 0) {
+                obj.remember(this.simulationTime, events.join('; '));
+                if (obj.memory.length > this.memoryLimit) {
+                    overfull.push(obj);
+                }
+            }
+        });
+
+        await Promise.all(overfull.map(obj => this.summarizeMemory(obj)));
+    }
+
+    // Fold an object's oldest memories into its summary, keeping the latest half of memoryLimit word for word
+    // Without an LLM the old memories are simply forgotten
+    async summarizeMemory(obj) {
+        const keep = Math.max(1, Math.floor(this.memoryLimit / 2));
+        const old = obj.memory.slice(0, obj.memory.length - keep);
+        obj.memory = obj.memory.slice(-keep);
+
+        if (!this.llm || !this.llm.isAvailable()) {
+            return;
+        }
+
+        const summary = await this.llm.summarizeMemory(obj, obj.memorySummary, old);
+        if (summary !== obj.memorySummary) {
+            obj.memorySummary = summary;
+            console.log(`🧠 ${obj.name} summarized ${old.length} memories`);
+            if (this.isDevLogging()) {
+                this.devLog(`${obj.name} remembers: "${summary}"`);
+            }
+        }
+    }
+
+    // Let every agent that took part in the step (and isn't being played) check its plan against it: move past the
+    // step it carried out, revise the rest if the world changed under it, or take up a new goal once this one is
+    // reached or out of reach. Runs after updateMemories, whose latest memory is what the agent saw happen
+    async updatePlans(results) {
+        if (!this.llm || !this.llm.isAvailable()) {
+            return;
+        }
+
+        const agents = [...results.keys()]
+            .map(id => this.getObject(id))
+            .filter(obj => obj && obj.isAgent() && !this.isPlayed(obj.id));
+
+        await Promise.all(agents.map(async obj => {
+            const latest = obj.memory[obj.memory.length - 1];
+            const events = latest && latest.turn === this.simulationTime ? latest.text : '';
+            const revised = await this.llm.revisePlan(obj, results.get(obj.id), events, obj.recall(this.memoryBudget));
+            if (!revised || !this.getObject(obj.id)) return;
+
+            if (revised.done) {
+                console.log(`🎯 ${obj.name} is done with "${obj.goal}"${revised.goal ? `, now after "${revised.goal}"` : ''}`);
+                obj.setGoal(revised.goal, revised.plan);
+            } else {
+                obj.plan = revised.plan;
+            }
+            if (this.isDevLogging()) {
+                this.devLog(obj.isAgent()
+                    ? `${obj.name} plans: ${obj.plan.join(' → ')} (goal: ${obj.goal})`
+                    : `${obj.name} has nothing left to pursue`);
+            }
+        }));
+    }
 }
 
 // Export for use in main.js
 if (typeof module !== 'undefined' && module.exports) {
-    module.exports = { WorldObject, World };
+    module.exports = { WorldObject, World, SAVE_VERSION };
 } else {
     window.WorldObject = WorldObject;
     window.World = World;
@@ -0,0 +1,392 @@
+// Server-side world hosting
+// Each hosted World runs in the server process with its own LLM manager (sharing one request queue),
+// and every turn or edit runs exclusively so two requests never interleave on the same world
+// Each world has its own save slots, and autosaves to its "autosave" slot every autoSaveTurns turns (AUTO_SAVE_TURNS,
+// default 5; 0 turns it off). A dropped world can be reopened under the same id to get its slots back
+// While at least one client listens to a world's events it ticks on its own between turns (TICK_SECONDS, default 30)
+// At most MAX_WORLDS (default 50) are hosted at once; worlds nobody has used for WORLD_IDLE_MINUTES (default 60)
+// and nobody is listening to are dropped, and when the store is full the least recently used idle one makes room
+
+const crypto = require('crypto');
+const { World } = require('./world');
+const { Timeline } = require('./timeline');
+const { buildScenario, DEFAULT_SCENARIO } = require('./scenarios');
+
+const DEFAULT_AUTO_SAVE_TURNS = 5;
+const DEFAULT_TICK_SECONDS = 30;
+const MIN_TICK_SECONDS = 5; // Ticks make LLM calls - faster than this and they just skip
+const MAX_ACTION_LENGTH = 500; // Characters in one player action, over REST or WebSocket
+const DEFAULT_MAX_WORLDS = 50;
+const DEFAULT_IDLE_MINUTES = 60;
+const WORLD_ID = /^[0-9a-f]{12}$/;
+const AUTO_SAVE_SLOT = 'autosave';
+
+// One hosted world
+class WorldHost {
+    // options.saves         - SaveStore for named slots and autosaves (this world uses its own folder of it)
+    // options.autoSaveTurns - turns between autosaves (0 disables)
+    // options.tickSeconds   - time between idle ticks
+    constructor(id, llmManager, options = {}) {
+        this.id = id;
+        this.saves = options.saves ? options.saves.forWorld(id) : null;
+        this.autoSaveTurns = options.autoSaveTurns || 0;
+        this.turnCount = 0; // Player turns taken, for autosave
+        this.version = 0; // Bumped on every state change so clients can tell when they missed a diff
+        this.listeners = new Set(); // Event listeners (event, data) - ticks only run while there are any
+        this.timePaused = false;
+        this.logSink = null; // Receives developer log lines for the request in progress
+        this.llm = llmManager.forSession(id, message => this.log(message));
+        this.timeline = new Timeline(); // Undo history and branches
+        this.world = new World({
+            llmManager: this.llm,
+            timeline: this.timeline,
+            onDevLog: message => this.log(message)
+        });
+        this.world.tickIntervalMs = (options.tickSeconds || DEFAULT_TICK_SECONDS) * 1000;
+        this.queue = Promise.resolve(); // Serializes turns and edits
+        this.busy = 0; // Tasks queued or running on the world
+        this.createdAt = new Date().toISOString();
+        this.lastUsed = Date.now(); // Last time a request reached this world (see WorldStore.get)
+    }
+
+    log(message) {
+        if (this.logSink) {
+            this.logSink(message);
+        }
+    }
+
+    // Run task(world) after anything already queued on this world
+    exclusive(task) {
+        this.busy++;
+        const result = this.queue.then(() => task(this.world)).finally(() => this.busy--);
+        this.queue = result.catch(() => {}); // A failed task must not block the next one
+        return result;
+    }
+
+    // Deep copy of the world's state (export() shares relationship objects with the live world)
+    snapshot() {
+        return JSON.parse(JSON.stringify(this.world.export()));
+    }
+
+    // Diff from `before` to now, tagged with the version it applies to and the one it produces
+    diffSince(before) {
+        return {
+            ...World.diffState(before, this.snapshot()),
+            baseVersion: this.version,
+            version: ++this.version
+        };
+    }
+
+    // Full state for clients
+    describe() {
+        return {
+            id: this.id,
+            scenario: this.world.scenario,
+            playerObjectId: this.world.playerObjectId || null,
+            party: this.world.party,
+            simulationStrategy: this.world.simulationStrategy,
+            spatialRelationships: this.world.spatialRelationships,
+            oneShotRelationships: this.world.oneShotRelationships,
+            exclusiveRelationships: this.world.exclusiveRelationships,
+            relationshipLifetime: this.world.relationshipLifetime,
+            memoryLimit: this.world.memoryLimit,
+            memoryBudget: this.world.memoryBudget,
+            senseRanges: this.world.senseRanges,
+            autoSaveTurns: this.autoSaveTurns,
+            time: this.timeStatus(),
+            version: this.version,
+            state: this.snapshot(),
+            queue: this.llm.getQueueStatus()
+        };
+    }
+
+    // Process a player action; resolves to { narrative, diff, log }
+    // options.onNarrativeDelta(text) and options.onLog(message) see narration and dev logs as they happen
+    act(action, options = {}) {
+        return this.runTurn(async world => ({
+            narrative: await world.processPlayerAction(action, { onNarrativeDelta: options.onNarrativeDelta })
+        }), options.onLog);
+    }
+
+    // Process a multiplayer turn (actions: Map objectId -> action); resolves to { narratives: { objectId: text }, diff, log }
+    actTogether(actions, options = {}) {
+        return this.runTurn(async world => ({
+            narratives: Object.fromEntries(await world.processPlayerActions(actions))
+        }), options.onLog);
+    }
+
+    // Run turn(world) exclusively and count it for autosave; resolves to its result plus { diff, log, queue }
+    runTurn(turn, onLog = null) {
+        return this.exclusive(async world => {
+            const before = this.snapshot();
+            const log = [];
+            this.logSink = message => {
+                log.push(message);
+                if (onLog) onLog(message);
+            };
+
+            try {
+                const result = await turn(world);
+                this.turnCount++;
+                await this.autoSave();
+                return {
+                    ...result,
+                    diff: this.diffSince(before),
+                    log,
+                    queue: this.llm.getQueueStatus()
+                };
+            } finally {
+                this.logSink = null;
+            }
+        });
+    }
+
+    // Save after every autoSaveTurns turns; a failed autosave is logged but never fails the turn
+    async autoSave() {
+        if (!this.saves || this.autoSaveTurns <= 0 || this.turnCount % this.autoSaveTurns !== 0) {
+            return;
+        }
+
+        try {
+            await this.saves.save(AUTO_SAVE_SLOT, this.snapshot(), { auto: true });
+            this.log(`Autosaved to "${AUTO_SAVE_SLOT}"`);
+        } catch (error) {
+            console.error(`💾 Autosave failed for world ${this.id}:`, error);
+        }
+    }
+
+    // Write the world to a named slot; resolves to the slot summary
+    saveTo(name) {
+        return this.exclusive(() => this.saves.save(name, this.snapshot()));
+    }
+
+    // Replace the world with a named slot's contents
+    loadFrom(name) {
+        return this.exclusive(async world => {
+            const save = await this.saves.load(name);
+            this.replaceState(save.world);
+        });
+    }
+
+    // Summaries of this world's slots, newest first
+    listSaves() {
+        return this.saves.list();
+    }
+
+    deleteSave(name) {
+        return this.saves.delete(name);
+    }
+
+    // Load a whole new state; history from before it no longer applies
+    // A state that fails to import leaves the world as it was
+    replaceState(state) {
+        const previous = this.snapshot();
+        try {
+            this.world.import(state);
+        } catch (error) {
+            this.world.import(previous);
+            throw error;
+        }
+        this.timeline.reset();
+        this.version++;
+    }
+
+    // Undo the last `steps` turns; resolves to the state diff
+    rewind(steps = 1) {
+        return this.edit(world => world.rewind(steps));
+    }
+
+    // Switch to (or fork) a timeline branch; resolves to the state diff
+    checkoutBranch(name, turn = null) {
+        return this.edit(world => world.checkoutBranch(name, turn));
+    }
+
+    // Apply a direct change (create, move, relate...); edit(world) returns false to signal failure
+    // Resolves to the state diff, or null if the edit failed
+    edit(edit) {
+        return this.exclusive(async world => {
+            const before = this.snapshot();
+            if (edit(world) === false) {
+                return null;
+            }
+            return this.diffSince(before);
+        });
+    }
+
+    // Subscribe to the world's events; returns an unsubscribe function
+    //   tick { time, ambient, ambients, diff } - an idle tick finished (ambient is the world's player's narration line
+    //                                or null; ambients has one per played object, multiplayer seats included)
+    //   log  { message }             - developer log line from an idle tick
+    //   time { paused, seconds, running, simulationTime } - tick settings changed
+    subscribe(listener) {
+        this.listeners.add(listener);
+        this.updateTicking();
+        return () => {
+            this.listeners.delete(listener);
+            this.updateTicking();
+        };
+    }
+
+    emit(event, data) {
+        this.listeners.forEach(listener => listener(event, data));
+    }
+
+    timeStatus() {
+        return {
+            paused: this.timePaused,
+            seconds: this.world.tickIntervalMs / 1000,
+            running: this.world.isSimulating,
+            simulationTime: this.world.simulationTime
+        };
+    }
+
+    // Tick while someone is watching and time isn't paused - nobody should pay for a world no one sees
+    updateTicking() {
+        const shouldRun = !this.timePaused && this.listeners.size > 0;
+        if (shouldRun && !this.world.isSimulating) {
+            this.world.startSimulation(this.world.tickIntervalMs, () => this.tick());
+        } else if (!shouldRun && this.world.isSimulating) {
+            this.world.stopSimulation();
+        }
+    }
+
+    // Pause or resume time, or change the tick rate; resolves to the new time status
+    setTime({ paused, seconds } = {}) {
+        if (seconds !== undefined) {
+            if (!(typeof seconds === 'number' && seconds >= MIN_TICK_SECONDS)) {
+                throw new Error(`Tick rate must be at least ${MIN_TICK_SECONDS} seconds`);
+            }
+            this.world.tickIntervalMs = seconds * 1000;
+            if (this.world.isSimulating) {
+                this.world.stopSimulation(); // Restarted at the new rate below
+            }
+        }
+        if (paused !== undefined) {
+            this.timePaused = !!paused;
+        }
+
+        this.updateTicking();
+        const status = this.timeStatus();
+        this.emit('time', status);
+        return status;
+    }
+
+    // Whether the store may drop this world: nobody is listening to it and no turn or edit is under way
+    isDroppable() {
+        return this.listeners.size === 0 && this.busy === 0;
+    }
+
+    // Stop everything that keeps the world running once it is dropped
+    dispose() {
+        this.listeners.clear();
+        if (this.world.isSimulating) {
+            this.world.stopSimulation();
+        }
+    }
+
+    // One idle tick, in turn with player actions and edits
+    tick() {
+        return this.exclusive(async world => {
+            const before = this.snapshot();
+            this.logSink = message => this.emit('log', { message });
+
+            try {
+                const { time, ambient, ambients } = await world.simulateStep();
+                this.emit('tick', { time, ambient, ambients, diff: this.diffSince(before) });
+            } finally {
+                this.logSink = null;
+            }
+        });
+    }
+}
+
+class WorldStore {
+    // options.saves         - SaveStore whose folder holds every world's slots
+    // options.autoSaveTurns - default autosave interval for new worlds (0 disables)
+    // options.tickSeconds   - default time between idle ticks for new worlds
+    // options.maxWorlds     - most worlds hosted at once
+    // options.idleMinutes   - how long an unwatched world lives without requests
+    constructor(llmManager, options = {}) {
+        this.llmManager = llmManager; // Root manager; each world gets its own session of it
+        this.saves = options.saves || null;
+        this.autoSaveTurns = options.autoSaveTurns !== undefined ? options.autoSaveTurns : DEFAULT_AUTO_SAVE_TURNS;
+        this.tickSeconds = Math.max(MIN_TICK_SECONDS, options.tickSeconds || DEFAULT_TICK_SECONDS);
+        this.maxWorlds = options.maxWorlds || DEFAULT_MAX_WORLDS;
+        this.idleMs = (options.idleMinutes || DEFAULT_IDLE_MINUTES) * 60 * 1000;
+        this.hosts = new Map(); // id -> WorldHost
+    }
+
+    // Create a world from a scenario, dropping idle worlds first
+    // id reopens a world that was dropped under the same id, with access to its save slots (default: a new id)
+    // Throws (status 503) when every hosted world is still in use, or (status 400) for an id that can't be reopened
+    create(scenario = DEFAULT_SCENARIO, id = null) {
+        if (id !== null && (!WORLD_ID.test(id) || this.hosts.has(id))) {
+            const error = new Error(`Can't reopen world "${id}"`);
+            error.status = 400;
+            throw error;
+        }
+        this.evictIdle();
+        if (this.hosts.size >= this.maxWorlds && !this.evictLeastRecentlyUsed()) {
+            const error = new Error(`The server is hosting its limit of ${this.maxWorlds} worlds - try again later`);
+            error.status = 503;
+            throw error;
+        }
+
+        id = id || crypto.randomBytes(6).toString('hex');
+        const host = new WorldHost(id, this.llmManager, {
+            saves: this.saves,
+            autoSaveTurns: this.autoSaveTurns,
+            tickSeconds: this.tickSeconds
+        });
+        buildScenario(host.world, scenario);
+        this.hosts.set(id, host);
+        console.log(`🌍 Created world ${id} (${scenario})`);
+        return host;
+    }
+
+    // Look up a world, counting the lookup as use
+    get(id) {
+        const host = this.hosts.get(id) || null;
+        if (host) {
+            host.lastUsed = Date.now();
+        }
+        return host;
+    }
+
+    // Drop a world and stop its ticks; its save slots stay behind for when it is reopened
+    drop(id) {
+        const host = this.hosts.get(id);
+        if (!host) return false;
+
+        host.dispose();
+        this.hosts.delete(id);
+        console.log(`🌍 Dropped world ${id}`);
+        return true;
+    }
+
+    // Drop every world that has sat unused and unwatched for idleMs
+    evictIdle(now = Date.now()) {
+        [...this.hosts.values()]
+            .filter(host => host.isDroppable() && now - host.lastUsed >= this.idleMs)
+            .forEach(host => this.drop(host.id));
+    }
+
+    // Drop the least recently used world nobody is listening to; returns whether there was one
+    evictLeastRecentlyUsed() {
+        const unwatched = [...this.hosts.values()].filter(host => host.isDroppable());
+        if (unwatched.length === 0) return false;
+
+        const oldest = unwatched.reduce((a, b) => (b.lastUsed < a.lastUsed ? b : a));
+        return this.drop(oldest.id);
+    }
+
+    get size() {
+        return this.hosts.size;
+    }
+}
+
+module.exports = {
+    MAX_ACTION_LENGTH,
+    WorldHost,
+    WorldStore
+};